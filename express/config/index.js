@@ -0,0 +1,126 @@
+/**
+ * =====================================================
+ * APP CONFIGURATION - config/index.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Collects every tunable setting in one object
+ * - Each value can be overridden with an environment variable
+ * - Modules import the section they need: require('../config').database
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - No magic numbers scattered across utils and routes
+ * - Same code runs in development and production, only env vars change
+ * 
+ * DATA FLOW:
+ * process.env → Parse + defaults → config object → utils/routes
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Read an integer env variable, falling back to a default
+ * WHY: process.env values are always strings (or undefined)
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or not a number
+ * @returns {number}
+ */
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Read a decimal env variable, falling back to a default
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or not a number
+ * @returns {number}
+ */
+const floatFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// WHY a constant: Both storage backends keep their files under this folder
+const dbDir = process.env.DB_DIR || path.join(__dirname, '../db');
+
+module.exports = {
+  // ============================================
+  // DATABASE - WHY: Where and how data is stored
+  // ============================================
+  database: {
+    adapter: process.env.DB_ADAPTER || 'json',                   // Storage backend: 'json' or 'sqlite'
+    dir: dbDir,                                                  // Folder holding the collection files
+    sqliteFile: process.env.DB_SQLITE_FILE || path.join(dbDir, 'store.sqlite'),  // SQLite database file
+    backupCount: intFromEnv('DB_BACKUP_COUNT', 5),               // Rotating snapshots kept per collection
+    flushDelayMs: intFromEnv('DB_FLUSH_DELAY_MS', 200)           // Write-behind debounce before hitting disk
+  },
+
+  // ============================================
+  // PRICING - WHY: Order totals are computed by the server
+  // ============================================
+  pricing: {
+    taxRate: floatFromEnv('TAX_RATE', 0.08),                            // Applied to the subtotal (0.08 = 8%)
+    shippingFlatRate: floatFromEnv('SHIPPING_FLAT_RATE', 5.99),         // Charged below the free-shipping threshold
+    freeShippingThreshold: floatFromEnv('FREE_SHIPPING_THRESHOLD', 50)  // Subtotal at which shipping is free
+  },
+
+  // ============================================
+  // PAGINATION - WHY: Lists never return unbounded pages
+  // ============================================
+  pagination: {
+    defaultLimit: intFromEnv('PAGE_SIZE_DEFAULT', 10),   // Items per page when ?limit is missing
+    maxLimit: intFromEnv('PAGE_SIZE_MAX', 100)           // Larger ?limit values are capped to this
+  },
+
+  // ============================================
+  // BULK - WHY: One request may carry a whole catalog, but not an unbounded one
+  // ============================================
+  bulk: {
+    maxOperations: intFromEnv('BULK_MAX_OPERATIONS', 1000),     // Operations per /bulk request, rows per /import file
+    bodyLimit: process.env.BULK_BODY_LIMIT || '5mb'             // Body size for /bulk and /import (others keep 100kb)
+  },
+
+  // ============================================
+  // LOGGING - WHY: How much is logged, and what must never be
+  // ============================================
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',   // debug, info, warn, error or silent
+    // Field names replaced with [REDACTED] in every log line (case-insensitive, any depth)
+    redact: (process.env.LOG_REDACT || 'password,passwordHash,email,phone,accessToken,refreshToken,token,authorization,cookie')
+      .split(',').map(name => name.trim()).filter(Boolean)
+  },
+
+  // ============================================
+  // METRICS - WHY: GET /metrics (Prometheus) may need protecting
+  // ============================================
+  metrics: {
+    token: process.env.METRICS_TOKEN || ''   // If set: scrapes must send "Authorization: Bearer <token>"
+  },
+
+  // ============================================
+  // HEALTH - WHY: Load balancers need time to stop routing before we close
+  // ============================================
+  health: {
+    // On SIGTERM: /health/ready answers 503 for this long before the server stops accepting connections
+    shutdownDelayMs: intFromEnv('SHUTDOWN_DELAY_MS', 0)
+  },
+
+  // ============================================
+  // AUTH - WHY: Token lifetimes and password hashing cost
+  // ============================================
+  auth: {
+    // WHY random fallback: Never ship a guessable default; without AUTH_TOKEN_SECRET
+    // every restart signs with a new key, so all sessions end
+    tokenSecret: process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+    tokenSecretFromEnv: Boolean(process.env.AUTH_TOKEN_SECRET),
+    accessTokenTtlSeconds: intFromEnv('AUTH_ACCESS_TOKEN_TTL', 15 * 60),            // Short: sent on every request
+    refreshTokenTtlSeconds: intFromEnv('AUTH_REFRESH_TOKEN_TTL', 7 * 24 * 60 * 60), // Long: only sent to /refresh
+    scryptCost: intFromEnv('AUTH_SCRYPT_COST', 16384),                            // scrypt N (power of 2)
+    // WHY: Someone has to be the first admin - these emails get 'admin' when they register
+    adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ * =====================================================
+ * API DOCS PAGE - express/docs/docs.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Loaded as a module by index.html
+ * - Fetches the OpenAPI document (GET /api/openapi.json) and renders one
+ *   collapsible block per operation, grouped by tag (Auth, Users, ...)
+ * - Each block lists parameters, request body, responses and has a
+ *   "Try it" form that sends the real request with the access token
+ *
+ * WHY IT WORKS THIS WAY:
+ * - No framework and no CDN: the page works offline, next to the API
+ * - The token field starts with the one the login page saved
+ *   (same localStorage key as loginForm/auth.js), so logging in at /login/
+ *   is enough to try protected routes
+ * - Everything from the document is shown with textContent, never as HTML
+ *
+ * CONTROL FLOW:
+ * load → fetch openapi.json → render nav + operations
+ * "Send" → fill path/query → fetch with Bearer token → show status + body
+ *
+ * SERVED BY: express/routes/docsRoutes.js at http://localhost:3000/api/docs/
+ */
+
+// ============================================
+// CONFIG
+// ============================================
+const SPEC_URL = '../openapi.json';
+
+// WHY same key: loginForm/auth.js saves the session here
+const TOKEN_KEY = 'auth.accessToken';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Create an element: el('td', { className: 'x' }, 'text', childNode)
+ * WHY: Strings become text nodes, so nothing from the document is parsed as HTML
+ */
+const el = (tag, props = {}, ...children) => {
+    const node = Object.assign(document.createElement(tag), props);
+    children.flat().filter(child => child !== null && child !== undefined && child !== false)
+        .forEach(child => node.append(child instanceof Node ? child : String(child)));
+    return node;
+};
+
+let spec = null;
+
+/**
+ * '#/components/schemas/Product' → the schema object
+ */
+const resolve = (schema) => {
+    if (!schema || !schema.$ref) return schema || {};
+    return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+};
+
+/**
+ * ============================================
+ * EXAMPLE VALUE - WHY: Pre-fill the "Try it" body with something valid-looking
+ * ============================================
+ *
+ * HOW: Walk the schema; readOnly fields are left out (clients never send them)
+ *
+ * @param {Object} schema - JSON Schema (may be a $ref)
+ * @param {number} depth - Stops runaway recursion
+ * @returns {*}
+ */
+const exampleOf = (schema, depth = 0) => {
+    const node = resolve(schema);
+    if (depth > 5) return null;
+    if (node.example !== undefined) return node.example;
+    if (node.enum) return node.enum[0];
+
+    switch (node.type) {
+        case 'object': {
+            const value = {};
+            Object.entries(node.properties || {}).forEach(([name, property]) => {
+                if (!resolve(property).readOnly) value[name] = exampleOf(property, depth + 1);
+            });
+            return value;
+        }
+        case 'array':
+            return [exampleOf(node.items, depth + 1)];
+        case 'integer':
+        case 'number':
+            return node.minimum !== undefined ? node.minimum + (node.exclusiveMinimum ? 1 : 0) : 1;
+        case 'boolean':
+            return true;
+        default:
+            if (node.format === 'email') return 'user@example.com';
+            if (node.format === 'date-time') return new Date().toISOString();
+            if (node.format === 'password') return 'secret123';
+            return 'string';
+    }
+};
+
+/**
+ * Short type label: 'integer ≥ 1', 'string (email)', 'Product[]'
+ */
+const typeOf = (schema) => {
+    if (schema && schema.$ref) return schema.$ref.split('/').pop();
+    const node = schema || {};
+    if (node.type === 'array') return `${typeOf(node.items)}[]`;
+    let label = node.type || 'any';
+    if (node.format) label += ` (${node.format})`;
+    if (node.enum) label += `: ${node.enum.join(' | ')}`;
+    if (node.minimum !== undefined) label += node.exclusiveMinimum ? ` > ${node.minimum}` : ` ≥ ${node.minimum}`;
+    if (node.maximum !== undefined) label += ` ≤ ${node.maximum}`;
+    return label;
+};
+
+/**
+ * Object schema → table of fields (name, type, required, description)
+ */
+const fieldsTable = (schema) => {
+    const node = resolve(schema);
+    const required = node.required || [];
+    const rows = Object.entries(node.properties || {}).map(([name, property]) => {
+        const field = resolve(property);
+        const notes = [field.description, field.readOnly && 'read-only', field['x-createOnly'] && 'create-only'].filter(Boolean);
+        return el('tr', {},
+            el('td', {}, el('code', {}, name)),
+            el('td', {}, typeOf(property)),
+            el('td', {}, required.includes(name) ? 'required' : ''),
+            el('td', {}, notes.join('. ')));
+    });
+    return el('table', {}, el('tr', {}, el('th', {}, 'Field'), el('th', {}, 'Type'), el('th', {}, ''), el('th', {}, 'Notes')), rows);
+};
+
+const parametersTable = (parameters) => el('table', {},
+    el('tr', {}, el('th', {}, 'Parameter'), el('th', {}, 'In'), el('th', {}, 'Type'), el('th', {}, 'Description')),
+    parameters.map(parameter => el('tr', {},
+        el('td', {}, el('code', {}, parameter.name), parameter.required ? ' *' : ''),
+        el('td', {}, parameter.in),
+        el('td', {}, typeOf(parameter.schema)),
+        el('td', {}, parameter.description || ''))));
+
+/**
+ * ============================================
+ * TRY IT - WHY: Send the real request without leaving the page
+ * ============================================
+ *
+ * HOW:
+ * 1. Path parameters are required inputs; query parameters are sent when filled
+ * 2. JSON bodies start with exampleOf(); /import bodies are plain text
+ * 3. Authorization: Bearer <token field> when the token field is filled
+ * 4. The response status and body (pretty JSON when possible) are shown below
+ */
+const tryItForm = (method, path, operation) => {
+    const parameters = operation.parameters || [];
+    const inputs = new Map();
+    const fields = parameters.map(parameter => {
+        const input = el('input', {
+            placeholder: parameter.in === 'path' ? 'required' : typeOf(parameter.schema),
+            required: parameter.in === 'path'
+        });
+        inputs.set(parameter, input);
+        return el('label', {}, `${parameter.name} (${parameter.in})`, el('br'), input);
+    });
+
+    const content = operation.requestBody ? operation.requestBody.content : null;
+    const contentTypes = content ? Object.keys(content) : [];
+    const typeSelect = el('select', {}, contentTypes.map(type => el('option', { value: type }, type)));
+    const isJson = contentTypes[0] === 'application/json';
+    const bodyInput = content
+        ? el('textarea', { value: isJson ? JSON.stringify(exampleOf(content['application/json'].schema), null, 2) : 'id,name\n' })
+        : null;
+
+    const status = el('p', { className: 'result-status' });
+    const output = el('pre', { hidden: true });
+    const form = el('form', { className: 'try-it' },
+        el('strong', {}, 'Try it'),
+        fields,
+        bodyInput && el('label', {}, 'Body ', contentTypes.length > 1 ? typeSelect : `(${contentTypes[0]})`, el('br'), bodyInput),
+        el('button', { type: 'submit' }, 'Send'),
+        status,
+        output);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        let url = path;
+        const query = new URLSearchParams();
+        inputs.forEach((input, parameter) => {
+            const value = input.value.trim();
+            if (parameter.in === 'path') url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+            else if (parameter.in === 'query' && value !== '') query.append(parameter.name, value);
+        });
+        if ([...query].length > 0) url += `?${query}`;
+
+        const headers = {};
+        const token = document.querySelector('[data-field="token"]').value.trim();
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (bodyInput) headers['Content-Type'] = contentTypes.length > 1 ? typeSelect.value : contentTypes[0];
+
+        status.textContent = `${method.toUpperCase()} ${url} ...`;
+        status.className = 'result-status';
+        try {
+            const res = await fetch(url, { method: method.toUpperCase(), headers, body: bodyInput ? bodyInput.value : undefined });
+            const text = await res.text();
+            let shown = text;
+            try {
+                shown = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Not JSON (CSV / NDJSON export): show as is
+            }
+            status.textContent = `${res.status} ${res.statusText}`;
+            status.classList.add(res.ok ? 'is-success' : 'is-error');
+            output.textContent = shown;
+            output.hidden = false;
+        } catch (error) {
+            status.textContent = `Request failed: ${error.message}`;
+            status.classList.add('is-error');
+        }
+    });
+    return form;
+};
+
+/**
+ * One operation as a collapsible block
+ */
+const operationBlock = (method, path, operation) => {
+    const body = el('div', { className: 'operation-body' });
+    if (operation.description) body.append(el('p', {}, operation.description));
+
+    if ((operation.parameters || []).length > 0) {
+        body.append(el('h4', {}, 'Parameters'), parametersTable(operation.parameters));
+    }
+    if (operation.requestBody) {
+        Object.entries(operation.requestBody.content).forEach(([type, media]) => {
+            body.append(el('h4', {}, `Request body (${type})`));
+            const schema = resolve(media.schema);
+            body.append(schema.type === 'object' ? fieldsTable(media.schema) : el('p', {}, 'File content as text'));
+        });
+    }
+
+    body.append(el('h4', {}, 'Responses'));
+    body.append(el('table', {}, Object.entries(operation.responses).map(([code, response]) => {
+        const resolved = resolve(response);
+        const media = resolved.content && Object.values(resolved.content)[0];
+        const data = media && resolve(media.schema).properties && resolve(media.schema).properties.data;
+        return el('tr', {},
+            el('td', {}, el('code', {}, code)),
+            el('td', {}, resolved.description || ''),
+            el('td', {}, data ? `data: ${typeOf(data)}` : ''));
+    })));
+
+    body.append(tryItForm(method, path, operation));
+
+    return el('details', { className: 'operation', id: operation.operationId },
+        el('summary', {},
+            el('span', { className: `method method-${method}` }, method),
+            el('span', { className: 'path' }, path),
+            el('span', {}, operation.summary || ''),
+            operation.security ? el('span', { className: 'lock', title: 'Needs an access token' }, '🔒') : null),
+        body);
+};
+
+/**
+ * ============================================
+ * RENDER - WHY: One section per tag, in document order
+ * ============================================
+ */
+const render = () => {
+    document.title = `${spec.info.title} - API Docs`;
+    document.querySelector('[data-slot="title"]').textContent = spec.info.title;
+    document.querySelector('[data-slot="info"]').textContent = `Version ${spec.info.version}. ${spec.info.description || ''}`;
+
+    const groups = new Map((spec.tags || []).map(tag => [tag.name, []]));
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        METHODS.filter(method => item[method]).forEach(method => {
+            const operation = item[method];
+            const tag = (operation.tags || ['Other'])[0];
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(operationBlock(method, path, operation));
+        });
+    });
+
+    const nav = document.querySelector('[data-slot="nav"]');
+    const main = document.querySelector('[data-slot="operations"]');
+    groups.forEach((blocks, tag) => {
+        nav.append(el('a', { href: `#tag-${tag}` }, `${tag} (${blocks.length})`));
+        main.append(el('h2', { id: `tag-${tag}` }, tag), blocks);
+    });
+
+    // Open the operation named in the URL (#getProductsById)
+    const target = location.hash && document.getElementById(location.hash.slice(1));
+    if (target && target.tagName === 'DETAILS') target.open = true;
+};
+
+// ============================================
+// START - Token field + document
+// ============================================
+const tokenInput = document.querySelector('[data-field="token"]');
+tokenInput.value = localStorage.getItem(TOKEN_KEY) || '';
+tokenInput.addEventListener('change', () => {
+    const token = tokenInput.value.trim();
+    if (token) localStorage.setItem(TOKEN_KEY, token); else localStorage.removeItem(TOKEN_KEY);
+});
+
+fetch(SPEC_URL)
+    .then(res => {
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        return res.json();
+    })
+    .then(openapi => {
+        spec = openapi;
+        render();
+    })
+    .catch(error => {
+        document.querySelector('[data-slot="info"]').textContent = `Could not load ${SPEC_URL}: ${error.message}`;
+    });
@@ -0,0 +1,203 @@
+/**
+ * =====================================================
+ * AUTH ROUTES - routes/authRoutes.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - register: create a user with a scrypt password hash, start a session
+ * - login:    check email + password, start a session
+ * - refresh:  exchange a refresh token for a new token pair
+ * - logout:   revoke the current session
+ * - me:       return the logged-in user
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Users live in users.json like before; the hash is stored alongside
+ *   as passwordHash and never returned (publicUser)
+ * - Tokens/sessions are handled in utils/tokens.js + services/sessions.js;
+ *   this file only wires HTTP to them
+ * 
+ * CONTROL FLOW:
+ * POST /api/auth/login → validateBody(loginSchema) → find user by email
+ * → verifyPassword() → startSession() → { user, accessToken, refreshToken }
+ * 
+ * USING THE TOKEN:
+ * Authorization: Bearer <accessToken>   (routes that use authenticate)
+ * When it expires (401 "Token expired") → POST /api/auth/refresh
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const config = require('../config').auth;
+const response = require('../utils/responseHandler');
+const { validateBody } = require('../utils/validator');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { authenticate, publicUser } = require('../utils/auth');
+const { describe, defineSchema } = require('../utils/openapi');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { registerSchema, loginSchema, refreshSchema } = require('../schemas/authSchema');
+const { startSession, refreshSession, endSession } = require('../services/sessions');
+
+const USERS_FILENAME = 'users.json';
+
+// UNIQUE EMAIL INDEX - WHY: Register and login both look users up by email
+db.defineIndex(USERS_FILENAME, 'email', { unique: true });
+
+// RESPONSE SHAPES (API docs) - WHY: What startSession() / refreshSession() return
+const TOKENS = {
+  tokenType:    { type: 'string', enum: ['Bearer'] },
+  accessToken:  { type: 'string', description: 'Send as Authorization: Bearer <accessToken>' },
+  refreshToken: { type: 'string', description: 'Only for POST /api/auth/refresh' },
+  expiresIn:    { type: 'integer', description: 'Access token lifetime in seconds' }
+};
+defineSchema('Tokens', TOKENS, { record: false });
+defineSchema('Session', { user: { type: 'object', ref: 'User' }, ...TOKENS }, { record: false });
+
+// WHY: Unknown emails still run one scrypt, so response time doesn't reveal
+// which emails have accounts
+const dummyHash = hashPassword('not-a-real-password-0');
+
+/**
+ * ============================================
+ * POST /api/auth/register - Create an account
+ * ============================================
+ * 
+ * HOW:
+ * 1. validateBody(registerSchema): name, email, password (8+ chars, letter + digit)
+ * 2. Hash the password
+ * 3. Create the user as 'customer' (duplicate email → 409)
+ *    WHY ADMIN_EMAILS: Emails listed there become 'admin' (bootstraps the first admin)
+ * 4. Start a session, return user + tokens
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/auth/register \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"name":"John Doe","email":"john@example.com","password":"secret123"}'
+ * 
+ * @route POST /api/auth/register
+ * @returns {Object} - { user, tokenType, accessToken, refreshToken, expiresIn } with 201
+ */
+router.post('/register', describe({ summary: 'Create an account', returns: 'Session', status: 201, errors: [409] }), validateBody(registerSchema), async (req, res) => {
+  try {
+    const { name, email, phone, address, city, country, password } = req.body;
+    const passwordHash = await hashPassword(password);
+
+    const user = db.create(USERS_FILENAME, {
+      name,
+      email,
+      phone: phone || '',
+      address: address || '',
+      city: city || '',
+      country: country || '',
+      isActive: true,
+      role: config.adminEmails.includes(email.toLowerCase()) ? 'admin' : 'customer',
+      passwordHash
+    });
+
+    const tokens = startSession(user);
+    res.status(201).json(response.success({ user: publicUser(user), ...tokens }, 'Registration successful', 201));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to register');
+  }
+});
+
+/**
+ * ============================================
+ * POST /api/auth/login - Log in with email + password
+ * ============================================
+ * 
+ * HOW:
+ * 1. Find user by email (unique index)
+ * 2. Verify password (always runs scrypt, even for unknown emails)
+ * 3. Wrong email or password → 401 with the SAME message
+ * 4. Deactivated account → 403
+ * 5. Start a session, return user + tokens
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/auth/login \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"email":"john@example.com","password":"secret123"}'
+ * 
+ * @route POST /api/auth/login
+ * @returns {Object} - { user, tokenType, accessToken, refreshToken, expiresIn }
+ */
+router.post('/login', describe({ summary: 'Log in with email + password', returns: 'Session', errors: [401, 403] }), validateBody(loginSchema), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = db.findOne(USERS_FILENAME, 'email', email);
+
+    const valid = await verifyPassword(password, user && user.passwordHash ? user.passwordHash : await dummyHash);
+    if (!user || !user.passwordHash || !valid) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+    if (user.isActive === false) {
+      throw new ForbiddenError('Account is deactivated');
+    }
+
+    const tokens = startSession(user);
+    res.json(response.success({ user: publicUser(user), ...tokens }, 'Login successful'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to log in');
+  }
+});
+
+/**
+ * ============================================
+ * POST /api/auth/refresh - New token pair
+ * ============================================
+ * 
+ * HOW: services/sessions.refreshSession() verifies and rotates the refresh token
+ * WHY rotate: The old refresh token stops working; reusing it revokes the session
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/auth/refresh \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"refreshToken":"eyJhbGciOi..."}'
+ * 
+ * @route POST /api/auth/refresh
+ * @returns {Object} - { tokenType, accessToken, refreshToken, expiresIn }
+ */
+router.post('/refresh', describe({ summary: 'New token pair (rotates the refresh token)', returns: 'Tokens', errors: [401] }), validateBody(refreshSchema), (req, res) => {
+  try {
+    const tokens = refreshSession(req.body.refreshToken);
+    res.json(response.success(tokens, 'Token refreshed'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to refresh token');
+  }
+});
+
+/**
+ * ============================================
+ * POST /api/auth/logout - End the current session
+ * ============================================
+ * 
+ * HOW: authenticate finds the session → revoke it
+ * Result: Access AND refresh token of this session stop working immediately
+ * 
+ * @route POST /api/auth/logout
+ */
+router.post('/logout', describe({ summary: 'End the current session' }), authenticate, (req, res) => {
+  try {
+    endSession(req.session.id);
+    res.json(response.success(null, 'Logged out successfully'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to log out');
+  }
+});
+
+/**
+ * ============================================
+ * GET /api/auth/me - Current user
+ * ============================================
+ * 
+ * @route GET /api/auth/me
+ * @returns {Object} - Logged-in user (without passwordHash)
+ */
+router.get('/me', describe({ summary: 'Current user', returns: 'User' }), authenticate, (req, res) => {
+  res.json(response.success(req.user, 'Current user fetched'));
+});
+
+// ============================================
+// EXPORT ROUTER - WHY: Use in server.js
+// ============================================
+module.exports = router;
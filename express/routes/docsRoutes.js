@@ -0,0 +1,60 @@
+/**
+ * =====================================================
+ * API DOCS ROUTES - routes/docsRoutes.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - GET /api/openapi.json: OpenAPI 3 document of every route (utils/openapi.js)
+ * - GET /api/docs/: Interactive docs page (../docs), reads that document
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Client teams generate SDKs from openapi.json (openapi-generator, orval, ...)
+ * - The page is plain HTML + JS served by this app: no CDN, works offline,
+ *   and "Try it" calls the API from the same origin (no CORS setup)
+ * - Public: the document only describes the API, it holds no data
+ *
+ * CONTROL FLOW:
+ * GET /api/openapi.json → first call: buildSpec(app) → cached → JSON
+ */
+
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const { describe, buildSpec } = require('../utils/openapi');
+const { version, description } = require('../package.json');
+
+// WHY cache: Routes don't change while the server runs
+let spec = null;
+
+/**
+ * ============================================
+ * GET /api/openapi.json - OpenAPI 3 document
+ * ============================================
+ *
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/api/openapi.json -o openapi.json
+ * npx @openapitools/openapi-generator-cli generate -i openapi.json -g typescript-fetch -o sdk
+ *
+ * @route GET /api/openapi.json
+ * @returns {Object} - OpenAPI 3.0 document (not wrapped in the response envelope)
+ */
+router.get('/openapi.json', describe({ summary: 'OpenAPI document (this API)', returns: { openapi: { type: 'string' }, paths: { type: 'object' } }, raw: true }), (req, res) => {
+  if (!spec) {
+    spec = buildSpec(req.app, {
+      title: 'Express API',
+      version,
+      description: `${description}. Log in with POST /api/auth/login and send the accessToken as a Bearer token.`
+    });
+  }
+  res.json(spec);
+});
+
+// ============================================
+// DOCS PAGE - WHY: Browse and try the API at http://localhost:3000/api/docs/
+// ============================================
+router.use('/docs', express.static(path.join(__dirname, '../docs')));
+
+// ============================================
+// EXPORT ROUTER - WHY: Use in server.js
+// ============================================
+module.exports = router;
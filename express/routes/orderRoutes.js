@@ -11,7 +11,7 @@
  * 
  * WHY IT WORKS THIS WAY:
  * - E-commerce order processing workflow
- * - Status validation to prevent invalid transitions
+ * - State machine prevents invalid status transitions
  * - Prevent changing userId after order creation (data integrity)
  * - Comprehensive order filtering and searching
  * 
@@ -19,20 +19,230 @@
  * Client Request → Route Matcher → Validators → Logic → Database → Response
  * 
  * DATA FLOW:
- * Order Creation: {userId, items, totalAmount} → Validate → Generate ID → Save → Response
- * Order Status: PATCH → Validate status → Update in DB → Return updated order
- * 
- * ORDER LIFECYCLE:
- * pending → confirmed → shipped → delivered (or cancelled at any stage)
+ * Order Creation: {userId, items} → Validate → Price from products.json → Generate ID → Save → Response
+ * Order Status: POST /:id/ship → State machine checks transition → Update in DB → Return order
+ * 
+ * ORDER LIFECYCLE (services/orderStateMachine.js):
+ * pending → confirmed → shipped → delivered (cancel allowed before shipping)
+ * Status changes only through POST /:id/confirm | ship | deliver | cancel
+ * Notes, address and payment can be edited only while pending or confirmed (409 after)
+ * 
+ * STOCK (services/inventory.js):
+ * create → reserve units, confirm → take them off the shelf, cancel/delete → give back
+ * 
+ * RELATIONS (utils/database.js):
+ * - userId → users, items[].productId → products (both onDelete: restrict)
+ * - A user or product with OPEN orders (not delivered/cancelled) can't be deleted;
+ *   with only closed orders it can be trashed, but not purged while any order names it
+ * - New orders need an existing, active user (400 otherwise)
+ * 
+ * ACCESS (utils/auth.js) - every endpoint requires login:
+ * - customer → only their own orders: list (scoped to them), read, create, edit notes/address, cancel,
+ *   export/import (the same orders and rules)
+ * - staff/admin → all orders, confirm/ship/deliver, status lists
+ * - admin → delete
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
 const response = require('../utils/responseHandler');
-const { validateRequired, validateId } = require('../utils/validator');
+const { validateId, validateBody } = require('../utils/validator');
+const { ORDER_STATUSES, orderSchema } = require('../schemas/orderSchema');
+const { initialState, transition, assertEditable } = require('../services/orderStateMachine');
+const { priceOrder, verifyClientPrices } = require('../services/pricing');
+const inventory = require('../services/inventory');
+const { AppError, ForbiddenError } = require('../utils/errors');
+const { setETag, checkIfMatch } = require('../utils/etag');
+const { queryFields, validateQuery, applyQuery, eqFilter, selectFields } = require('../utils/query');
+const { paginate } = require('../utils/pagination');
+const { bulkHandler } = require('../utils/bulk');
+const { exportHandler, importHandler } = require('../utils/importExport');
+const { describe, defineSchema } = require('../utils/openapi');
+const { defineGauge } = require('../utils/metrics');
+const { authenticate, authorize, authorizeSelfOr, hasRole, isOwnerOr } = require('../utils/auth');
 
 const FILENAME = 'orders.json';
+const PRODUCTS_FILENAME = 'products.json';
+const USERS_FILENAME = 'users.json';
+
+// INDEXES - WHY: "Orders of user X" and "orders with status Y" are the common lookups
+db.defineIndex(FILENAME, 'userId');
+db.defineIndex(FILENAME, 'status');
+
+// RELATIONS - WHY: An order is history; the user and products it names must stay
+// WHY soft delete is only blocked by open orders: A trashed user/product stays in
+// storage (orders keep name and price anyway); an open order still needs stock and a customer
+const CLOSED_STATUSES = ['delivered', 'cancelled'];
+const isOpen = (order) => !CLOSED_STATUSES.includes(order.status);
+db.defineRelation(FILENAME, 'userId', USERS_FILENAME, { onDelete: 'restrict', blockSoftDeleteWhen: isOpen });
+db.defineRelation(FILENAME, 'items.productId', PRODUCTS_FILENAME, { onDelete: 'restrict', blockSoftDeleteWhen: isOpen });
+
+// API DOCS - WHY: components/schemas/Order (utils/openapi.js)
+defineSchema('Order', orderSchema);
+
+// METRICS - WHY: A growing 'pending' count means fulfillment is falling behind (status index)
+defineGauge('store_orders', 'Orders by status', ['status'],
+  () => ORDER_STATUSES.map(status => ({ labels: { status }, value: db.findBy(FILENAME, 'status', status).length })));
+
+// Roles that work with every order (fulfillment)
+const FULFILLMENT_ROLES = ['staff', 'admin'];
+
+// LIST QUERY - WHY: ?field[op]=value, sort, fields (utils/query.js)
+const ORDER_QUERY = { fields: queryFields(orderSchema) };
+
+// EXPORT QUERY - WHY: Same filters as the list, plus ?format=
+const EXPORT_QUERY = { ...ORDER_QUERY, allow: ['format'] };
+
+// WHY: Customers may only touch orders they placed
+const canAccess = (req, order) => isOwnerOr(req.user, order.userId, FULFILLMENT_ROLES);
+
+/**
+ * Make sure an order can be placed for this user
+ * WHY 400 (not the data layer's 409): Same shape as the other body errors
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {number} userId - Who the order is for
+ * @throws {AppError} - 400 if the user doesn't exist or is inactive
+ */
+const checkCustomer = (tx, userId) => {
+  const user = tx.getById(USERS_FILENAME, userId);
+  const message = !user ? `User ${userId} not found` : user.isActive === false ? `User ${userId} is inactive` : null;
+  if (message) {
+    throw new AppError('Order cannot be placed for this user', 400, [{ field: 'userId', message }]);
+  }
+};
+
+/**
+ * ============================================
+ * PLACE ORDER - WHY: Shared by POST / and POST /bulk
+ * ============================================
+ * 
+ * HOW (one transaction):
+ * 1. Customers order for themselves; staff may place orders for anyone (403)
+ * 2. The user must exist and be active (400)
+ * 3. Catalog prices decide the total (services/pricing.js)
+ * 4. Stock is reserved (409 if not enough) and the order created
+ * 
+ * @param {Object} user - req.user
+ * @param {Object} data - Fields validated against orderSchema
+ * @returns {Object} - Created order
+ * @throws {ForbiddenError|AppError|InsufficientStockError}
+ */
+const placeOrder = (user, data) => {
+  const { items, totalAmount, shippingAddress, paymentMethod } = data;
+
+  // WHY: Customers order for themselves; staff may place orders for anyone
+  const userId = data.userId || user.id;
+  if (!isOwnerOr(user, userId, FULFILLMENT_ROLES)) {
+    throw new ForbiddenError('You can only place orders for yourself');
+  }
+
+  return db.transaction(tx => {
+    checkCustomer(tx, userId);
+
+    // ============================================
+    // PRICING - WHY: Catalog prices, not client prices, decide the total
+    // ============================================
+    const priced = priceOrder(items, productId => tx.getById(PRODUCTS_FILENAME, productId));
+    verifyClientPrices(items, priced, totalAmount);
+
+    // RESERVE STOCK - WHY: Hold units until the order is confirmed or cancelled
+    // (throws InsufficientStockError → whole transaction aborted)
+    const inventoryState = inventory.reserve(tx, priced.items);
+
+    return tx.create(FILENAME, {
+      userId,
+      items: priced.items,                 // [{ productId, name, quantity, unitPrice, lineTotal }]
+      pricing: priced.pricing,             // { subtotal, taxRate, tax, shipping, total }
+      totalAmount: priced.pricing.total,
+      inventory: inventoryState,           // 'reserved' → see services/inventory.js
+      ...initialState(),                   // status 'pending' + first history entry
+      paymentMethod: paymentMethod || 'credit-card',
+      shippingAddress: shippingAddress || '',
+      notes: data.notes || ''
+    });
+  });
+};
+
+/**
+ * UPDATE ORDER - WHY: Shared by PUT, PATCH and POST /bulk
+ * 
+ * @param {Object} user - req.user
+ * @param {Object} order - Current order
+ * @param {Object} data - Fields validated against orderSchema (partial)
+ * @returns {Object} - Updated order
+ * @throws {ForbiddenError} - If a customer edits someone else's order
+ * @throws {InvalidTransitionError} - If the order has shipped or is closed (409)
+ */
+const updateOrder = (user, order, data) => {
+  if (!isOwnerOr(user, order.userId, FULFILLMENT_ROLES)) {
+    throw new ForbiddenError('You can only access your own orders');
+  }
+  assertEditable(order);
+  return db.update(FILENAME, order.id, data);
+};
+
+/**
+ * DELETE ORDER - WHY: Shared by DELETE /:id and POST /bulk
+ * 
+ * WHY store the inventory state: restore needs to know the stock was given back
+ * 
+ * @param {Object} order - Current order
+ */
+const deleteOrder = (order) => {
+  db.transaction(tx => {
+    tx.update(FILENAME, order.id, { inventory: inventory.release(tx, order) });
+    tx.deleteRecord(FILENAME, order.id);
+  });
+};
+
+/**
+ * FIND ORDERS - WHY: Shared by the list and /export, so both return the same orders
+ * 
+ * @param {Object} req - Express request (req.user, req.listQuery)
+ * @returns {Array} - Matching orders, sorted
+ */
+const findOrders = (req) => {
+  // WHY: A customer's list is always their own, whatever ?userId says
+  const userId = hasRole(req.user, FULFILLMENT_ROLES) ? eqFilter(req.listQuery, 'userId') : req.user.id;
+  const status = eqFilter(req.listQuery, 'status');
+  let orders;
+
+  // ============================================
+  // USER ID / STATUS INDEX - WHY: Start from the narrowest index lookup available
+  // ============================================
+  if (userId !== undefined) {
+    orders = db.findBy(FILENAME, 'userId', userId);
+  } else if (status !== undefined) {
+    orders = db.findBy(FILENAME, 'status', status);
+  } else {
+    orders = db.getAll(FILENAME);
+  }
+
+  // FILTER + SORT - WHY: Same rules as every other list (utils/query.js)
+  return applyQuery(orders, req.listQuery);
+};
+
+// RESOURCE - WHY: How /bulk and /import write orders, with the same permissions per item
+const ORDER_RESOURCE = {
+  filename: FILENAME,
+  label: 'Order',
+  schema: orderSchema,
+  authorize: (order, req) => {
+    if (!canAccess(req, order)) {
+      throw new ForbiddenError('You can only access your own orders');
+    }
+  },
+  create: (data, req) => placeOrder(req.user, data),
+  update: (order, data, req) => updateOrder(req.user, order, data),
+  remove: (order, req) => {
+    if (!hasRole(req.user, ['admin'])) {
+      throw new ForbiddenError('Only admins can delete orders');
+    }
+    deleteOrder(order);
+  }
+};
 
 /**
  * ============================================
@@ -40,16 +250,16 @@ const FILENAME = 'orders.json';
  * ============================================
  * 
  * HOW:
- * 1. Get all orders from database
- * 2. Filter by userId if provided (find specific user's orders)
- * 3. Filter by status if provided (pending, confirmed, etc.)
- * 4. Paginate results
- * 5. Return formatted response
+ * 1. validateQuery(ORDER_QUERY) checks filters/sort/fields (400 on unknown fields)
+ * 2. Start from the narrowest index: the caller (customers), ?userId= or ?status=
+ * 3. Apply every field filter (status, totalAmount, dates, ...) and the sort
+ * 4. Paginate results (?page= or ?after=/?before= cursors, Link header)
+ * 5. Return formatted response (only ?fields= if given)
  * 
  * CONTROL FLOW:
- *   Query params extracted → db.getAll() reads data
- *   → Apply userId filter → Apply status filter
- *   → Paginate → Return
+ *   validateQuery() → req.listQuery
+ *   → db.findBy() uses userId or status index (db.getAll() when neither is given)
+ *   → applyQuery() → paginate() → selectFields() → Return
  * 
  * COMMAND FLOW EXAMPLES:
  * GET /api/orders
@@ -64,50 +274,124 @@ const FILENAME = 'orders.json';
  * GET /api/orders?userId=1&status=shipped&page=1&limit=5
  *   → Returns user 1's shipped orders, 5 per page
  * 
+ * GET /api/orders?status[ne]=cancelled&totalAmount[gt]=100&createdAt[gte]=2024-06-01&sort=-totalAmount
+ *   → Big, not-cancelled orders since June, largest first
+ * 
  * @route GET /api/orders
- * @param {number} userId - Filter by user ID (optional)
+ * @param {number} userId - Filter by user ID (optional; customers always get their own)
  * @param {string} status - Filter by order status (optional)
+ * @param {string} <field>[<op>] - Field filters: eq, ne, gt, gte, lt, lte, in, contains (optional)
+ * @param {string} sort - e.g. '-createdAt' (default: id)
+ * @param {string} fields - Comma-separated fields to return (optional)
  * @param {number} page - Page number (default: 1)
- * @param {number} limit - Items per page (default: 10)
+ * @param {string} after - Cursor: the page after it (optional, instead of page)
+ * @param {string} before - Cursor: the page before it (optional, instead of page)
+ * @param {number} limit - Items per page (default: 10, max: 100)
  * @returns {Object} - Paginated orders with filtering
  */
-router.get('/', (req, res) => {
+router.get('/', describe({ summary: 'List orders', description: 'Customers only see their own orders.', returns: 'Order', list: true }), authenticate, validateQuery(ORDER_QUERY), (req, res) => {
   try {
-    const { userId, status } = req.query;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    let orders = db.getAll(FILENAME) || [];
-
-    // ============================================
-    // USER ID FILTER - WHY: Find specific user's orders
-    // ============================================
-    // Filter by userId
-    if (userId) {
-      orders = orders.filter(o => o.userId === parseInt(userId, 10));
-    }
-
-    // ============================================
-    // STATUS FILTER - WHY: Filter by order status
-    // ============================================
-    // Filter by status
-    if (status) {
-      const s = String(status).toLowerCase();
-      orders = orders.filter(o => String(o.status || '').toLowerCase() === s);
-    }
+    // INDEX LOOKUP + FILTER + SORT - WHY: Same lookup as /export
+    const orders = findOrders(req);
 
     // ============================================
     // PAGINATION - WHY: Handle large order lists efficiently
     // ============================================
-    const total = orders.length;
-    const start = (page - 1) * limit;
-    const paginatedOrders = orders.slice(start, start + limit);
-
-    res.json(response.paginated(paginatedOrders, page, limit, total));
+    res.json(paginate(req, res, orders, order => selectFields(order, req.listQuery.fields)));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch orders', 500));
   }
 });
 
+/**
+ * ============================================
+ * GET /api/orders/trash - List soft-deleted orders (admin)
+ * ============================================
+ * 
+ * WHY before /:id: Express would otherwise treat "trash" as an order ID
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/api/orders/trash
+ * 
+ * @route GET /api/orders/trash
+ * @returns {Array} - Orders with deletedAt set
+ */
+router.get('/trash', describe({ summary: 'Deleted orders', returns: ['Order'] }), authenticate, authorize('admin'), (req, res) => {
+  try {
+    res.json(response.success(db.getDeleted(FILENAME), 'Deleted orders fetched successfully'));
+  } catch (error) {
+    res.status(500).json(response.error('Failed to fetch deleted orders', 500));
+  }
+});
+
+/**
+ * ============================================
+ * POST /api/orders/bulk - Create, update and delete many orders at once
+ * ============================================
+ * 
+ * HOW (utils/bulk.js):
+ * 1. Every operation is validated with orderSchema like POST / PATCH
+ * 2. All of them are applied in one transaction; each order is priced and
+ *    reserves stock exactly like POST / (a failed one gives its stock back)
+ * 3. Same permissions per operation: customers create/update their own
+ *    orders only, delete is admin-only → 403 for that item
+ * 4. Report per operation; atomic: true → all or nothing
+ * 
+ * @route POST /api/orders/bulk
+ * @param {boolean} atomic - All or nothing (default: false)
+ * @param {Array} operations - [{ op: 'create'|'update'|'delete', id, data, ifMatch }]
+ * @returns {Object} - 200/207 with a result per operation
+ */
+router.post('/bulk', describe({ summary: 'Place, update and delete orders in one request' }), authenticate, bulkHandler(ORDER_RESOURCE));
+
+/**
+ * ============================================
+ * GET /api/orders/export - Download orders as CSV or NDJSON
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Same filters, sort and ?fields= as GET /api/orders (customers: their own orders)
+ * 2. Every matching order (no pages), streamed as a file download
+ * 3. items and pricing are written as JSON inside their CSV cells
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -o pending.csv "http://localhost:3000/api/orders/export?status=pending&sort=-createdAt"
+ * 
+ * @route GET /api/orders/export
+ * @param {string} format - csv (default) or ndjson
+ * @param {string} <field>[<op>] / sort / fields - Same as GET /api/orders
+ * @returns {File} - orders-YYYY-MM-DD.csv / .ndjson
+ */
+router.get('/export', describe({ summary: 'Export orders as CSV or NDJSON', description: 'Customers only export their own orders.' }), authenticate, validateQuery(EXPORT_QUERY), exportHandler({
+  ...ORDER_RESOURCE,
+  find: findOrders
+}));
+
+/**
+ * ============================================
+ * POST /api/orders/import - Place and update orders from a CSV / NDJSON file
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Rows without an id are placed like POST / (priced, stock reserved);
+ *    rows with an id update that order like PATCH (notes, address, payment)
+ * 2. An exported file imports as-is: status/pricing are ignored, unchanged
+ *    userId/items/totalAmount are skipped on update rows
+ * 3. Same permissions per row as /bulk; report per row; ?dryRun=true saves nothing
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST "http://localhost:3000/api/orders/import?dryRun=true" \
+ *   -H "Content-Type: application/x-ndjson" --data-binary @orders.ndjson
+ * 
+ * @route POST /api/orders/import
+ * @param {string} format - csv or ndjson (default: from Content-Type)
+ * @param {Object} map - map[Column]=field renames a column, map[Column]= skips it
+ * @param {boolean} dryRun - Validate and report without saving (default: false)
+ * @param {boolean} atomic - All rows or none (default: false)
+ * @returns {Object} - 200/207 with a result per row
+ */
+router.post('/import', describe({ summary: 'Import orders from CSV or NDJSON' }), authenticate, importHandler(ORDER_RESOURCE));
+
 /**
  * ============================================
  * GET /api/orders/:id - Get single order by ID
@@ -132,14 +416,18 @@ router.get('/', (req, res) => {
  * @param {number} id - Order ID
  * @returns {Object} - Order object
  */
-router.get('/:id', validateId, (req, res) => {
+router.get('/:id', describe({ summary: 'Get an order', returns: 'Order', errors: [403] }), validateId, authenticate, (req, res) => {
   try {
     const order = db.getById(FILENAME, req.params.id);
     
     if (!order) {
       return res.status(404).json(response.error('Order not found', 404));
     }
+    if (!canAccess(req, order)) {
+      return res.status(403).json(response.error('You can only access your own orders', 403));
+    }
 
+    setETag(res, order);   // WHY: If-None-Match with this ETag → 304
     res.json(response.success(order, 'Order fetched successfully'));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch order', 500));
@@ -152,81 +440,72 @@ router.get('/:id', validateId, (req, res) => {
  * ============================================
  * 
  * HOW:
- * 1. Validate required fields (userId, items, totalAmount)
- * 2. Validate items is non-empty array
- * 3. Validate totalAmount is positive number
- * 4. Create order with auto-ID
- * 5. Set initial status to 'pending'
- * 6. Save to database
- * 7. Return created order with 201 status
+ * 1. validateBody(orderSchema): items present (userId defaults to the caller),
+ *    items is a non-empty array of {productId, quantity, price?}
+ *    (all errors together)
+ * 2. Open a transaction; the user must exist and be active (400 otherwise)
+ * 3. Price the order from products.json (unknown products → 400)
+ * 4. Compare any client price/totalAmount with the result (mismatch → 409)
+ * 5. Reserve stock of every ordered product (409 listing every short item)
+ * 6. Create order with auto-ID, priced items, pricing breakdown,
+ *    initial status 'pending' + statusHistory
+ * 7. Commit products.json + orders.json together
+ * 8. Return created order with 201 status
  * 
  * CONTROL FLOW:
  *   POST request with JSON
- *   → validateRequired checks 3 fields present
- *   → Handler validates items array and amount
- *   → db.create() auto-generates ID
+ *   → validateBody checks every field and every item
+ *   → priceOrder() looks up every product, computes totals
+ *   → db.transaction() stages reservations + db.create()
+ *   → Both files written all-or-nothing
  *   → Returns 201 status
  * 
+ * WHY transaction: A crash between writing products.json and orders.json
+ * would otherwise leave stock reserved for an order that doesn't exist
+ * 
+ * WHY server-side pricing: The client's price and totalAmount are only
+ * a claim; the stored totalAmount always comes from the product catalog
+ * 
  * COMMAND FLOW EXAMPLE:
  * curl -X POST http://localhost:3000/api/orders \
  *   -H "Content-Type: application/json" \
  *   -d '{
  *     "userId":1,
  *     "items":[
- *       {"productId":1,"quantity":2,"price":99.99}
+ *       {"productId":1,"quantity":2}
  *     ],
- *     "totalAmount":199.98,
  *     "shippingAddress":"123 Main St",
  *     "paymentMethod":"credit-card"
  *   }'
  * 
- * VALIDATION RULES:
+ * VALIDATION RULES (schemas/orderSchema.js):
+ * - userId: Must be an existing user with isActive not false
  * - items: Must be array with at least 1 item
- * - totalAmount: Must be positive number
+ * - items[].productId / quantity: Positive integers
+ * - items[].productId: Must be an existing product
+ * - items[].price / totalAmount: Optional, must match the computed values
+ * - quantity: Must not exceed the product's available stock (stock - reserved)
  * - Initial status: Always 'pending'
  * 
  * @route POST /api/orders
- * @param {number} userId - User ID placing order (required)
+ * @param {number} userId - User ID placing order (optional, default: logged-in user; staff only for others)
  * @param {Array} items - Order items array (required, non-empty)
- * @param {number} totalAmount - Total order amount (required, must be > 0)
+ * @param {number} totalAmount - Expected total (optional, verified against the computed total)
  * @param {string} shippingAddress - Delivery address (optional)
  * @param {string} paymentMethod - Payment method (optional, default: credit-card)
  * @param {string} notes - Order notes (optional)
  * @returns {Object} - Created order with 201 status
  */
-router.post('/', validateRequired(['userId', 'items', 'totalAmount']), (req, res) => {
+router.post('/', describe({ summary: 'Place an order', description: 'Prices come from the catalog; stock is reserved (409 if short).', returns: 'Order', status: 201, errors: [403, 409] }), authenticate, validateBody(orderSchema), (req, res) => {
   try {
-    const { userId, items, totalAmount, shippingAddress, paymentMethod } = req.body;
-
-    // ============================================
-    // VALIDATION - WHY: Prevent invalid orders in database
-    // ============================================
-    
-    // WHY: Items must be array with data
-    // Validate items is an array
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json(response.error('Items must be a non-empty array', 400));
-    }
-
-    // WHY: Amount must be positive
-    // Validate total amount is a number
-    if (isNaN(totalAmount) || totalAmount <= 0) {
-      return res.status(400).json(response.error('Total amount must be a positive number', 400));
-    }
-
-    const newOrder = db.create(FILENAME, {
-      userId: parseInt(userId),
-      items,
-      totalAmount: parseFloat(totalAmount),
-      status: 'pending',
-      paymentMethod: paymentMethod || 'credit-card',
-      shippingAddress: shippingAddress || '',
-      notes: req.body.notes || ''
-    });
+    // WHY no manual checks: validateBody already checked and converted every field
+    // (403 for someone else's order, 400 unknown user, 409 out of stock - all thrown)
+    const newOrder = placeOrder(req.user, req.body);
 
+    setETag(res, newOrder);
     res.status(201).json(response.success(newOrder, 'Order created successfully', 201));
   } catch (error) {
-    res.status(500).json(response.error('Failed to create order', 500));
+    response.sendError(res, error, 'Failed to create order');
   }
 });
 
@@ -236,18 +515,19 @@ router.post('/', validateRequired(['userId', 'items', 'totalAmount']), (req, res
  * ============================================
  * 
  * HOW:
- * 1. Validate ID
- * 2. Check order exists
- * 3. Prevent userId change (data integrity)
- * 4. Update all fields
- * 5. Save to database
- * 6. Return updated order
+ * 1. Validate ID and provided fields (orderSchema)
+ *    - userId/items are createOnly → 400 if sent (data integrity)
+ *    - unknown or read-only fields → 400
+ * 2. Check order exists and is still pending or confirmed (409 otherwise)
+ * 3. Update all fields
+ * 4. Save to database
+ * 5. Return updated order
  * 
  * CONTROL FLOW:
  *   PUT /api/orders/1
  *   → validateId checks ID valid
+ *   → validateBody rejects userId/items changes
  *   → Handler checks order exists
- *   → Prevents userId change
  *   → Update all fields
  *   → Save to database
  * 
@@ -258,57 +538,47 @@ router.post('/', validateRequired(['userId', 'items', 'totalAmount']), (req, res
  * @param {Object} body - Updated order fields
  * @returns {Object} - Updated order object
  */
-router.put('/:id', validateId, (req, res) => {
+router.put('/:id', describe({ summary: 'Update an order', returns: 'Order', errors: [403, 409, 412] }), validateId, authenticate, validateBody(orderSchema, { partial: true }), (req, res) => {
   try {
     const order = db.getById(FILENAME, req.params.id);
     
     if (!order) {
       return res.status(404).json(response.error('Order not found', 404));
     }
-
-    // ============================================
-    // PREVENT USER ID CHANGE - WHY: Data integrity
-    // ============================================
-    // Prevent changing userId after creation
-    if (req.body.userId && req.body.userId !== order.userId) {
-      return res.status(400).json(response.error('Cannot change userId after order creation', 400));
+    if (!canAccess(req, order)) {
+      return res.status(403).json(response.error('You can only access your own orders', 403));
     }
+    checkIfMatch(req, order);   // 412 if someone saved since the client read it
 
-    const updateData = { ...req.body };
-    
-    // WHY: Convert totalAmount to float for precision
-    if (updateData.totalAmount !== undefined) {
-      updateData.totalAmount = parseFloat(updateData.totalAmount);
-    }
-
-    const updatedOrder = db.update(FILENAME, req.params.id, updateData);
+    const updatedOrder = updateOrder(req.user, order, req.body);
+    setETag(res, updatedOrder);
     res.json(response.success(updatedOrder, 'Order updated successfully'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to update order', 500));
+    response.sendError(res, error, 'Failed to update order');
   }
 });
 
 /**
  * ============================================
- * PATCH /api/orders/:id - Partial update order (usually for status changes)
+ * PATCH /api/orders/:id - Partial update order (notes, address, payment)
  * ============================================
  * 
  * HOW:
- * 1. Validate ID
- * 2. Check order exists
- * 3. If updating status, validate it's a valid status
- * 4. Update provided fields only
+ * 1. Validate ID and provided fields
+ *    WHY status is rejected here: it is read-only, use the lifecycle endpoints
+ * 2. Check order exists and is still pending or confirmed (409 otherwise)
+ * 3. Update provided fields only
  * 5. Save to database
  * 6. Return updated order
  * 
  * CONTROL FLOW:
- *   PATCH /api/orders/1 with {"status":"shipped"}
+ *   PATCH /api/orders/1 with {"notes":"Leave at door"}
  *   → validateId checks ID valid
- *   → Handler validates status is valid
+ *   → validateBody checks fields (status → 400 read-only)
  *   → db.update() merges fields
  *   → Returns updated order
  * 
- * VALID STATUS VALUES:
+ * STATUS VALUES (changed via POST /:id/confirm|ship|deliver|cancel):
  * - pending    = Order created, awaiting confirmation
  * - confirmed  = Order confirmed by system/payment
  * - shipped    = Order has been shipped
@@ -318,40 +588,32 @@ router.put('/:id', validateId, (req, res) => {
  * COMMAND FLOW EXAMPLE:
  * curl -X PATCH http://localhost:3000/api/orders/1 \
  *   -H "Content-Type: application/json" \
- *   -d '{"status":"shipped"}'
+ *   -d '{"shippingAddress":"42 New St"}'
  * 
- * Result: Order status changed to shipped, other fields unchanged
+ * Result: Address changed, other fields unchanged
  * 
  * @route PATCH /api/orders/:id
  * @param {number} id - Order ID
  * @param {Object} body - Fields to update (partial)
  * @returns {Object} - Updated order object
  */
-router.patch('/:id', validateId, (req, res) => {
+router.patch('/:id', describe({ summary: 'Partially update an order', returns: 'Order', errors: [403, 409, 412] }), validateId, authenticate, validateBody(orderSchema, { partial: true }), (req, res) => {
   try {
     const order = db.getById(FILENAME, req.params.id);
     
     if (!order) {
       return res.status(404).json(response.error('Order not found', 404));
     }
-
-    // ============================================
-    // STATUS VALIDATION - WHY: Prevent invalid status values
-    // ============================================
-    // If updating status, validate it
-    if (req.body.status) {
-      const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-      if (!validStatuses.includes(req.body.status.toLowerCase())) {
-        return res.status(400).json(
-          response.error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400)
-        );
-      }
+    if (!canAccess(req, order)) {
+      return res.status(403).json(response.error('You can only access your own orders', 403));
     }
+    checkIfMatch(req, order);   // 412 if someone saved since the client read it
 
-    const updatedOrder = db.update(FILENAME, req.params.id, req.body);
+    const updatedOrder = updateOrder(req.user, order, req.body);
+    setETag(res, updatedOrder);
     res.json(response.success(updatedOrder, 'Order partially updated'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to update order', 500));
+    response.sendError(res, error, 'Failed to update order');
   }
 });
 
@@ -366,23 +628,26 @@ router.patch('/:id', validateId, (req, res) => {
  * HOW:
  * 1. Validate ID
  * 2. Check order exists
- * 3. Remove from database
- * 4. Return success
+ * 3. Give back any stock the order still holds (inventory.release)
+ * 4. Soft delete: set deletedAt (same transaction) - see POST /:id/restore
+ * 5. Return success
  * 
  * @route DELETE /api/orders/:id
  */
- router.delete('/:id', validateId, (req, res) => {
+ router.delete('/:id', describe({ summary: 'Delete an order (soft)', errors: [412] }), validateId, authenticate, authorize('admin'), (req, res) => {
   try {
     const order = db.getById(FILENAME, req.params.id);
     
     if (!order) {
       return res.status(404).json(response.error('Order not found', 404));
     }
+    checkIfMatch(req, order);
 
-    db.deleteRecord(FILENAME, req.params.id);
+    // Give back held stock, then soft delete (one transaction)
+    deleteOrder(order);
     res.json(response.success(null, 'Order deleted successfully'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to delete order', 500));
+    response.sendError(res, error, 'Failed to delete order');
   }
 });
 
@@ -394,14 +659,14 @@ router.patch('/:id', validateId, (req, res) => {
  * GET /api/orders/user/:userId - Get all orders by specific user
  * ============================================
  * 
- * HOW: Filter orders where userId matches
+ * HOW: Look up orders in the userId index
  * USE CASE: Customer viewing their order history
  * 
  * @route GET /api/orders/user/:userId
  */
- router.get('/user/:userId', validateId, (req, res) => {
+ router.get('/user/:userId', describe({ summary: 'Orders of a user', returns: ['Order'] }), validateId, authenticate, authorizeSelfOr('userId', ...FULFILLMENT_ROLES), (req, res) => {
   try {
-    const userOrders = db.filter(FILENAME, o => o.userId === parseInt(req.params.userId));
+    const userOrders = db.findBy(FILENAME, 'userId', parseInt(req.params.userId, 10));
     
     if (userOrders.length === 0) {
       return res.status(404).json(response.error('No orders found for this user', 404));
@@ -421,14 +686,14 @@ router.patch('/:id', validateId, (req, res) => {
  * GET /api/orders/status/:status - Get all orders with specific status
  * ============================================
  * 
- * HOW: Filter orders matching status (case-insensitive)
+ * HOW: Look up orders in the status index (case-insensitive)
  * USE CASE: Admin dashboard showing orders by status
  * 
  * @route GET /api/orders/status/:status
  */
- router.get('/status/:status', (req, res) => {
+ router.get('/status/:status', describe({ summary: 'Orders with a status', params: { status: { type: 'string', enum: ORDER_STATUSES } }, returns: ['Order'], errors: [404] }), authenticate, authorize(...FULFILLMENT_ROLES), (req, res) => {
   try {
-    const orders = db.filter(FILENAME, o => o.status.toLowerCase() === req.params.status.toLowerCase());
+    const orders = db.findBy(FILENAME, 'status', req.params.status);
     
     if (orders.length === 0) {
       return res.status(404).json(response.error('No orders found with this status', 404));
@@ -441,44 +706,122 @@ router.patch('/:id', validateId, (req, res) => {
 });
 
 /**
- * POST /api/orders/:id/cancel - Cancel an order
- */
- /**
  * ============================================
- * POST /api/orders/:id/cancel - Cancel an order
+ * TRANSITION HANDLER - WHY: One handler for every lifecycle endpoint
  * ============================================
  * 
  * HOW:
- * 1. Validate ID
- * 2. Check order exists
- * 3. Verify order is in 'pending' status only
- * 4. Change status to 'cancelled'
- * 5. Save to database
+ * 1. Load order (404 if missing, 403 if not the caller's and caller isn't staff)
+ * 2. orderStateMachine.transition() checks from-state + guard
+ *    → InvalidTransitionError (409) if not allowed
+ * 3. Apply the step's stock effect (confirm → commit, cancel → release)
+ * 4. Save new status + statusHistory entry + inventory state
  * 
- * CONSTRAINT: Only pending orders can be cancelled
- * WHY: Prevents cancelling orders already shipped/delivered
+ * WHY transaction: Product stock and order status change together or not at all
  * 
- * @route POST /api/orders/:id/cancel
+ * @param {string} action - 'confirm' | 'ship' | 'deliver' | 'cancel'
+ * @param {string} message - Success message
+ * @returns {Function} - Express route handler
  */
- router.post('/:id/cancel', validateId, (req, res) => {
+const transitionHandler = (action, message) => (req, res) => {
   try {
     const order = db.getById(FILENAME, req.params.id);
-    
+
     if (!order) {
       return res.status(404).json(response.error('Order not found', 404));
     }
+    if (!canAccess(req, order)) {
+      return res.status(403).json(response.error('You can only access your own orders', 403));
+    }
 
-     // ============================================
-     // STATUS CHECK - WHY: Prevent cancelling non-pending orders
-     // ============================================
-     if (order.status !== 'pending') {
-       return res.status(400).json(response.error('Only pending orders can be cancelled', 400));
-     }
+    const updatedOrder = db.transaction(tx => {
+      const changes = transition(order, action);   // Throws before any stock moves
+      return tx.update(FILENAME, order.id, { ...changes, ...inventory.applyTransition(tx, order, action) });
+    });
+    res.json(response.success(updatedOrder, message));
+  } catch (error) {
+    response.sendError(res, error, `Failed to ${action} order`);
+  }
+};
+
+/**
+ * ============================================
+ * ORDER LIFECYCLE ENDPOINTS - WHY: Status only changes through these
+ * ============================================
+ * 
+ * POST /api/orders/:id/confirm  pending            → confirmed
+ * POST /api/orders/:id/ship     confirmed          → shipped   (needs shippingAddress)
+ * POST /api/orders/:id/deliver  shipped            → delivered
+ * POST /api/orders/:id/cancel   pending, confirmed → cancelled
+ * 
+ * Any other step → 409, e.g. "Cannot ship an order that is pending"
+ * Each successful step appends { status, from, at } to order.statusHistory
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/orders/1/confirm
+ * curl -X POST http://localhost:3000/api/orders/1/ship
+ * 
+ * WHY cancel stops at confirmed: Shipped goods have already left the warehouse
+ * WHO: confirm/ship/deliver → staff or admin; cancel → also the customer who ordered
+ * 
+ * @route POST /api/orders/:id/{confirm|ship|deliver|cancel}
+ * @param {number} id - Order ID
+ * @returns {Object} - Updated order object
+ */
+const fulfillment = [authenticate, authorize(...FULFILLMENT_ROLES)];
 
-    const updatedOrder = db.update(FILENAME, req.params.id, { status: 'cancelled' });
-    res.json(response.success(updatedOrder, 'Order cancelled successfully'));
+router.post('/:id/confirm', describe({ summary: 'Confirm an order', returns: 'Order', errors: [409] }), validateId, fulfillment, transitionHandler('confirm', 'Order confirmed successfully'));
+router.post('/:id/ship', describe({ summary: 'Ship an order', returns: 'Order', errors: [409] }), validateId, fulfillment, transitionHandler('ship', 'Order shipped successfully'));
+router.post('/:id/deliver', describe({ summary: 'Mark an order delivered', returns: 'Order', errors: [409] }), validateId, fulfillment, transitionHandler('deliver', 'Order delivered successfully'));
+router.post('/:id/cancel', describe({ summary: 'Cancel an order (own orders, or staff)', returns: 'Order', errors: [403, 409] }), validateId, authenticate, transitionHandler('cancel', 'Order cancelled successfully'));
+
+/**
+ * ============================================
+ * TRASH: RESTORE / PURGE (admin)
+ * ============================================
+ * 
+ * POST   /api/orders/:id/restore  → clear deletedAt
+ * DELETE /api/orders/:id/purge    → remove a trashed order for good
+ * 
+ * HOW restore works with stock:
+ * 1. Take the order out of the trash
+ * 2. Still pending/confirmed? → reserve its stock again (inventory.reacquire)
+ *    → InsufficientStockError (409) if it has been sold in the meantime
+ * 3. Both in one transaction: a failed re-reserve leaves the order in the trash
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/orders/1/restore
+ * curl -X DELETE http://localhost:3000/api/orders/1/purge
+ * 
+ * @route POST /api/orders/:id/restore
+ * @route DELETE /api/orders/:id/purge
+ * @param {number} id - Order ID
+ * @returns {Object} - Restored order (restore) or success message (purge)
+ */
+router.post('/:id/restore', describe({ summary: 'Restore a deleted order', returns: 'Order', errors: [409] }), validateId, authenticate, authorize('admin'), (req, res) => {
+  try {
+    const restoredOrder = db.transaction(tx => {
+      const order = tx.restore(FILENAME, req.params.id);
+      return order && tx.update(FILENAME, order.id, { inventory: inventory.reacquire(tx, order) });
+    });
+
+    if (!restoredOrder) {
+      return res.status(404).json(response.error('Order not found in trash', 404));
+    }
+    res.json(response.success(restoredOrder, 'Order restored successfully'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to restore order');
+  }
+});
+
+router.delete('/:id/purge', describe({ summary: 'Delete an order permanently' }), validateId, authenticate, authorize('admin'), (req, res) => {
+  try {
+    if (!db.purge(FILENAME, req.params.id)) {
+      return res.status(404).json(response.error('Order not found in trash', 404));
+    }
+    res.json(response.success(null, 'Order permanently deleted'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to cancel order', 500));
+    res.status(500).json(response.error('Failed to purge order', 500));
   }
 });
 
@@ -5,6 +5,8 @@
  * 
  * HOW IT WORKS:
  * - Handles all product management endpoints (CRUD + filtering)
+ * - Full-text search with ranking and facets (/search, services/search.js)
+ * - CSV / NDJSON export and import (/export, /import, utils/importExport.js)
  * - Advanced filtering by price range, category, sorting
  * - Pagination for large product lists
  * - Stock management tracking
@@ -21,33 +23,161 @@
  * DATA FLOW:
  * GET /api/products?category=electronics&minPrice=100&maxPrice=1000&sort=price-asc
  * → Read all products → Filter by category → Filter by price → Sort → Paginate → Return
+ * 
+ * ACCESS (utils/auth.js):
+ * - Browsing (list, /:id, category) → anyone, no login
+ * - Create/update/delete, bulk, export/import, low-stock report → staff or admin
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../utils/database');
 const response = require('../utils/responseHandler');
-const { validateRequired, validateId } = require('../utils/validator');
+const { validate, validateId, validateBody } = require('../utils/validator');
+const { productSchema } = require('../schemas/productSchema');
+const { AppError } = require('../utils/errors');
+const { authenticate, authorize } = require('../utils/auth');
+const { availableStock, stockFields } = require('../services/inventory');
+const { setETag, checkIfMatch } = require('../utils/etag');
+const { queryFields, validateQuery, applyQuery, eqFilter, selectFields } = require('../utils/query');
+const { paginate } = require('../utils/pagination');
+const { tokenize, search, facets } = require('../services/search');
+const { bulkHandler } = require('../utils/bulk');
+const { exportHandler, importHandler } = require('../utils/importExport');
+const { describe, defineSchema } = require('../utils/openapi');
+const { defineGauge } = require('../utils/metrics');
 
 const FILENAME = 'products.json';
 
+// CATEGORY INDEX - WHY: Category browsing is an exact lookup, not a scan
+db.defineIndex(FILENAME, 'category');
+
+// API DOCS - WHY: components/schemas/Product (utils/openapi.js)
+defineSchema('Product', productSchema);
+
+// LOW STOCK - WHY: Default for /stock/low and the metric, so both count the same products
+const LOW_STOCK_THRESHOLD = 5;
+
+// METRICS - WHY: Alert before products sell out (available = stock - reserved)
+defineGauge('store_products_low_stock', `Products with available stock <= ${LOW_STOCK_THRESHOLD}`, [],
+  () => db.filter(FILENAME, product => availableStock(product) <= LOW_STOCK_THRESHOLD).length);
+
+// ACCESS - WHY: Anyone may browse the catalog; only staff/admins change it
+const staffOnly = [authenticate, authorize('staff', 'admin')];
+
+// LIST QUERY - WHY: ?field[op]=value, sort, fields (utils/query.js) + the original params
+const PRODUCT_QUERY = {
+  fields: queryFields(productSchema),
+  defaultSort: 'name',
+  aliases: { minPrice: ['price', 'gte'], maxPrice: ['price', 'lte'] },
+  sortAliases: { 'price-asc': 'price', 'price-desc': '-price' }
+};
+
+// SEARCH QUERY - WHY: Same filters as the list, plus ?q= and the relevance score (best first)
+const SEARCH_QUERY = {
+  ...PRODUCT_QUERY,
+  fields: { ...PRODUCT_QUERY.fields, score: 'number' },
+  defaultSort: '-score',
+  allow: ['q']
+};
+
+// SEARCH TEXT - WHY: Each word is compared with every indexed word (typo matching),
+// so the work grows with q - it is capped in characters and in different words
+const SEARCH_TEXT = {
+  q: { type: 'string', required: true, maxLength: 200, description: 'Search text: every word must match (prefixes and small typos count)' }
+};
+const SEARCH_MAX_WORDS = 10;
+
+// EXPORT QUERY - WHY: Same filters as the list, plus ?format=
+const EXPORT_QUERY = { ...PRODUCT_QUERY, allow: ['format'] };
+
+/**
+ * COMPUTED FIELDS - WHY: inStock is derived, never taken from the client
+ * (productSchema marks it readOnly, so validateBody already rejected it)
+ * 
+ * WHY the 409: Units held by pending orders can't be removed from the shelf
+ * 
+ * @param {Object} updateData - Validated fields to update
+ * @param {Object} product - Current product (for its reserved units)
+ * @returns {Object} - Same fields plus reserved/inStock when stock changes
+ * @throws {AppError} - 409 if new stock is below the reserved units
+ */
+const withComputedFields = (updateData, product) => {
+  if (updateData.stock === undefined) return updateData;
+
+  const reserved = parseInt(product.reserved, 10) || 0;
+  if (updateData.stock < reserved) {
+    throw new AppError(`stock cannot be lower than the ${reserved} units reserved by pending orders`, 409, { stock: updateData.stock, reserved });
+  }
+  return { ...updateData, ...stockFields(updateData.stock, reserved) };
+};
+
+/**
+ * CREATE PRODUCT - WHY: Shared by POST / and POST /bulk
+ * 
+ * @param {Object} data - Fields validated against productSchema
+ * @returns {Object} - Created product
+ */
+const createProduct = ({ name, price, category, stock, description, image }) => db.create(FILENAME, {
+  name,
+  price,
+  category,
+  stock,
+  description: description || '',
+  image: image || '',
+  ...stockFields(stock, 0)               // reserved 0, inStock true if stock > 0
+});
+
+/**
+ * UPDATE PRODUCT - WHY: Shared by PUT, PATCH and POST /bulk
+ * 
+ * @param {Object} product - Current product
+ * @param {Object} data - Fields validated against productSchema (partial)
+ * @returns {Object} - Updated product
+ * @throws {AppError} - 409 if new stock is below the reserved units
+ */
+const updateProduct = (product, data) => db.update(FILENAME, product.id, withComputedFields(data, product));
+
+/**
+ * FIND PRODUCTS - WHY: Shared by the list and /export, so both return the same products
+ * 
+ * @param {Object} listQuery - req.listQuery (validateQuery)
+ * @returns {Array} - Matching products, sorted
+ */
+const findProducts = (listQuery) => {
+  // CATEGORY INDEX - WHY: Read only one category instead of every product
+  const category = eqFilter(listQuery, 'category');
+  const candidates = category !== undefined ? db.findBy(FILENAME, 'category', category) : db.getAll(FILENAME);
+
+  // FILTER + SORT - WHY: Same rules as every other list (utils/query.js)
+  return applyQuery(candidates, listQuery);
+};
+
+// RESOURCE - WHY: How /bulk and /import write products (utils/bulk.js)
+const PRODUCT_RESOURCE = {
+  filename: FILENAME,
+  label: 'Product',
+  schema: productSchema,
+  create: (data) => createProduct(data),
+  update: (product, data) => updateProduct(product, data),
+  remove: (product) => db.deleteRecord(FILENAME, product.id)
+};
+
 /**
  * ============================================
  * GET /api/products - Get all products with advanced filtering
  * ============================================
  * 
  * HOW:
- * 1. Get all products from database
- * 2. Filter by category if provided
- * 3. Filter by price range (minPrice to maxPrice)
- * 4. Sort by name, price-asc, or price-desc
- * 5. Paginate results
- * 6. Return formatted response
+ * 1. validateQuery(PRODUCT_QUERY) checks filters/sort/fields (400 on unknown fields)
+ * 2. Start from the category index if ?category= is given, else all products
+ * 3. Apply every field filter (price range, stock, dates, ...) and the sort
+ * 4. Paginate results (?page= or ?after=/?before= cursors, Link header)
+ * 5. Return formatted response (only ?fields= if given)
  * 
  * CONTROL FLOW:
- *   Query params extracted → db.getAll() reads data
- *   → Apply category filter → Apply price filter
- *   → Apply sort → Paginate → Return
+ *   validateQuery() → req.listQuery → db.findBy()/db.getAll()
+ *   → applyQuery() (filters + sort) → paginate() → selectFields() → Return
  * 
  * COMMAND FLOW EXAMPLES:
  * GET /api/products
@@ -56,80 +186,212 @@ const FILENAME = 'products.json';
  * GET /api/products?category=electronics
  *   → Returns only electronics products
  * 
- * GET /api/products?minPrice=100&maxPrice=500
- *   → Returns products priced between $100-$500
+ * GET /api/products?price[gte]=100&price[lte]=500
+ *   → Returns products priced between $100-$500 (same as minPrice=100&maxPrice=500)
  * 
- * GET /api/products?sort=price-asc&page=1&limit=20
- *   → Returns products sorted by price (low to high), 20 per page
+ * GET /api/products?category[in]=books,toys&inStock=true&sort=-price,name&fields=name,price
+ *   → Books and toys in stock, most expensive first, only id/name/price
  * 
- * SORTING OPTIONS:
- * price-asc   = Sort by price ascending (cheapest first)
- * price-desc  = Sort by price descending (most expensive first)
+ * SORTING (?sort=field1,-field2; '-' = descending):
  * name        = Sort alphabetically by name (default)
+ * price-asc   = Same as sort=price (kept for existing clients)
+ * price-desc  = Same as sort=-price
  * 
  * @route GET /api/products
- * @param {string} category - Filter by category (optional)
- * @param {number} minPrice - Minimum price filter (optional)
- * @param {number} maxPrice - Maximum price filter (optional)
- * @param {string} sort - Sort order (price-asc, price-desc, name)
+ * @param {string} <field>[<op>] - Field filters: eq, ne, gt, gte, lt, lte, in, contains (optional)
+ * @param {string} category - Filter by category (optional, uses the index)
+ * @param {number} minPrice - Minimum price filter (optional, = price[gte])
+ * @param {number} maxPrice - Maximum price filter (optional, = price[lte])
+ * @param {string} sort - Sort order (default: name)
+ * @param {string} fields - Comma-separated fields to return (optional)
  * @param {number} page - Page number (default: 1)
- * @param {number} limit - Items per page (default: 10)
+ * @param {string} after - Cursor: the page after it (optional, instead of page)
+ * @param {string} before - Cursor: the page before it (optional, instead of page)
+ * @param {number} limit - Items per page (default: 10, max: 100)
  * @returns {Object} - Paginated products with filtering
  */
-router.get('/', (req, res) => {
+router.get('/', describe({ summary: 'List products', returns: 'Product', list: true }), validateQuery(PRODUCT_QUERY), (req, res) => {
   try {
-    // Extract and default query parameters and coerce numeric values
-    const { category, minPrice, maxPrice, sort = 'name' } = req.query;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-
-    // Get all products from database
-    let products = db.getAll(FILENAME) || [];
+    // FILTER + SORT - WHY: Category index first, then utils/query.js
+    const products = findProducts(req.listQuery);
 
     // ============================================
-    // CATEGORY FILTER - WHY: Allow users to browse by category
+    // PAGINATION - WHY: Handle large product lists efficiently
     // ============================================
-    if (category) {
-      const cat = String(category).toLowerCase();
-      products = products.filter(p => (p.category || '').toLowerCase() === cat);
-    }
+    res.json(paginate(req, res, products, product => selectFields(product, req.listQuery.fields)));
+  } catch (error) {
+    res.status(500).json(response.error('Failed to fetch products', 500));
+  }
+});
 
-    // ============================================
-    // PRICE RANGE FILTER - WHY: Enable price-based shopping
-    // ============================================
-    if (minPrice || maxPrice) {
-      const min = minPrice ? parseFloat(minPrice) : 0;      // Default min = 0
-      const max = maxPrice ? parseFloat(maxPrice) : Infinity; // Default max = unlimited
-      products = products.filter(p => {
-        const price = parseFloat(p.price) || 0;
-        return price >= min && price <= max;
-      });
-    }
+/**
+ * ============================================
+ * GET /api/products/trash - List soft-deleted products (staff or admin)
+ * ============================================
+ * 
+ * WHY before /:id: Express would otherwise treat "trash" as a product ID
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/api/products/trash
+ * 
+ * @route GET /api/products/trash
+ * @returns {Array} - Products with deletedAt set
+ */
+router.get('/trash', describe({ summary: 'Deleted products', returns: ['Product'] }), staffOnly, (req, res) => {
+  try {
+    res.json(response.success(db.getDeleted(FILENAME), 'Deleted products fetched successfully'));
+  } catch (error) {
+    res.status(500).json(response.error('Failed to fetch deleted products', 500));
+  }
+});
 
-    // ============================================
-    // SORTING - WHY: Allow different sort preferences
-    // ============================================
-    if (sort === 'price-asc') {
-      products.sort((a, b) => (parseFloat(a.price) || 0) - (parseFloat(b.price) || 0));
-    } else if (sort === 'price-desc') {
-      products.sort((a, b) => (parseFloat(b.price) || 0) - (parseFloat(a.price) || 0));
-    } else {
-      products.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+/**
+ * ============================================
+ * GET /api/products/search - Full-text search with relevance ranking
+ * ============================================
+ * 
+ * HOW:
+ * 1. q must contain 1-10 different searchable words, at most 200 characters (400 otherwise)
+ * 2. search() ranks products matching every word of q (services/search.js):
+ *    exact words, prefixes ('lam' → lamp) and small typos ('lmap' → lamp)
+ * 3. The list query language narrows and sorts the matches (default: -score)
+ * 4. facets() counts the matches per category and price bucket
+ * 5. Paginate like every list, facets added to the body
+ * 
+ * WHY before /:id: Express would otherwise treat "search" as a product ID
+ * 
+ * COMMAND FLOW EXAMPLES:
+ * GET /api/products/search?q=desk lamp
+ *   → Products with both words, best match first, each with a score
+ * 
+ * GET /api/products/search?q=lamp&category=office&price[lt]=50
+ *   → Same search narrowed with the facet values the client picked
+ * 
+ * RESPONSE EXAMPLE:
+ *   { "data": [{ "id": 8, "name": "Desk Lamp", "score": 7.1302, ... }],
+ *     "pagination": { ... },
+ *     "facets": { "category": [{ "value": "office", "count": 1 }],
+ *                 "price": [{ "range": "25-50", "min": 25, "max": 50, "count": 1 }, ...] } }
+ * 
+ * @route GET /api/products/search
+ * @param {string} q - Search text (required)
+ * @param {string} <field>[<op>] - Same filters as GET /api/products (optional)
+ * @param {string} sort - Default: -score (most relevant first)
+ * @param {number} page / after / before / limit - Pagination (utils/pagination.js)
+ * @returns {Object} - Paginated products with score, plus facets
+ */
+router.get('/search', describe({
+  summary: 'Search products (ranked, with facets)',
+  description: 'Every product has a relevance score. The body also has facets: '
+    + '{ category: [{ value, count }], price: [{ range, min, max, count }] } counted over all matches.',
+  query: SEARCH_TEXT,
+  returns: 'Product',
+  list: true
+}), validateQuery(SEARCH_QUERY), (req, res) => {
+  try {
+    const { value: { q }, errors } = validate(SEARCH_TEXT, { q: req.query.q });
+    if (errors.length === 0) {
+      const words = new Set(tokenize(q)).size;
+      if (words === 0) {
+        errors.push({ field: 'q', message: 'q must contain at least one word to search for' });
+      } else if (words > SEARCH_MAX_WORDS) {
+        errors.push({ field: 'q', message: `q can contain at most ${SEARCH_MAX_WORDS} different words` });
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json(response.error('Invalid query', 400, errors));
     }
 
-    // ============================================
-    // PAGINATION - WHY: Handle large product lists efficiently
-    // ============================================
-    const total = products.length;
-    const start = (page - 1) * limit;
-    const paginatedProducts = products.slice(start, start + limit);
-
-    res.json(response.paginated(paginatedProducts, page, limit, total));
+    const products = applyQuery(search(q), req.listQuery);
+    const body = paginate(req, res, products, product => selectFields(product, req.listQuery.fields));
+    res.json({ ...body, facets: facets(products) });
   } catch (error) {
-    res.status(500).json(response.error('Failed to fetch products', 500));
+    response.sendError(res, error, 'Failed to search products');
   }
 });
 
+/**
+ * ============================================
+ * POST /api/products/bulk - Create, update and delete many products at once
+ * ============================================
+ * 
+ * HOW (utils/bulk.js):
+ * 1. Every operation is validated with productSchema like POST / PATCH
+ * 2. All of them are applied in one transaction → products.json written once
+ * 3. Same rules as the single routes: stock below reserved → 409,
+ *    delete of a product still in an order → 409, ifMatch → 412
+ * 4. Report per operation; atomic: true → all or nothing
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/products/bulk \
+ *   -H "Content-Type: application/json" \
+ *   -d '{
+ *     "atomic": true,
+ *     "operations": [
+ *       { "op": "create", "data": { "name": "Pen", "price": 1.5, "category": "office", "stock": 100 } },
+ *       { "op": "update", "id": 3, "data": { "stock": 40 }, "ifMatch": 2 },
+ *       { "op": "delete", "id": 7 }
+ *     ]
+ *   }'
+ * 
+ * @route POST /api/products/bulk
+ * @param {boolean} atomic - All or nothing (default: false)
+ * @param {Array} operations - [{ op: 'create'|'update'|'delete', id, data, ifMatch }]
+ * @returns {Object} - 200/207 with a result per operation (see utils/bulk.js)
+ */
+router.post('/bulk', describe({ summary: 'Create, update and delete products in one request' }), staffOnly, bulkHandler(PRODUCT_RESOURCE));
+
+/**
+ * ============================================
+ * GET /api/products/export - Download products as CSV or NDJSON (staff or admin)
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Same filters, sort and ?fields= as GET /api/products
+ * 2. Every matching product (no pages), streamed as a file download
+ * 3. Columns: id, productSchema fields, version, createdAt, updatedAt
+ * 
+ * COMMAND FLOW EXAMPLES:
+ * curl -o products.csv "http://localhost:3000/api/products/export?category=office"
+ * curl "http://localhost:3000/api/products/export?format=ndjson&inStock=false"
+ * 
+ * @route GET /api/products/export
+ * @param {string} format - csv (default) or ndjson
+ * @param {string} <field>[<op>] / sort / fields - Same as GET /api/products
+ * @returns {File} - products-YYYY-MM-DD.csv / .ndjson
+ */
+router.get('/export', describe({ summary: 'Export products as CSV or NDJSON' }), staffOnly, validateQuery(EXPORT_QUERY), exportHandler({
+  ...PRODUCT_RESOURCE,
+  find: (req) => findProducts(req.listQuery)
+}));
+
+/**
+ * ============================================
+ * POST /api/products/import - Create and update products from a CSV / NDJSON file
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Rows with an id update that product, rows without one create a product
+ * 2. Each row is validated with productSchema and applied like a /bulk operation
+ * 3. The version column guards against overwriting newer edits (412 for that row)
+ * 4. Report per row (file line number); ?dryRun=true saves nothing
+ * 
+ * COMMAND FLOW EXAMPLES:
+ * curl -X POST "http://localhost:3000/api/products/import?dryRun=true" \
+ *   -H "Content-Type: text/csv" --data-binary @products.csv
+ * 
+ * curl -X POST "http://localhost:3000/api/products/import?map[Product Name]=name&map[Notes]=" \
+ *   -H "Content-Type: text/csv" --data-binary @supplier.csv
+ * 
+ * @route POST /api/products/import
+ * @param {string} format - csv or ndjson (default: from Content-Type)
+ * @param {Object} map - map[Column]=field renames a column, map[Column]= skips it
+ * @param {boolean} dryRun - Validate and report without saving (default: false)
+ * @param {boolean} atomic - All rows or none (default: false)
+ * @returns {Object} - 200/207 with a result per row
+ */
+router.post('/import', describe({ summary: 'Import products from CSV or NDJSON' }), staffOnly, importHandler(PRODUCT_RESOURCE));
+
 /**
  * ============================================
  * GET /api/products/:id - Get single product by ID
@@ -154,7 +416,7 @@ router.get('/', (req, res) => {
  * @param {number} id - Product ID
  * @returns {Object} - Product object
  */
-router.get('/:id', validateId, (req, res) => {
+router.get('/:id', describe({ summary: 'Get a product', returns: 'Product' }), validateId, (req, res) => {
   try {
     const product = db.getById(FILENAME, req.params.id);
     
@@ -162,6 +424,7 @@ router.get('/:id', validateId, (req, res) => {
       return res.status(404).json(response.error('Product not found', 404));
     }
 
+    setETag(res, product);   // WHY: If-None-Match with this ETag → 304
     res.json(response.success(product, 'Product fetched successfully'));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch product', 500));
@@ -174,8 +437,8 @@ router.get('/:id', validateId, (req, res) => {
  * ============================================
  * 
  * HOW:
- * 1. Validate required fields (name, price, category, stock)
- * 2. Validate price and stock are positive numbers
+ * 1. validateBody(productSchema): name, price, category, stock present,
+ *    price >= 0, stock is an integer >= 0 (all errors together)
  * 3. Create product with auto-ID
  * 4. Set inStock flag based on stock quantity
  * 5. Save to database
@@ -183,8 +446,7 @@ router.get('/:id', validateId, (req, res) => {
  * 
  * CONTROL FLOW:
  *   POST request with JSON
- *   → validateRequired checks 4 fields present
- *   → Handler validates price/stock are valid numbers
+ *   → validateBody checks fields, converts "9.99" → 9.99
  *   → db.create() auto-generates ID
  *   → Returns 201 status
  * 
@@ -214,29 +476,12 @@ router.get('/:id', validateId, (req, res) => {
  * @param {string} image - Product image URL (optional)
  * @returns {Object} - Created product with 201 status
  */
-router.post('/', validateRequired(['name', 'price', 'category', 'stock']), (req, res) => {
+router.post('/', describe({ summary: 'Create a product', returns: 'Product', status: 201 }), staffOnly, validateBody(productSchema), (req, res) => {
   try {
-    const { name, price, category, stock, description, image } = req.body;
-
-    // ============================================
-    // VALIDATION - WHY: Prevent invalid data in database
-    // ============================================
-    // WHY isNaN(): Checks if value cannot be converted to number
-    if (isNaN(price) || price < 0 || isNaN(stock) || stock < 0) {
-      return res.status(400).json(response.error('Price and stock must be positive numbers', 400));
-    }
-
-    // Create product record
-    const newProduct = db.create(FILENAME, {
-      name,
-      price: parseFloat(price),              // Convert string to number
-      category,
-      stock: parseInt(stock),                // Convert to integer
-      description: description || '',
-      image: image || '',
-      inStock: parseInt(stock) > 0           // Automatic flag: true if stock > 0
-    });
+    // WHY no number parsing: validateBody already converted price/stock
+    const newProduct = createProduct(req.body);
 
+    setETag(res, newProduct);
     res.status(201).json(response.success(newProduct, 'Product created successfully', 201));
   } catch (error) {
     res.status(500).json(response.error('Failed to create product', 500));
@@ -249,7 +494,7 @@ router.post('/', validateRequired(['name', 'price', 'category', 'stock']), (req,
  * ============================================
  * 
  * HOW:
- * 1. Validate ID
+ * 1. Validate ID and provided fields (productSchema)
  * 2. Check product exists
  * 3. Update all fields
  * 4. Automatically update inStock flag based on new stock
@@ -277,31 +522,21 @@ router.post('/', validateRequired(['name', 'price', 'category', 'stock']), (req,
  * @param {Object} body - Updated product fields
  * @returns {Object} - Updated product object
  */
-router.put('/:id', validateId, (req, res) => {
+router.put('/:id', describe({ summary: 'Update a product', returns: 'Product', errors: [412] }), validateId, staffOnly, validateBody(productSchema, { partial: true }), (req, res) => {
   try {
     const product = db.getById(FILENAME, req.params.id);
     
     if (!product) {
       return res.status(404).json(response.error('Product not found', 404));
     }
+    checkIfMatch(req, product);   // 412 if someone saved since the client read it
 
-    const updateData = { ...req.body };
-    
     // WHY: Auto-update inStock flag when stock changes
-    if (updateData.stock !== undefined) {
-      updateData.inStock = parseInt(updateData.stock) > 0;
-      updateData.stock = parseInt(updateData.stock);
-    }
-    
-    // WHY: Convert price to float for decimal precision
-    if (updateData.price !== undefined) {
-      updateData.price = parseFloat(updateData.price);
-    }
-
-    const updatedProduct = db.update(FILENAME, req.params.id, updateData);
+    const updatedProduct = updateProduct(product, req.body);
+    setETag(res, updatedProduct);
     res.json(response.success(updatedProduct, 'Product updated successfully'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to update product', 500));
+    response.sendError(res, error, 'Failed to update product');
   }
 });
 
@@ -311,9 +546,9 @@ router.put('/:id', validateId, (req, res) => {
  * ============================================
  * 
  * HOW:
- * 1. Validate ID
+ * 1. Validate ID and provided fields (productSchema)
  * 2. Check product exists
- * 3. Update only provided fields
+ * 3. Update only provided fields (inStock recomputed if stock sent)
  * 4. Save to database
  * 5. Return updated product
  * 
@@ -327,18 +562,21 @@ router.put('/:id', validateId, (req, res) => {
  * @param {Object} body - Fields to update (partial)
  * @returns {Object} - Updated product object
  */
-router.patch('/:id', validateId, (req, res) => {
+router.patch('/:id', describe({ summary: 'Partially update a product', returns: 'Product', errors: [412] }), validateId, staffOnly, validateBody(productSchema, { partial: true }), (req, res) => {
   try {
     const product = db.getById(FILENAME, req.params.id);
     
     if (!product) {
       return res.status(404).json(response.error('Product not found', 404));
     }
+    checkIfMatch(req, product);
 
-    const updatedProduct = db.update(FILENAME, req.params.id, req.body);
+    // WHY: Same inStock rule as PUT, so PATCH {"stock": 0} can't leave inStock true
+    const updatedProduct = updateProduct(product, req.body);
+    setETag(res, updatedProduct);
     res.json(response.success(updatedProduct, 'Product partially updated'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to update product', 500));
+    response.sendError(res, error, 'Failed to update product');
   }
 });
 
@@ -350,7 +588,8 @@ router.patch('/:id', validateId, (req, res) => {
  * HOW:
  * 1. Validate ID
  * 2. Check product exists
- * 3. Remove from database
+ * 3. Soft delete: set deletedAt (undo with POST /api/products/:id/restore)
+ *    - still in an open order → 409 (orders.items.productId is onDelete: restrict)
  * 4. Return success
  * 
  * COMMAND FLOW EXAMPLE:
@@ -360,18 +599,19 @@ router.patch('/:id', validateId, (req, res) => {
  * @param {number} id - Product ID to delete
  * @returns {Object} - Success message
  */
-router.delete('/:id', validateId, (req, res) => {
+router.delete('/:id', describe({ summary: 'Delete a product (soft)', errors: [409, 412] }), validateId, staffOnly, (req, res) => {
   try {
     const product = db.getById(FILENAME, req.params.id);
     
     if (!product) {
       return res.status(404).json(response.error('Product not found', 404));
     }
+    checkIfMatch(req, product);
 
     db.deleteRecord(FILENAME, req.params.id);
     res.json(response.success(null, 'Product deleted successfully'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to delete product', 500));
+    response.sendError(res, error, 'Failed to delete product');
   }
 });
 
@@ -382,7 +622,7 @@ router.delete('/:id', validateId, (req, res) => {
  * 
  * HOW:
  * 1. Get threshold value from query (default: 5)
- * 2. Filter products with stock <= threshold
+ * 2. Filter products with available stock (stock - reserved) <= threshold
  * 3. Return low stock products
  * 
  * CONTROL FLOW:
@@ -403,10 +643,15 @@ router.delete('/:id', validateId, (req, res) => {
  * @param {number} threshold - Low stock threshold (default: 5)
  * @returns {Array} - Products with stock <= threshold
  */
-router.get('/stock/low', (req, res) => {
+router.get('/stock/low', describe({
+  summary: 'Products low on stock',
+  query: { threshold: { type: 'integer', min: 1, description: `Available stock at or below this (default ${LOW_STOCK_THRESHOLD})` } },
+  returns: ['Product']
+}), staffOnly, (req, res) => {
   try {
-    const threshold = parseInt(req.query.threshold, 10) || 5;
-    const lowStockProducts = db.filter(FILENAME, product => (parseInt(product.stock, 10) || 0) <= threshold);
+    const threshold = parseInt(req.query.threshold, 10) || LOW_STOCK_THRESHOLD;
+    // WHY available: Units reserved by pending orders can't be sold again
+    const lowStockProducts = db.filter(FILENAME, product => availableStock(product) <= threshold);
     res.json(response.success(lowStockProducts, 'Low stock products fetched'));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch low stock products', 500));
@@ -425,7 +670,7 @@ router.get('/stock/low', (req, res) => {
  * 
  * CONTROL FLOW:
  *   GET /api/products/category/electronics
- *   → db.filter() searches products
+ *   → db.findBy() reads the category index
  *   → Returns all electronics products
  *   → If none: Return 404
  * 
@@ -440,11 +685,9 @@ router.get('/stock/low', (req, res) => {
  * @param {string} category - Product category
  * @returns {Array} - Products in category or 404
  */
-router.get('/category/:category', (req, res) => {
+router.get('/category/:category', describe({ summary: 'Products in a category', returns: ['Product'] }), (req, res) => {
   try {
-    const products = db.filter(FILENAME, 
-      p => p.category.toLowerCase() === req.params.category.toLowerCase()
-    );
+    const products = db.findBy(FILENAME, 'category', req.params.category);
     
     if (products.length === 0) {
       return res.status(404).json(response.error('No products found in this category', 404));
@@ -456,6 +699,48 @@ router.get('/category/:category', (req, res) => {
   }
 });
 
+/**
+ * ============================================
+ * TRASH: RESTORE / PURGE
+ * ============================================
+ * 
+ * POST   /api/products/:id/restore  → clear deletedAt (staff or admin)
+ * DELETE /api/products/:id/purge    → remove a trashed product for good (admin)
+ * 
+ * WHY purge needs the trash first: A single mistaken request can't lose data
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/products/1/restore
+ * curl -X DELETE http://localhost:3000/api/products/1/purge
+ * 
+ * @route POST /api/products/:id/restore
+ * @route DELETE /api/products/:id/purge
+ * @param {number} id - Product ID
+ * @returns {Object} - Restored product (restore) or success message (purge)
+ */
+router.post('/:id/restore', describe({ summary: 'Restore a deleted product', returns: 'Product' }), validateId, staffOnly, (req, res) => {
+  try {
+    const product = db.restore(FILENAME, req.params.id);
+    if (!product) {
+      return res.status(404).json(response.error('Product not found in trash', 404));
+    }
+    res.json(response.success(product, 'Product restored successfully'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to restore product');
+  }
+});
+
+router.delete('/:id/purge', describe({ summary: 'Delete a product permanently', errors: [409] }), validateId, authenticate, authorize('admin'), (req, res) => {
+  try {
+    if (!db.purge(FILENAME, req.params.id)) {
+      return res.status(404).json(response.error('Product not found in trash', 404));
+    }
+    res.json(response.success(null, 'Product permanently deleted'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to purge product');
+  }
+});
+
 // ============================================
 // EXPORT ROUTER - WHY: Use in server.js
 // ============================================
@@ -20,11 +20,14 @@
  * DATA FLOW:
  * JSON Request → Parse → Validate → Process → JSON File → Return JSON Response
  * 
+ * ACCESS (utils/auth.js):
+ * - List, create, delete, filter/active, bulk, export/import → admin
+ * - GET/PUT/PATCH /:id → that user themselves, or admin
+ * - Only admins may send role / isActive (adminUserSchema)
+ * 
  * COMMAND FLOW EXAMPLE (Creating User):
  * POST /api/users with body {name, email, phone}
- * → validateRequired checks all 3 present
- * → validateEmail checks email format
- * → validatePhone checks phone format
+ * → validateBody(userSchema) checks all fields, reports every error at once
  * → Handler executes
  * → db.create() writes to users.json
  * → Response sent with new user ID
@@ -36,26 +39,116 @@ const router = express.Router();
 // Import utilities
 const db = require('../utils/database');                      // Database operations
 const response = require('../utils/responseHandler');         // Response formatting
-const { validateRequired, validateEmail, validatePhone, validateId } = require('../utils/validator'); // Validators
+const { validateId, validateBody } = require('../utils/validator');   // Validators
+const { userSchema, adminUserSchema } = require('../schemas/userSchema');  // Field rules
+const { authenticate, authorize, authorizeSelfOr, hasRole, publicUser } = require('../utils/auth');  // Access control
+const { setETag, checkIfMatch } = require('../utils/etag');           // Versions (If-Match / If-None-Match)
+const { queryFields, validateQuery, applyQuery, selectFields } = require('../utils/query');  // List filters
+const { paginate } = require('../utils/pagination');                                          // Page/cursor + Link
+const { bulkHandler } = require('../utils/bulk');                                             // POST /bulk
+const { exportHandler, importHandler } = require('../utils/importExport');                    // CSV / NDJSON
+const { describe, defineSchema } = require('../utils/openapi');                               // API docs
 
 // Database filename (stored in /db/users.json)
 const FILENAME = 'users.json';
 
+// UNIQUE EMAIL INDEX - WHY: Exact, case-insensitive duplicate detection
+// db.create()/db.update() throw UniqueConstraintError → 409
+db.defineIndex(FILENAME, 'email', { unique: true });
+
+// API DOCS - WHY: components/schemas/User (utils/openapi.js)
+defineSchema('User', adminUserSchema, { hidden: ['passwordHash'] });
+
+// WHY: validateBody(schemaFor) picks the schema per request; the docs show the admin one
+const SELF_EDIT_NOTE = 'role and isActive are only accepted from admins (read-only for everyone else).';
+
+// WHY: Admins may set role/isActive; for everyone else they stay read-only
+const schemaFor = (req) => (hasRole(req.user, ['admin']) ? adminUserSchema : userSchema);
+
+// LIST QUERY - WHY: ?field[op]=value, sort, fields (utils/query.js); never passwordHash
+const USER_QUERY = {
+  fields: queryFields(userSchema, { exclude: ['passwordHash'] }),
+  allow: ['search']   // Legacy: name or email contains
+};
+
+// EXPORT QUERY - WHY: Same filters as the list, plus ?format=
+const EXPORT_QUERY = { ...USER_QUERY, allow: [...USER_QUERY.allow, 'format'] };
+
+/**
+ * CREATE USER - WHY: Shared by POST / and POST /bulk (admin-created accounts)
+ * 
+ * db.create() auto-generates:
+ * - id (next available ID)
+ * - createdAt (current timestamp)
+ * - updatedAt (current timestamp)
+ * 
+ * @param {Object} data - Fields validated against adminUserSchema
+ * @returns {Object} - Created user
+ * @throws {UniqueConstraintError} - 409 if the email is taken
+ */
+const createUser = ({ name, email, phone, address, city, country, role, isActive }) => db.create(FILENAME, {
+  name,
+  email,
+  phone,
+  address: address || '',
+  city: city || '',
+  country: country || '',
+  isActive: isActive !== undefined ? isActive : true,  // New users are active by default
+  role: role || 'customer'
+});
+
+/**
+ * FIND USERS - WHY: Shared by the list and /export, so both return the same users
+ * 
+ * @param {Object} req - Express request (?search= and req.listQuery)
+ * @returns {Array} - Matching users, sorted (still with private fields)
+ */
+const findUsers = (req) => {
+  const { search: searchQuery } = req.query;
+
+  // Get all users from users.json
+  let users = db.getAll(FILENAME) || [];
+
+  // SEARCH FILTERING - WHY: Allow client to find specific users
+  // Searches in name and email fields (case-insensitive)
+  if (searchQuery) {
+    const q = String(searchQuery).toLowerCase();
+    users = users.filter(user =>
+      (user.name || '').toLowerCase().includes(q) ||
+      (user.email || '').toLowerCase().includes(q)
+    );
+  }
+  return applyQuery(users, req.listQuery);
+};
+
+// RESOURCE - WHY: How /bulk and /import write users (utils/bulk.js)
+const USER_RESOURCE = {
+  filename: FILENAME,
+  label: 'User',
+  schema: adminUserSchema,
+  hidden: ['passwordHash'],   // Never exported
+  create: (data) => createUser(data),
+  update: (user, data) => db.update(FILENAME, user.id, data),
+  remove: (user) => db.deleteRecord(FILENAME, user.id),
+  present: publicUser
+};
+
 /**
  * ============================================
  * GET /api/users - Retrieve all users
  * ============================================
  * 
  * HOW:
- * 1. Get all users from database
- * 2. Apply search filter if provided
- * 3. Paginate results
- * 4. Return formatted response
+ * 1. validateQuery(USER_QUERY) checks filters/sort/fields (400 on unknown fields)
+ * 2. Get all users from database
+ * 3. Apply search filter if provided, then the field filters + sort
+ * 4. Paginate results
+ * 5. Return formatted response (only ?fields= if given)
  * 
  * CONTROL FLOW:
- *   Request arrives → Query params extracted
+ *   Request arrives → validateQuery() → req.listQuery
  *   → db.getAll() reads users.json
- *   → Filter by search term
+ *   → Filter by search term → applyQuery()
  *   → Slice array for pagination
  *   → Format response → Send to client
  * 
@@ -69,47 +162,135 @@ const FILENAME = 'users.json';
  * GET /api/users?page=2&limit=5
  *   → Returns 5 users from page 2 (items 6-10)
  * 
+ * GET /api/users?after=<pagination.nextCursor>&limit=5
+ *   → The 5 users after the last one seen (no skips when users sign up meanwhile)
+ * 
+ * GET /api/users?role[in]=staff,admin&createdAt[gte]=2024-01-01&sort=-createdAt&fields=name,email
+ *   → Staff and admins created since 2024, newest first, only id/name/email
+ * 
  * DATA FLOW:
  * users.json [all users] → Filter/Search → Slice for page → Format with pagination → Client
  * 
  * @route GET /api/users
  * @param {string} search - Search term (optional, searches name/email)
+ * @param {string} <field>[<op>] - Field filters (optional, see utils/query.js)
+ * @param {string} sort - e.g. 'name' or '-createdAt,name' (default: id)
+ * @param {string} fields - Comma-separated fields to return (optional)
  * @param {number} page - Page number (default: 1)
- * @param {number} limit - Items per page (default: 10)
+ * @param {string} after - Cursor: the page after it (optional, instead of page)
+ * @param {string} before - Cursor: the page before it (optional, instead of page)
+ * @param {number} limit - Items per page (default: 10, max: 100)
  * @returns {Object} - Paginated user list with metadata
  */
-router.get('/', (req, res) => {
+router.get('/', describe({ summary: 'List users', description: 'search: name or email contains (legacy).', returns: 'User', list: true }), authenticate, authorize('admin'), validateQuery(USER_QUERY), (req, res) => {
   try {
-    // Extract query parameters with defaults and coerce to integers when needed
-    const { search: searchQuery } = req.query;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-
-    // Get all users from users.json
-    let users = db.getAll(FILENAME) || [];
-
-    // SEARCH FILTERING - WHY: Allow client to find specific users
-    // Searches in name and email fields (case-insensitive)
-    if (searchQuery) {
-      const q = String(searchQuery).toLowerCase();
-      users = users.filter(user =>
-        (user.name || '').toLowerCase().includes(q) ||
-        (user.email || '').toLowerCase().includes(q)
-      );
-    }
+    // SEARCH + FILTER + SORT - WHY: Same lookup as /export
+    const users = findUsers(req);
 
-    // PAGINATION CALCULATION - WHY: Handle large datasets efficiently
-    const total = users.length;                              // Total matching records
-    const start = (page - 1) * limit;                        // Calculate starting index
-    const paginatedUsers = users.slice(start, start + limit);
-
-    // Send formatted paginated response
-    res.json(response.paginated(paginatedUsers, page, limit, total));
+    // PAGINATION - WHY: Handle large datasets efficiently (page or cursor, utils/pagination.js)
+    res.json(paginate(req, res, users, user => selectFields(publicUser(user), req.listQuery.fields)));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch users', 500));
   }
 });
 
+/**
+ * ============================================
+ * GET /api/users/trash - List soft-deleted users (admin)
+ * ============================================
+ * 
+ * WHY before /:id: Express would otherwise treat "trash" as a user ID
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/api/users/trash
+ * 
+ * @route GET /api/users/trash
+ * @returns {Array} - Users with deletedAt set
+ */
+router.get('/trash', describe({ summary: 'Deleted users', returns: ['User'] }), authenticate, authorize('admin'), (req, res) => {
+  try {
+    res.json(response.success(db.getDeleted(FILENAME).map(publicUser), 'Deleted users fetched successfully'));
+  } catch (error) {
+    res.status(500).json(response.error('Failed to fetch deleted users', 500));
+  }
+});
+
+/**
+ * ============================================
+ * POST /api/users/bulk - Create, update and delete many users at once (admin)
+ * ============================================
+ * 
+ * HOW (utils/bulk.js):
+ * 1. Every operation is validated with adminUserSchema like POST / PATCH
+ * 2. All of them are applied in one transaction
+ * 3. Same rules as the single routes: duplicate email → 409,
+ *    delete of a user with orders → 409, ifMatch → 412
+ * 4. Report per operation (records as publicUser); atomic: true → all or nothing
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/users/bulk \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"operations": [
+ *         { "op": "create", "data": { "name": "Ann", "email": "ann@example.com", "phone": "1234567890" } },
+ *         { "op": "update", "id": 4, "data": { "isActive": false } }
+ *       ]}'
+ * 
+ * @route POST /api/users/bulk
+ * @param {boolean} atomic - All or nothing (default: false)
+ * @param {Array} operations - [{ op: 'create'|'update'|'delete', id, data, ifMatch }]
+ * @returns {Object} - 200/207 with a result per operation
+ */
+router.post('/bulk', describe({ summary: 'Create, update and delete users in one request' }), authenticate, authorize('admin'), bulkHandler(USER_RESOURCE));
+
+/**
+ * ============================================
+ * GET /api/users/export - Download users as CSV or NDJSON (admin)
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Same filters, ?search=, sort and ?fields= as GET /api/users
+ * 2. Every matching user (no pages), streamed as a file download
+ * 3. Columns: id, adminUserSchema fields (never passwordHash), version, createdAt, updatedAt
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -o staff.csv "http://localhost:3000/api/users/export?role[in]=staff,admin"
+ * 
+ * @route GET /api/users/export
+ * @param {string} format - csv (default) or ndjson
+ * @param {string} <field>[<op>] / search / sort / fields - Same as GET /api/users
+ * @returns {File} - users-YYYY-MM-DD.csv / .ndjson
+ */
+router.get('/export', describe({ summary: 'Export users as CSV or NDJSON' }), authenticate, authorize('admin'), validateQuery(EXPORT_QUERY), exportHandler({
+  ...USER_RESOURCE,
+  find: findUsers
+}));
+
+/**
+ * ============================================
+ * POST /api/users/import - Create and update users from a CSV / NDJSON file (admin)
+ * ============================================
+ * 
+ * HOW (utils/importExport.js):
+ * 1. Rows with an id update that user, rows without one create a user
+ * 2. Each row is validated with adminUserSchema and applied like a /bulk operation
+ *    (duplicate email → 409 for that row)
+ * 3. Report per row (file line number); ?dryRun=true saves nothing
+ * 
+ * WHY no passwords: passwordHash is read-only, so imported users are like ones from POST /
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST "http://localhost:3000/api/users/import?dryRun=true&map[E-mail]=email" \
+ *   -H "Content-Type: text/csv" --data-binary @users.csv
+ * 
+ * @route POST /api/users/import
+ * @param {string} format - csv or ndjson (default: from Content-Type)
+ * @param {Object} map - map[Column]=field renames a column, map[Column]= skips it
+ * @param {boolean} dryRun - Validate and report without saving (default: false)
+ * @param {boolean} atomic - All rows or none (default: false)
+ * @returns {Object} - 200/207 with a result per row
+ */
+router.post('/import', describe({ summary: 'Import users from CSV or NDJSON' }), authenticate, authorize('admin'), importHandler(USER_RESOURCE));
+
 /**
  * ============================================
  * GET /api/users/:id - Retrieve single user by ID
@@ -142,7 +323,7 @@ router.get('/', (req, res) => {
  * @param {number} id - User ID (URL parameter)
  * @returns {Object} - User object or 404 error
  */
-router.get('/:id', validateId, (req, res) => {
+router.get('/:id', describe({ summary: 'Get a user', returns: 'User' }), validateId, authenticate, authorizeSelfOr('id', 'admin'), (req, res) => {
   try {
     // Search database for user with matching ID
     const user = db.getById(FILENAME, req.params.id);
@@ -152,8 +333,9 @@ router.get('/:id', validateId, (req, res) => {
       return res.status(404).json(response.error('User not found', 404));
     }
 
-    // Return found user
-    res.json(response.success(user, 'User fetched successfully'));
+    // Return found user (ETag: If-None-Match with it → 304)
+    setETag(res, user);
+    res.json(response.success(publicUser(user), 'User fetched successfully'));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch user', 500));
   }
@@ -165,22 +347,18 @@ router.get('/:id', validateId, (req, res) => {
  * ============================================
  * 
  * HOW:
- * 1. Validate required fields (name, email, phone) are present
- * 2. Validate email format is correct
- * 3. Validate phone has 10 digits
- * 4. Check email doesn't already exist (duplicate prevention)
- * 5. Create new user with auto-ID and timestamps
+ * 1. validateBody(userSchema): name, email, phone present,
+ *    email format correct, phone has 10 digits (all errors together)
+ * 4. Create new user with auto-ID and timestamps
+ * 5. Unique email index rejects duplicates (409)
  * 6. Save to users.json
  * 7. Return created user with 201 status
  * 
  * CONTROL FLOW:
  *   POST request arrives with JSON body
- *   → validateRequired checks for name, email, phone
- *   → validateEmail checks email format
- *   → validatePhone checks phone format
- *   → Handler checks for duplicate email
- *   → db.create() generates ID, adds timestamps
- *   → Returns 201 (Created) status
+ *   → validateBody checks every field in userSchema
+ *   → db.create() checks unique email index, generates ID, adds timestamps
+ *   → Returns 201 (Created) status, or 409 if email is taken
  * 
  * COMMAND FLOW EXAMPLE:
  * curl -X POST http://localhost:3000/api/users \
@@ -217,39 +395,20 @@ router.get('/:id', validateId, (req, res) => {
  * @returns {Object} - Created user object with 201 status
  */
 router.post('/', 
-  validateRequired(['name', 'email', 'phone']),  // Check required fields present
-  validateEmail,                                  // Check email format valid
-  validatePhone,                                  // Check phone format valid
+  describe({ summary: 'Create a user', returns: 'User', status: 201, errors: [409] }),
+  authenticate, authorize('admin'),               // Only admins create accounts here (others use /api/auth/register)
+  validateBody(adminUserSchema),                  // Check required fields, formats, lengths
   (req, res) => {
     try {
-      const { name, email, phone, address, city, country } = req.body;
-
-      // DUPLICATE CHECK - WHY: Prevent multiple users with same email
-      // Uses search() to find any users with this email
-      const existingUser = db.search(FILENAME, 'email', email);
-      if (existingUser.length > 0) {
-        return res.status(409).json(response.error('Email already exists', 409));
-      }
-
       // Create new user record
-      // db.create() auto-generates:
-      // - id (next available ID)
-      // - createdAt (current timestamp)
-      // - updatedAt (current timestamp)
-      const newUser = db.create(FILENAME, {
-        name,
-        email,
-        phone,
-        address: address || '',
-        city: city || '',
-        country: country || '',
-        isActive: true  // New users are active by default
-      });
+      const newUser = createUser(req.body);
 
       // Return 201 (Created) status with new user
+      setETag(res, newUser);
       res.status(201).json(response.success(newUser, 'User created successfully', 201));
     } catch (error) {
-      res.status(500).json(response.error('Failed to create user', 500));
+      // WHY: UniqueConstraintError (duplicate email) becomes 409
+      response.sendError(res, error, 'Failed to create user');
     }
   }
 );
@@ -262,9 +421,9 @@ router.post('/',
  * HOW:
  * 1. Validate ID is numeric
  * 2. Check user exists
- * 3. Validate new email format (if provided)
- * 4. Validate new phone format (if provided)
- * 5. Check new email isn't duplicate (if changed)
+ * 3. Validate provided fields against userSchema (email, phone, types)
+ * 4. Fields not sent are left unchanged
+ * 5. Unique email index rejects duplicates (409)
  * 6. Replace all user fields with new values
  * 7. Save to database
  * 8. Return updated user
@@ -294,9 +453,10 @@ router.post('/',
  * @returns {Object} - Updated user object
  */
 router.put('/:id', 
-  validateId,       // Check ID is numeric
-  validateEmail,    // Check email format if provided
-  validatePhone,    // Check phone format if provided
+  describe({ summary: 'Update a user', description: SELF_EDIT_NOTE, body: adminUserSchema, returns: 'User', errors: [409, 412] }),
+  validateId,                                     // Check ID is numeric
+  authenticate, authorizeSelfOr('id', 'admin'),   // Own profile, or admin
+  validateBody(schemaFor, { partial: true }),     // Check any provided field
   (req, res) => {
     try {
       // Check user exists first
@@ -304,21 +464,15 @@ router.put('/:id',
       if (!user) {
         return res.status(404).json(response.error('User not found', 404));
       }
-
-      // DUPLICATE EMAIL CHECK - WHY: Prevent other users from having same email
-      // Only check if email is being changed
-      if (req.body.email && req.body.email !== user.email) {
-        const existingUser = db.search(FILENAME, 'email', req.body.email);
-        if (existingUser.length > 0) {
-          return res.status(409).json(response.error('Email already exists', 409));
-        }
-      }
+      checkIfMatch(req, user);   // 412 if someone saved since the client read it
 
       // Update all fields (db.update() preserves id/createdAt, updates updatedAt)
+      // WHY no manual duplicate check: the unique email index throws if taken
       const updatedUser = db.update(FILENAME, req.params.id, req.body);
-      res.json(response.success(updatedUser, 'User updated successfully'));
+      setETag(res, updatedUser);
+      res.json(response.success(publicUser(updatedUser), 'User updated successfully'));
     } catch (error) {
-      res.status(500).json(response.error('Failed to update user', 500));
+      response.sendError(res, error, 'Failed to update user');
     }
   }
 );
@@ -331,8 +485,9 @@ router.put('/:id',
  * HOW:
  * 1. Validate ID
  * 2. Check user exists
- * 3. Update ONLY provided fields (don't require all fields)
- * 4. Save to database
+ * 3. Validate provided fields against userSchema
+ * 4. Update ONLY provided fields (don't require all fields)
+ * 5. Save to database
  * 5. Return updated user
  * 
  * CONTROL FLOW:
@@ -357,18 +512,20 @@ router.put('/:id',
  * @param {Object} body - Fields to update (partial)
  * @returns {Object} - Updated user object
  */
-router.patch('/:id', validateId, (req, res) => {
+router.patch('/:id', describe({ summary: 'Partially update a user', description: SELF_EDIT_NOTE, body: adminUserSchema, returns: 'User', errors: [409, 412] }), validateId, authenticate, authorizeSelfOr('id', 'admin'), validateBody(schemaFor, { partial: true }), (req, res) => {
   try {
     const user = db.getById(FILENAME, req.params.id);
     if (!user) {
       return res.status(404).json(response.error('User not found', 404));
     }
+    checkIfMatch(req, user);
 
     // Update only provided fields
     const updatedUser = db.update(FILENAME, req.params.id, req.body);
-    res.json(response.success(updatedUser, 'User partially updated'));
+    setETag(res, updatedUser);
+    res.json(response.success(publicUser(updatedUser), 'User partially updated'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to update user', 500));
+    response.sendError(res, error, 'Failed to update user');
   }
 });
 
@@ -380,15 +537,18 @@ router.patch('/:id', validateId, (req, res) => {
  * HOW:
  * 1. Validate ID
  * 2. Check user exists
- * 3. Remove user from database
+ * 3. Soft delete: set deletedAt (user and their orders stay in storage)
+ *    - still has open orders → 409 (orders.userId is onDelete: restrict)
+ *    - their sessions are trashed with them (onDelete: cascade) → logged out
  * 4. Return success response
  * 
  * CONTROL FLOW:
  *   DELETE /api/users/1
  *   → validateId checks ID valid
  *   → db.getById() confirms user exists
- *   → db.deleteRecord() removes from users.json
+ *   → db.deleteRecord() marks the user deleted in users.json
  *   → Returns success response
+ *   → Undo with POST /api/users/1/restore, remove for good with DELETE /api/users/1/purge
  * 
  * COMMAND FLOW EXAMPLE:
  * curl -X DELETE http://localhost:3000/api/users/1
@@ -401,18 +561,19 @@ router.patch('/:id', validateId, (req, res) => {
  * @param {number} id - User ID to delete
  * @returns {Object} - Success message
  */
-router.delete('/:id', validateId, (req, res) => {
+router.delete('/:id', describe({ summary: 'Delete a user (soft)', errors: [412] }), validateId, authenticate, authorize('admin'), (req, res) => {
   try {
     const user = db.getById(FILENAME, req.params.id);
     if (!user) {
       return res.status(404).json(response.error('User not found', 404));
     }
+    checkIfMatch(req, user);
 
-    // Delete from database
+    // Move to trash (soft delete)
     db.deleteRecord(FILENAME, req.params.id);
     res.json(response.success(null, 'User deleted successfully'));
   } catch (error) {
-    res.status(500).json(response.error('Failed to delete user', 500));
+    response.sendError(res, error, 'Failed to delete user');
   }
 });
 
@@ -441,16 +602,58 @@ router.delete('/:id', validateId, (req, res) => {
  * @route GET /api/users/filter/active
  * @returns {Array} - Array of active users
  */
-router.get('/filter/active', (req, res) => {
+router.get('/filter/active', describe({ summary: 'Active users', returns: ['User'] }), authenticate, authorize('admin'), (req, res) => {
   try {
     // Filter users where isActive is true
     const activeUsers = db.filter(FILENAME, user => user.isActive === true);
-    res.json(response.success(activeUsers, 'Active users fetched'));
+    res.json(response.success(activeUsers.map(publicUser), 'Active users fetched'));
   } catch (error) {
     res.status(500).json(response.error('Failed to fetch active users', 500));
   }
 });
 
+/**
+ * ============================================
+ * TRASH: RESTORE / PURGE
+ * ============================================
+ * 
+ * POST   /api/users/:id/restore  → clear deletedAt (admin)
+ * DELETE /api/users/:id/purge    → remove a trashed user for good (admin)
+ * 
+ * WHY purge needs the trash first: A single mistaken request can't lose data
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl -X POST http://localhost:3000/api/users/1/restore
+ * curl -X DELETE http://localhost:3000/api/users/1/purge
+ * 
+ * @route POST /api/users/:id/restore
+ * @route DELETE /api/users/:id/purge
+ * @param {number} id - User ID
+ * @returns {Object} - Restored user (restore) or success message (purge)
+ */
+router.post('/:id/restore', describe({ summary: 'Restore a deleted user', returns: 'User', errors: [409] }), validateId, authenticate, authorize('admin'), (req, res) => {
+  try {
+    const user = db.restore(FILENAME, req.params.id);
+    if (!user) {
+      return res.status(404).json(response.error('User not found in trash', 404));
+    }
+    res.json(response.success(publicUser(user), 'User restored successfully'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to restore user');
+  }
+});
+
+router.delete('/:id/purge', describe({ summary: 'Delete a user permanently' }), validateId, authenticate, authorize('admin'), (req, res) => {
+  try {
+    if (!db.purge(FILENAME, req.params.id)) {
+      return res.status(404).json(response.error('User not found in trash', 404));
+    }
+    res.json(response.success(null, 'User permanently deleted'));
+  } catch (error) {
+    response.sendError(res, error, 'Failed to purge user');
+  }
+});
+
 // ============================================
 // EXPORT ROUTER - WHY: Use in server.js
 // ============================================
@@ -0,0 +1,39 @@
+/**
+ * =====================================================
+ * AUTH SCHEMAS - schemas/authSchema.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Rules for the bodies of /api/auth/register, /login and /refresh
+ * - routes/authRoutes.js passes them to validateBody()
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Registration reuses the user rules, so a registered user is exactly as
+ *   valid as one created through /api/users
+ * - Login only checks shape; whether the password is right is the route's job
+ * 
+ * RULE REFERENCE: see checkRule() in utils/validator.js
+ */
+
+const { userSchema } = require('./userSchema');
+
+// Password rules - shared with the signup page (loginForm)
+const passwordRule = { type: 'string', required: true, minLength: 8, maxLength: 128, format: 'password' };
+
+const registerSchema = {
+  ...userSchema,
+  // WHY optional: The signup form only asks for name, email and password
+  phone:    { ...userSchema.phone, required: false },
+  password: passwordRule
+};
+
+const loginSchema = {
+  email:    { type: 'string', required: true, format: 'email', maxLength: 254 },
+  password: { type: 'string', required: true, minLength: 1, maxLength: 128 }
+};
+
+const refreshSchema = {
+  refreshToken: { type: 'string', required: true, minLength: 1 }
+};
+
+module.exports = { registerSchema, loginSchema, refreshSchema };
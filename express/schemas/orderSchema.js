@@ -0,0 +1,48 @@
+/**
+ * =====================================================
+ * ORDER SCHEMA - schemas/orderSchema.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Declares every order field once, including the nested items array
+ * - routes/orderRoutes.js passes it to validateBody()
+ * - Doubles as the allowlist: fields not listed here are rejected
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Each item is checked too: "items[1].quantity must be at least 1"
+ * - Status values live here so routes and schema agree
+ * - Prices are optional: the server prices every order (services/pricing.js)
+ *   and only uses client prices/totals to detect stale carts
+ * 
+ * RULE REFERENCE: see checkRule() in utils/validator.js
+ */
+
+// Every status an order can have (lifecycle order)
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+// One line of an order
+const orderItemSchema = {
+  productId: { type: 'integer', required: true, min: 1 },
+  quantity:  { type: 'integer', required: true, min: 1 },
+  price:     { type: 'number', min: 0 }     // Optional: must match the current product price if sent
+};
+
+const orderSchema = {
+  // createOnly: Reassigning an order or changing its items after stock was taken is not allowed
+  // userId optional: defaults to the logged-in user (staff may order for others)
+  userId:          { type: 'integer', min: 1, createOnly: true },
+  items:           { type: 'array', required: true, minItems: 1, createOnly: true, items: { type: 'object', properties: orderItemSchema } },
+  // Optional: computed by the server; if sent it must match, and it can never be edited
+  totalAmount:     { type: 'number', exclusiveMin: 0, createOnly: true },
+  // readOnly: Stored price breakdown, always computed (services/pricing.js)
+  pricing:         { type: 'object', readOnly: true },
+  // readOnly: Stock held by the order, managed by services/inventory.js
+  inventory:       { type: 'string', readOnly: true },
+  // readOnly: Changed only through the lifecycle endpoints (services/orderStateMachine.js)
+  status:          { type: 'string', enum: ORDER_STATUSES, readOnly: true },
+  paymentMethod:   { type: 'string', maxLength: 50 },
+  shippingAddress: { type: 'string', maxLength: 500 },
+  notes:           { type: 'string', maxLength: 1000 }
+};
+
+module.exports = { ORDER_STATUSES, orderSchema };
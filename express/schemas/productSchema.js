@@ -0,0 +1,29 @@
+/**
+ * =====================================================
+ * PRODUCT SCHEMA - schemas/productSchema.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Declares every product field once: type, required, range
+ * - routes/productRoutes.js passes it to validateBody()
+ * - Doubles as the allowlist: fields not listed here are rejected
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Replaces the isNaN(price)/isNaN(stock) checks inside handlers
+ * - PUT/PATCH get the same type and range checks as POST
+ * 
+ * RULE REFERENCE: see checkRule() in utils/validator.js
+ */
+
+const productSchema = {
+  name:        { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  price:       { type: 'number', required: true, min: 0 },
+  category:    { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  stock:       { type: 'integer', required: true, min: 0 },
+  description: { type: 'string', maxLength: 2000 },
+  image:       { type: 'string', maxLength: 500 },
+  reserved:    { type: 'integer', readOnly: true },  // Held by pending orders (services/inventory.js)
+  inStock:     { type: 'boolean', readOnly: true }   // Computed: stock - reserved > 0
+};
+
+module.exports = { productSchema };
@@ -0,0 +1,43 @@
+/**
+ * =====================================================
+ * USER SCHEMA - schemas/userSchema.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Declares every user field once: type, required, limits, format
+ * - routes/userRoutes.js passes it to validateBody()
+ * - Doubles as the allowlist: fields not listed here are rejected
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - One source of truth for POST, PUT and PATCH
+ * - All field errors are reported together (see utils/validator.js)
+ * - role/isActive are read-only for everyone except admins, who get
+ *   adminUserSchema instead (see routes/userRoutes.js)
+ * 
+ * RULE REFERENCE: see checkRule() in utils/validator.js
+ */
+
+// Every role a user can have (least → most privileged)
+// customer: own profile + own orders | staff: products + order fulfillment | admin: everything
+const USER_ROLES = ['customer', 'staff', 'admin'];
+
+const userSchema = {
+  name:     { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  email:    { type: 'string', required: true, format: 'email', maxLength: 254 },
+  phone:    { type: 'string', required: true, format: 'phone' },
+  address:  { type: 'string', maxLength: 200 },
+  city:     { type: 'string', maxLength: 100 },
+  country:  { type: 'string', maxLength: 100 },
+  isActive: { type: 'boolean', readOnly: true },  // Set by the server (true on create)
+  role:     { type: 'string', enum: USER_ROLES, readOnly: true },   // 'customer' unless an admin says otherwise
+  passwordHash: { type: 'string', readOnly: true } // Set by /api/auth/register, never returned
+};
+
+// Admins may also (de)activate accounts and change roles
+const adminUserSchema = {
+  ...userSchema,
+  isActive: { type: 'boolean' },
+  role:     { type: 'string', enum: USER_ROLES }
+};
+
+module.exports = { USER_ROLES, userSchema, adminUserSchema };
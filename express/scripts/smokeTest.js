@@ -4,9 +4,16 @@ const HOST = 'localhost';
 const PORT = process.env.PORT || 3000;
 const BASE = `http://${HOST}:${PORT}`;
 
+// WHY env: Lets the smoke test use an admin account that already exists
+const ADMIN = {
+  email: process.env.SMOKE_ADMIN_EMAIL || 'smoke-admin@example.com',
+  password: process.env.SMOKE_ADMIN_PASSWORD || 'smoke12345'
+};
+
+// WHY a string body is sent as-is: CSV files for the /import endpoints
 function request(path, method = 'GET', body = null, headers = {}) {
   return new Promise((resolve) => {
-    const data = body ? JSON.stringify(body) : null;
+    const data = typeof body === 'string' ? body : body ? JSON.stringify(body) : null;
     const opts = {
       hostname: HOST,
       port: PORT,
@@ -45,41 +52,121 @@ function request(path, method = 'GET', body = null, headers = {}) {
   });
 }
 
+// WHY count failures: A wrong status fails the run (exit code 1), so the script works as a gate
+let failures = 0;
+
+function expect(label, resp, status) {
+  const passed = resp.status === status;
+  if (!passed) failures += 1;
+  console.log(`${label}:`, resp.status, passed ? 'OK' : `FAIL (expected ${status})`, passed ? '' : (resp.body || resp.error));
+}
+
+// Register a user, or log in if the account is left over from an earlier run
+async function signIn(account) {
+  const resp = await request('/api/auth/register', 'POST', account);
+  return resp.status === 409 ? request('/api/auth/login', 'POST', { email: account.email, password: account.password }) : resp;
+}
+
+// First per-item result of a /bulk or /import report
+function firstResult(resp) {
+  const results = resp.body && resp.body.data && resp.body.data.results;
+  return results && results.length > 0 ? { status: results[0].status, body: results[0] } : resp;
+}
+
 (async () => {
   console.log(`Running smoke tests against ${BASE}`);
   console.log('Note: Start the server first (`npm start`) if it is not running.');
+  console.log(`Note: Creating products needs an admin - start the server with ADMIN_EMAILS=${ADMIN.email}`);
 
-  // 1) Create user
-  const userResp = await request('/api/users', 'POST', { name: 'Smoke User', email: 'smoke@example.com', phone: '1234567890' });
-  console.log('Create user:', userResp.status, userResp.ok ? 'OK' : 'FAIL', userResp.body || userResp.error);
+  // 1) Register (or log in) the admin user
+  let userResp = await request('/api/auth/register', 'POST', { name: 'Smoke Admin', ...ADMIN });
+  if (userResp.status === 409) {
+    userResp = await request('/api/auth/login', 'POST', ADMIN);
+  }
+  console.log('Register/login admin:', userResp.status, userResp.ok ? 'OK' : 'FAIL', userResp.body || userResp.error);
+  const token = userResp.body && userResp.body.data ? userResp.body.data.accessToken : '';
+  const auth = { Authorization: `Bearer ${token}` };
 
   // 2) Create product
-  const productResp = await request('/api/products', 'POST', { name: 'Smoke Widget', price: 9.99, category: 'smoke', stock: 2 });
+  const productResp = await request('/api/products', 'POST', { name: 'Smoke Widget', price: 9.99, category: 'smoke', stock: 2 }, auth);
   console.log('Create product:', productResp.status, productResp.ok ? 'OK' : 'FAIL', productResp.body || productResp.error);
 
   // 3) Create order (requires userId and productId of 1 or from responses)
-  const userId = (userResp.body && userResp.body.data && userResp.body.data.id) ? userResp.body.data.id : 1;
+  const userId = (userResp.body && userResp.body.data && userResp.body.data.user) ? userResp.body.data.user.id : 1;
   const productId = (productResp.body && productResp.body.data && productResp.body.data.id) ? productResp.body.data.id : 1;
 
   const orderResp = await request('/api/orders', 'POST', {
     userId,
-    items: [{ productId, quantity: 1, price: 9.99 }],
-    totalAmount: 9.99
-  });
+    items: [{ productId, quantity: 1, price: 9.99 }]   // WHY no totalAmount: The server computes it
+  }, auth);
   console.log('Create order:', orderResp.status, orderResp.ok ? 'OK' : 'FAIL', orderResp.body || orderResp.error);
 
   // 4) Paginated users
-  const pageResp = await request('/api/users?page=1&limit=5');
+  const pageResp = await request('/api/users?page=1&limit=5', 'GET', null, auth);
   console.log('Paginated users:', pageResp.status, pageResp.ok ? 'OK' : 'FAIL');
 
   // 5) Low stock products
-  const lowStockResp = await request('/api/products/stock/low?threshold=5');
+  const lowStockResp = await request('/api/products/stock/low?threshold=5', 'GET', null, auth);
   console.log('Low stock products:', lowStockResp.status, lowStockResp.ok ? 'OK' : 'FAIL');
 
   // 6) Cancel order if created
   const orderId = (orderResp.body && orderResp.body.data && orderResp.body.data.id) ? orderResp.body.data.id : 1;
-  const cancelResp = await request(`/api/orders/${orderId}/cancel`, 'POST');
+  const cancelResp = await request(`/api/orders/${orderId}/cancel`, 'POST', null, auth);
   console.log('Cancel order:', cancelResp.status, cancelResp.ok ? 'OK' : 'FAIL', cancelResp.body || cancelResp.error);
 
-  console.log('Smoke tests complete. Review the outputs above.');
+  // 7) Illegal transitions and edits (services/orderStateMachine.js)
+  expect('Edit cancelled order', await request(`/api/orders/${orderId}`, 'PATCH', { notes: 'too late' }, auth), 409);
+  expect('Cancel cancelled order', await request(`/api/orders/${orderId}/cancel`, 'POST', null, auth), 409);
+  const pendingResp = await request('/api/orders', 'POST', { userId, items: [{ productId, quantity: 1 }] }, auth);
+  expect('Create second order', pendingResp, 201);
+  const pendingId = pendingResp.body && pendingResp.body.data ? pendingResp.body.data.id : 1;
+  expect('Ship pending order', await request(`/api/orders/${pendingId}/ship`, 'POST', null, auth), 409);
+  expect('Deliver pending order', await request(`/api/orders/${pendingId}/deliver`, 'POST', null, auth), 409);
+  expect('Cancel second order', await request(`/api/orders/${pendingId}/cancel`, 'POST', null, auth), 200);
+
+  // 8) Query keys: unknown fields and built-in object properties are 400s, not matches or 500s
+  expect('Filter, sort and fields', await request('/api/products?price[gte]=0&sort=-price&fields=id,name'), 200);
+  for (const query of ['nosuchfield=1', 'toString=1', 'hasOwnProperty[gt]=1', 'fields=constructor', 'sort=toString', 'price[constructor]=1']) {
+    expect(`Query ?${query}`, await request(`/api/products?${query}`), 400);
+  }
+
+  // 9) Cursor round-trip: next page, then back to the first
+  await request('/api/products', 'POST', { name: 'Smoke Widget Deluxe', price: 19.99, category: 'smoke', stock: 2 }, auth);
+  const firstPage = await request('/api/products?category=smoke&sort=-price&limit=1&after=');
+  expect('Cursor first page', firstPage, 200);
+  const pagination = (page) => (page.body && page.body.pagination) || {};
+  const firstId = (page) => (page.body && page.body.data && page.body.data[0] ? page.body.data[0].id : null);
+  const secondPage = await request(`/api/products?category=smoke&sort=-price&limit=1&after=${pagination(firstPage).nextCursor}`);
+  expect('Cursor next page', secondPage, 200);
+  const backPage = await request(`/api/products?category=smoke&sort=-price&limit=1&before=${pagination(secondPage).prevCursor}`);
+  const roundTrip = firstId(firstPage) !== null && firstId(secondPage) !== firstId(firstPage) && firstId(backPage) === firstId(firstPage);
+  expect('Cursor back to first page', { ...backPage, status: roundTrip ? backPage.status : 0 }, 200);
+  expect('Cursor reused with another sort', await request(`/api/products?category=smoke&sort=name&limit=1&after=${pagination(firstPage).nextCursor}`), 400);
+
+  // 10) Cross-user access: another customer's order stays hidden through /bulk and /import too
+  const ownerResp = await signIn({ name: 'Smoke Customer', email: 'smoke-customer@example.com', password: 'smoke12345' });
+  const otherResp = await signIn({ name: 'Smoke Other', email: 'smoke-other@example.com', password: 'smoke12345' });
+  const ownerAuth = { Authorization: `Bearer ${ownerResp.body && ownerResp.body.data ? ownerResp.body.data.accessToken : ''}` };
+  const otherAuth = { Authorization: `Bearer ${otherResp.body && otherResp.body.data ? otherResp.body.data.accessToken : ''}` };
+  const ownOrderResp = await request('/api/orders', 'POST', { items: [{ productId, quantity: 1 }], notes: 'smoke private' }, ownerAuth);
+  expect('Customer places order', ownOrderResp, 201);
+  const ownOrderId = ownOrderResp.body && ownOrderResp.body.data ? ownOrderResp.body.data.id : 1;
+  expect('Other customer reads it', await request(`/api/orders/${ownOrderId}`, 'GET', null, otherAuth), 403);
+  expect('Other customer reads it via /bulk', firstResult(await request('/api/orders/bulk', 'POST', {
+    operations: [{ op: 'update', id: ownOrderId, data: {} }]
+  }, otherAuth)), 403);
+  expect('Other customer reads it via /import', firstResult(await request('/api/orders/import', 'POST', `id\n${ownOrderId}\n`, {
+    ...otherAuth, 'Content-Type': 'text/csv'
+  })), 403);
+  expect('Owner re-imports it unchanged', firstResult(await request('/api/orders/import', 'POST', `id\n${ownOrderId}\n`, {
+    ...ownerAuth, 'Content-Type': 'text/csv'
+  })), 200);
+  await request(`/api/orders/${ownOrderId}/cancel`, 'POST', null, ownerAuth);
+
+  if (failures > 0) {
+    console.log(`Smoke tests complete: ${failures} check(s) failed.`);
+    process.exitCode = 1;
+  } else {
+    console.log('Smoke tests complete. Review the outputs above.');
+  }
 })();
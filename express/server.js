@@ -6,10 +6,12 @@
  * HOW IT WORKS:
  * 1. Imports Express framework to create a web server
  * 2. Sets up middleware to parse incoming JSON/URL-encoded data
- * 3. Imports all route modules (users, products, orders)
+ * 3. Imports all route modules (auth, users, products, orders, API docs)
  * 4. Mounts routes at specific URL paths
  * 5. Handles 404 errors and general server errors
  * 6. Starts the server on port 3000
+ * 7. On SIGINT/SIGTERM: readiness turns 503, then stops accepting connections and flushes the database
+ * 8. Logs JSON lines (utils/logger.js): one per request, tagged with X-Request-Id
  * 
  * WHY IT WORKS THIS WAY:
  * - Middleware processes requests BEFORE reaching routes
@@ -18,23 +20,48 @@
  * - Modular structure allows easy addition of new routes
  * 
  * CONTROL FLOW:
- * Request → Middleware (parse JSON) → Route Handler → Response
+ * Request → Request ID + log → Middleware (parse JSON) → Route Handler → Response
  * 
  * DATA FLOW:
  * Client sends JSON → express.json() parses it → Route processes it → Database updates → Response sent
  */
 
+const path = require('path');
 const express = require('express');
+const db = require('./utils/database');
+const config = require('./config');
+const { describe } = require('./utils/openapi');
+const { logger, requestLogger } = require('./utils/logger');
+const { requestMetrics, metricsHandler } = require('./utils/metrics');
+const { liveness, readiness, markShuttingDown, isShuttingDown } = require('./utils/health');
+const { echoRequestId } = require('./utils/responseHandler');
 const app = express();
 
 // ============================================
 // MIDDLEWARE SETUP - WHY: Pre-process all requests
 // ============================================
 
+// Request ID (X-Request-Id) + one JSON log line per request
+// WHY first: Even requests the body parsers reject get an ID and a log line
+app.use(requestLogger);
+app.use(echoRequestId);
+
+// Request count + latency per route (GET /metrics)
+app.use(requestMetrics);
+
 // Parses incoming JSON bodies (Content-Type: application/json)
 // WHY: Converts raw JSON string to JavaScript objects
+// WHY /bulk first: Bulk bodies carry whole catalogs (config.bulk.bodyLimit);
+// the default parser below skips bodies that are already parsed
+app.use(/^\/api\/\w+\/bulk$/, express.json({ limit: config.bulk.bodyLimit }));
 app.use(express.json());
 
+// Imports arrive as plain text files (CSV / NDJSON), same size limit as /bulk
+app.use(/^\/api\/\w+\/import$/, express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson'],
+  limit: config.bulk.bodyLimit
+}));
+
 // Parses URL-encoded form data (Content-Type: application/x-www-form-urlencoded)
 // WHY: Allows form submissions and query parameters to be parsed
 // extended: true = use 'qs' library for complex objects
@@ -45,23 +72,89 @@ app.use(express.urlencoded({ extended: true }));
 // ============================================
 // Each route file handles all CRUD operations for that resource
 
+const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const docsRoutes = require('./routes/docsRoutes');
 
 // ============================================
 // HEALTH CHECK ENDPOINT - WHY: Verify server is running
 // ============================================
 // Used by monitoring tools and clients to check if API is alive
-app.get('/health', (req, res) => {
+app.get('/health', describe({
+  summary: 'Is the server running?',
+  returns: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } },
+  raw: true
+}), (req, res) => {
   res.status(200).json({ status: 'Server is running', timestamp: new Date() });
 });
 
+// Liveness / readiness probes (utils/health.js) - WHY separate: restart vs. stop sending traffic
+// Kubernetes: livenessProbe → /health/live, readinessProbe → /health/ready
+app.get('/health/live', describe({
+  summary: 'Liveness probe: is the process answering?',
+  returns: {
+    status: { type: 'string', enum: ['alive'] },
+    uptimeSeconds: { type: 'integer' },
+    timestamp: { type: 'string', format: 'date-time' }
+  },
+  raw: true
+}), liveness);
+
+app.get('/health/ready', describe({
+  summary: 'Readiness probe: can storage read and write every collection?',
+  description: 'Probes each collection (read from storage, test write) and reports every check with its timing. '
+    + '503 when any check fails, and during graceful shutdown.',
+  returns: {
+    status: { type: 'string', enum: ['ready', 'not ready', 'shutting down'] },
+    checks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', example: 'storage' },
+          collection: { type: 'string', example: 'users' },
+          status: { type: 'string', enum: ['ok', 'error'] },
+          durationMs: { type: 'number' },
+          error: { type: 'string' }
+        }
+      }
+    },
+    durationMs: { type: 'number' },
+    timestamp: { type: 'string', format: 'date-time' }
+  },
+  raw: true,
+  statuses: [503]
+}), readiness);
+
+// ============================================
+// METRICS ENDPOINT - WHY: Prometheus scrapes traffic, latency, storage and store numbers
+// ============================================
+// Optional METRICS_TOKEN: then scrapes must send it as a Bearer token
+app.get('/metrics', describe({
+  summary: 'Prometheus metrics (text exposition format)',
+  description: 'Requests and latency per route, database timings and sizes, orders by status, low-stock products. '
+    + 'Needs "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.',
+  download: ['text/plain']
+}), metricsHandler);
+
+// ============================================
+// LOGIN PAGES - WHY: Serve ../loginForm from the same origin as the API
+// ============================================
+// Same origin = the pages can call /api/auth/* without any CORS setup
+// Open http://localhost:3000/login/ (intex.html is the login page)
+app.use('/login', express.static(path.join(__dirname, '../loginForm'), { index: 'intex.html' }));
+
 // ============================================
 // ROUTE MOUNTING - WHY: Organize API endpoints by resource
 // ============================================
 // CONTROL FLOW: Request → Route path checked → Matching route handler executes
 
+// Mount auth routes: register, login, refresh, logout, me
+// Examples: POST /api/auth/login, POST /api/auth/refresh
+app.use('/api/auth', authRoutes);
+
 // Mount user routes: ALL user endpoints will start with /api/users
 // Examples: GET /api/users, POST /api/users, PUT /api/users/1
 app.use('/api/users', userRoutes);
@@ -74,6 +167,10 @@ app.use('/api/products', productRoutes);
 // Examples: GET /api/orders, POST /api/orders, PATCH /api/orders/1/cancel
 app.use('/api/orders', orderRoutes);
 
+// Mount API docs: the OpenAPI document and the page that renders it
+// Examples: GET /api/openapi.json, http://localhost:3000/api/docs/
+app.use('/api', docsRoutes);
+
 // ============================================
 // 404 NOT FOUND HANDLER - WHY: Handle undefined routes
 // ============================================
@@ -84,7 +181,8 @@ app.use((req, res) => {
   res.status(404).json({ 
     error: 'Route not found', 
     path: req.path,
-    message: `${req.method} ${req.path} - Endpoint does not exist`
+    message: `${req.method} ${req.path} - Endpoint does not exist`,
+    requestId: req.id
   });
 });
 
@@ -97,15 +195,17 @@ app.use((req, res) => {
 // WHY: Express passes errors to this handler automatically
 
 app.use((err, req, res, next) => {
-  // Log error to console for debugging
-  console.error('❌ ERROR:', err.message);
-  console.error('   Stack:', err.stack);
+  // Log with the request ID; client errors (bad JSON, body too large) are only warnings
+  const status = err.status || 500;
+  if (status >= 500) req.log.error('Unhandled error', { error: err });
+  else req.log.warn('Request rejected', { error: err.message });
   
   // Send error response with appropriate status code
-  res.status(err.status || 500).json({ 
+  res.status(status).json({ 
     error: err.message || 'Internal Server Error',
-    statusCode: err.status || 500,
+    statusCode: status,
     timestamp: new Date().toISOString(),
+    requestId: req.id,
     // In production, remove details for security
     ...(process.env.NODE_ENV !== 'production' && { details: err.stack })
   });
@@ -116,13 +216,53 @@ app.use((err, req, res, next) => {
 // ============================================
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log(`\n${'='.repeat(50)}`);
-  console.log(`✅ Server running on http://localhost:${PORT}`);
-  console.log(`📍 Health Check: http://localhost:${PORT}/health`);
-  console.log(`📚 API Routes:`);
-  console.log(`   - /api/users (Users management)`);
-  console.log(`   - /api/products (Products management)`);
-  console.log(`   - /api/orders (Orders management)`);
-  console.log(`${'='.repeat(50)}\n`);
+const server = app.listen(PORT, () => {
+  const url = `http://localhost:${PORT}`;
+  logger.info('Server running', {
+    url,
+    health: `${url}/health`,
+    ready: `${url}/health/ready`,
+    metrics: `${url}/metrics`,
+    login: `${url}/login/`,
+    docs: `${url}/api/docs/`,
+    adapter: db.adapter,
+    routes: ['/api/auth', '/api/users', '/api/products', '/api/orders']
+  });
+  if (!config.auth.tokenSecretFromEnv) {
+    logger.warn('AUTH_TOKEN_SECRET not set - using a random key, sessions end on restart');
+  }
 });
+
+// ============================================
+// GRACEFUL SHUTDOWN - WHY: Don't lose write-behind data
+// ============================================
+// The database keeps recent writes in memory for a short time (see utils/database.js).
+// CONTROL FLOW: Signal → /health/ready answers 503 → wait SHUTDOWN_DELAY_MS (load balancer
+//   notices) → Stop accepting requests → Finish in-flight ones → db.close() → Exit
+// A second signal skips the waiting: flush and exit now
+const shutdown = (signal) => {
+  if (isShuttingDown()) {
+    logger.warn('Second signal, exiting now', { signal });
+    db.close();
+    process.exit(0);
+  }
+  markShuttingDown();
+  logger.info('Shutting down', { signal, delayMs: config.health.shutdownDelayMs });
+
+  setTimeout(() => {
+    // WHY: Don't wait forever for keep-alive connections to end
+    setTimeout(() => {
+      db.close();
+      process.exit(0);
+    }, 10000).unref();
+
+    server.close(() => {
+      db.close();
+      logger.info('Database flushed, bye');
+      process.exit(0);
+    });
+  }, config.health.shutdownDelayMs);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
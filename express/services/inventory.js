@@ -0,0 +1,249 @@
+/**
+ * =====================================================
+ * INVENTORY - services/inventory.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Every product has stock (units on the shelf) and reserved (units held
+ *   by pending orders). available = stock - reserved
+ * - Each order remembers what it holds in order.inventory:
+ *     'reserved'  → created, units counted in product.reserved
+ *     'committed' → confirmed, units taken out of product.stock
+ *     'released'  → cancelled/deleted, units given back
+ * - inStock is recomputed on every change: available > 0
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - A pending order may still be cancelled, so its units are only held,
+ *   not removed; confirming is what actually takes them off the shelf
+ * - Two customers can't both buy the last unit: reserve() checks available,
+ *   not stock
+ * - order.inventory makes every step idempotent - cancelling twice or
+ *   deleting a cancelled order never gives units back twice
+ * 
+ * LIFECYCLE:
+ *   create  → reserve()   reserved += qty
+ *   confirm → commit()    stock -= qty, reserved -= qty
+ *   cancel  → release()   reserved -= qty   (was reserved)
+ *                         stock += qty      (was committed)
+ *   restore → reacquire() deleted pending/confirmed order takes its units again
+ * 
+ * DATA FLOW:
+ * order items → total quantity per product → check/adjust products.json
+ * 
+ * All functions take tx (the database API inside db.transaction()) so the
+ * product and order writes are saved together
+ */
+
+const { InsufficientStockError } = require('../utils/errors');
+
+const PRODUCTS_FILENAME = 'products.json';
+
+// Order statuses whose units are still in the warehouse (held or committed)
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+// Helpers: stored values may be missing on products created before reservations existed
+const stockOf = (product) => parseInt(product.stock, 10) || 0;
+const reservedOf = (product) => parseInt(product.reserved, 10) || 0;
+
+/**
+ * Units that can still be ordered
+ * 
+ * @param {Object} product - Product record
+ * @returns {number} - stock - reserved
+ */
+const availableStock = (product) => stockOf(product) - reservedOf(product);
+
+/**
+ * Stock fields to save, with inStock kept consistent
+ * 
+ * @param {number} stock - Units on the shelf
+ * @param {number} reserved - Units held by pending orders
+ * @returns {Object} - { stock, reserved, inStock }
+ */
+const stockFields = (stock, reserved) => ({ stock, reserved, inStock: stock - reserved > 0 });
+
+/**
+ * Sum quantities per product
+ * WHY: Two lines for the same product must be checked against stock together
+ * 
+ * @param {Array} items - Order items [{ productId, quantity }]
+ * @returns {Map} - productId → total quantity
+ */
+const quantitiesByProduct = (items) => {
+  const totals = new Map();
+  for (const item of items) {
+    totals.set(item.productId, (totals.get(item.productId) || 0) + item.quantity);
+  }
+  return totals;
+};
+
+/**
+ * Apply a stock change to every product of an order
+ * WHY withDeleted: A trashed product can be restored, so its counts must stay right
+ * WHY skip missing products: A purged product has no stock left to adjust
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Array} items - Order items
+ * @param {Function} change - (product, quantity) → { stock, reserved }
+ */
+const adjust = (tx, items, change) => {
+  for (const [productId, quantity] of quantitiesByProduct(items)) {
+    const product = tx.getById(PRODUCTS_FILENAME, productId, { withDeleted: true });
+    if (!product) continue;
+
+    const { stock, reserved } = change(product, quantity);
+    tx.update(PRODUCTS_FILENAME, productId, stockFields(stock, reserved), { withDeleted: true });
+  }
+};
+
+/**
+ * ============================================
+ * RESERVE - WHY: Hold units for a new order
+ * ============================================
+ * 
+ * HOW:
+ * 1. Total the requested quantity per product
+ * 2. Collect every product where requested > available
+ * 3. Any shortage → InsufficientStockError (409) listing them all, nothing saved
+ * 4. Otherwise reserved += quantity for each product
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Array} items - Order items [{ productId, quantity }]
+ * @returns {string} - 'reserved' (store as order.inventory)
+ * @throws {InsufficientStockError} - If any product lacks available stock
+ */
+const reserve = (tx, items) => {
+  const shortages = [];
+  for (const [productId, requested] of quantitiesByProduct(items)) {
+    const product = tx.getById(PRODUCTS_FILENAME, productId);
+    const available = product ? availableStock(product) : 0;
+    if (requested > available) {
+      shortages.push({ productId, name: product ? product.name : null, requested, available: Math.max(available, 0) });
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+
+  adjust(tx, items, (product, quantity) => ({ stock: stockOf(product), reserved: reservedOf(product) + quantity }));
+  return 'reserved';
+};
+
+/**
+ * ============================================
+ * COMMIT - WHY: Confirmed units leave the shelf
+ * ============================================
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Object} order - Order being confirmed
+ * @returns {string} - New order.inventory value
+ */
+const commit = (tx, order) => {
+  if (order.inventory !== 'reserved') return order.inventory;
+
+  adjust(tx, order.items, (product, quantity) => ({
+    stock: stockOf(product) - quantity,
+    reserved: Math.max(reservedOf(product) - quantity, 0)
+  }));
+  return 'committed';
+};
+
+/**
+ * ============================================
+ * RELEASE - WHY: Cancelled/deleted orders give their units back
+ * ============================================
+ * 
+ * HOW:
+ *   'reserved'  → reserved -= quantity
+ *   'committed' → stock += quantity
+ *   anything else (already released, or created before reservations) → nothing
+ *   shipped/delivered orders → nothing (the goods have left the warehouse)
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Object} order - Order being cancelled or deleted
+ * @returns {string} - New order.inventory value
+ */
+const release = (tx, order) => {
+  if (!OPEN_STATUSES.includes(order.status)) {
+    return order.inventory;
+  }
+
+  if (order.inventory === 'reserved') {
+    adjust(tx, order.items, (product, quantity) => ({
+      stock: stockOf(product),
+      reserved: Math.max(reservedOf(product) - quantity, 0)
+    }));
+  } else if (order.inventory === 'committed') {
+    adjust(tx, order.items, (product, quantity) => ({
+      stock: stockOf(product) + quantity,
+      reserved: reservedOf(product)
+    }));
+  } else {
+    return order.inventory;
+  }
+  return 'released';
+};
+
+/**
+ * ============================================
+ * REACQUIRE - WHY: A restored order must hold stock again
+ * ============================================
+ * 
+ * HOW: Deleting released the order's units. On restore:
+ *   pending   → reserve() again
+ *   confirmed → reserve() + commit() (its units were already off the shelf)
+ *   other statuses (cancelled, shipped, ...) → nothing to take back
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Object} order - Order being restored
+ * @returns {string} - New order.inventory value
+ * @throws {InsufficientStockError} - If the units were sold in the meantime
+ */
+const reacquire = (tx, order) => {
+  if (order.inventory !== 'released' || !OPEN_STATUSES.includes(order.status)) {
+    return order.inventory;
+  }
+
+  const reserved = reserve(tx, order.items);
+  return order.status === 'confirmed' ? commit(tx, { ...order, inventory: reserved }) : reserved;
+};
+
+// ============================================
+// TRANSITION EFFECTS - WHY: Which lifecycle step moves stock
+// ============================================
+// ship/deliver: Units were already committed on confirm
+const TRANSITION_EFFECTS = {
+  confirm: commit,
+  cancel: release
+};
+
+/**
+ * ============================================
+ * APPLY TRANSITION - WHY: Keep stock in step with the order lifecycle
+ * ============================================
+ * 
+ * CALLED BY: routes/orderRoutes.js after orderStateMachine.transition() allowed the step
+ * 
+ * @param {Object} tx - Database API (inside db.transaction)
+ * @param {Object} order - Order before the transition
+ * @param {string} action - 'confirm' | 'ship' | 'deliver' | 'cancel'
+ * @returns {Object} - { inventory } to merge into the order update, or {}
+ */
+const applyTransition = (tx, order, action) => {
+  const effect = TRANSITION_EFFECTS[action];
+  return effect ? { inventory: effect(tx, order) } : {};
+};
+
+// ============================================
+// EXPORT INVENTORY - WHY: Used by order and product routes
+// ============================================
+module.exports = {
+  availableStock,   // stock - reserved
+  stockFields,      // { stock, reserved, inStock }
+  reserve,          // Hold units for a new order (409 if short)
+  commit,           // Confirmed: take units off the shelf
+  release,          // Cancelled/deleted: give units back
+  reacquire,        // Restored order: take units again
+  applyTransition   // Run the stock effect of a lifecycle step
+};
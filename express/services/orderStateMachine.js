@@ -0,0 +1,154 @@
+/**
+ * =====================================================
+ * ORDER STATE MACHINE - services/orderStateMachine.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - TRANSITIONS lists every allowed lifecycle step (action → from → to)
+ * - Each step may have a guard: an extra check on the order's data
+ * - transition(order, action) returns the fields to save (status + history)
+ *   or throws InvalidTransitionError (409)
+ * - assertEditable(order): other fields (address, payment, notes) only change
+ *   while the order is pending or confirmed, otherwise 409 too
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Status changes can only follow the lifecycle; no "delivered → pending"
+ * - One table instead of if/else checks spread across route handlers
+ * - statusHistory records who-went-where-when for support and auditing
+ * 
+ * LIFECYCLE:
+ *   pending ──confirm──► confirmed ──ship──► shipped ──deliver──► delivered
+ *      │                    │
+ *      └──────cancel────────┴──► cancelled
+ * 
+ * DATA FLOW:
+ * order + action → check from-state → run guard → { status, statusHistory } → db.update()
+ */
+
+const { InvalidTransitionError } = require('../utils/errors');
+
+// ============================================
+// TRANSITION TABLE - WHY: Single source of truth for the lifecycle
+// ============================================
+// guard(order) returns an error message, or null when the step is allowed
+const TRANSITIONS = {
+  confirm: {
+    from: ['pending'],
+    to: 'confirmed'
+  },
+  ship: {
+    from: ['confirmed'],
+    to: 'shipped',
+    // WHY: A carrier needs somewhere to deliver to
+    guard: (order) => (String(order.shippingAddress || '').trim() ? null : 'Cannot ship an order without a shippingAddress')
+  },
+  deliver: {
+    from: ['shipped'],
+    to: 'delivered'
+  },
+  cancel: {
+    // WHY not shipped/delivered: The goods have already left the warehouse
+    from: ['pending', 'confirmed'],
+    to: 'cancelled'
+  }
+};
+
+// EDITABLE STATUSES - WHY: Address, payment and notes can change until the goods
+// leave the warehouse; after that only the lifecycle actions apply
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * ============================================
+ * INITIAL STATE - WHY: Every new order starts the same way
+ * ============================================
+ * 
+ * @param {string} at - ISO timestamp of creation
+ * @returns {Object} - { status, statusHistory } to merge into the new order
+ */
+const initialState = (at = new Date().toISOString()) => ({
+  status: 'pending',
+  statusHistory: [{ status: 'pending', at }]
+});
+
+/**
+ * ============================================
+ * TRANSITION - WHY: Compute the next state or refuse
+ * ============================================
+ * 
+ * HOW:
+ * 1. Look up the action in TRANSITIONS
+ * 2. Current status must be one of step.from
+ * 3. step.guard (if any) must pass
+ * 4. Return new status + history with one more entry
+ * 
+ * CONTROL FLOW:
+ *   transition({ status: 'pending', ... }, 'ship')
+ *   → 'pending' not in ['confirmed'] → throw InvalidTransitionError
+ * 
+ *   transition({ status: 'confirmed', shippingAddress: '1 Main St', ... }, 'ship')
+ *   → { status: 'shipped', statusHistory: [..., { status: 'shipped', from: 'confirmed', at }] }
+ * 
+ * @param {Object} order - Current order
+ * @param {string} action - 'confirm' | 'ship' | 'deliver' | 'cancel'
+ * @param {string} at - ISO timestamp of the change (default: now)
+ * @returns {Object} - Fields to pass to db.update()
+ * @throws {InvalidTransitionError} - If the step isn't allowed from the current status
+ */
+const transition = (order, action, at = new Date().toISOString()) => {
+  const step = TRANSITIONS[action];
+  if (!step) {
+    throw new InvalidTransitionError(`Unknown order action '${action}'`, { action });
+  }
+
+  if (!step.from.includes(order.status)) {
+    throw new InvalidTransitionError(
+      `Cannot ${action} an order that is ${order.status}`,
+      { action, from: order.status, allowedFrom: step.from }
+    );
+  }
+
+  const guardError = step.guard && step.guard(order);
+  if (guardError) {
+    throw new InvalidTransitionError(guardError, { action, from: order.status });
+  }
+
+  // WHY default []: Orders created before history existed start with an empty list
+  const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+
+  return {
+    status: step.to,
+    statusHistory: [...history, { status: step.to, from: order.status, at }]
+  };
+};
+
+/**
+ * ============================================
+ * ASSERT EDITABLE - WHY: PUT/PATCH, /bulk and /import edit orders outside the lifecycle
+ * ============================================
+ * 
+ * CONTROL FLOW:
+ *   assertEditable({ status: 'shipped', ... }) → throw InvalidTransitionError (409)
+ *   assertEditable({ status: 'pending', ... }) → ok
+ * 
+ * @param {Object} order - Current order
+ * @throws {InvalidTransitionError} - If the order is no longer pending or confirmed
+ */
+const assertEditable = (order) => {
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    throw new InvalidTransitionError(
+      `Cannot edit an order that is ${order.status}`,
+      { action: 'edit', from: order.status, allowedFrom: EDITABLE_STATUSES }
+    );
+  }
+};
+
+// ============================================
+// EXPORT STATE MACHINE - WHY: Used by routes/orderRoutes.js
+// ============================================
+module.exports = {
+  TRANSITIONS,        // action → { from, to, guard }
+  EDITABLE_STATUSES,  // Statuses in which order fields may still be edited
+  initialState,       // status + history for a new order
+  transition,         // Next state or InvalidTransitionError
+  assertEditable      // Edits allowed in this status, or InvalidTransitionError
+};
@@ -0,0 +1,136 @@
+/**
+ * =====================================================
+ * ORDER PRICING - services/pricing.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Looks up every order item's product and uses ITS price (not the client's)
+ * - Computes line totals → subtotal → tax → shipping → total
+ * - Rules (tax rate, shipping) come from config.pricing
+ * - verifyClientPrices() compares what the client thought against the result
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - A client could otherwise send {"price": 0.01} and pay one cent
+ * - Pure functions: the caller passes a product lookup, so the same code
+ *   runs inside a db.transaction() with tx.getById
+ * 
+ * DATA FLOW:
+ * items [{productId, quantity}] → findProduct() → lines → totals → { items, pricing }
+ * 
+ * EXAMPLE (taxRate 0.08, shipping 5.99 below 50):
+ *   2 × $10.00 → subtotal 20.00, tax 1.60, shipping 5.99, total 27.59
+ */
+
+const config = require('../config').pricing;
+const { AppError } = require('../utils/errors');
+
+/**
+ * Round to cents
+ * WHY EPSILON: 1.005 * 100 is 100.49999... in floating point
+ * 
+ * @param {number} amount - Money amount
+ * @returns {number} - Amount rounded to 2 decimals
+ */
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * ============================================
+ * PRICE ORDER - WHY: Server-side source of truth for what an order costs
+ * ============================================
+ * 
+ * HOW:
+ * 1. Look up each item's product; collect every unknown productId
+ * 2. Unknown products → AppError 400 listing each offending item
+ * 3. Line total = product.price × quantity
+ * 4. subtotal = Σ line totals; tax = subtotal × taxRate
+ * 5. shipping = 0 if subtotal ≥ freeShippingThreshold, else flat rate
+ * 6. total = subtotal + tax + shipping
+ * 
+ * @param {Array} items - Validated items [{ productId, quantity, price? }]
+ * @param {Function} findProduct - productId → product or null
+ * @returns {{ items: Array, pricing: Object }} - Priced lines + breakdown
+ * @throws {AppError} - 400 if any product doesn't exist
+ */
+const priceOrder = (items, findProduct) => {
+  const errors = [];
+  const lines = items.map((item, i) => {
+    const product = findProduct(item.productId);
+    if (!product) {
+      errors.push({ field: `items[${i}].productId`, message: `Product ${item.productId} not found` });
+      return null;
+    }
+
+    const unitPrice = roundMoney(parseFloat(product.price) || 0);
+    return {
+      productId: product.id,
+      name: product.name,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * item.quantity)
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new AppError('Order contains unknown products', 400, errors);
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const tax = roundMoney(subtotal * config.taxRate);
+  const shipping = subtotal >= config.freeShippingThreshold ? 0 : roundMoney(config.shippingFlatRate);
+
+  return {
+    items: lines,
+    pricing: {
+      subtotal,
+      taxRate: config.taxRate,
+      tax,
+      shipping,
+      total: roundMoney(subtotal + tax + shipping)
+    }
+  };
+};
+
+/**
+ * ============================================
+ * VERIFY CLIENT PRICES - WHY: Never charge something the client didn't expect
+ * ============================================
+ * 
+ * HOW:
+ * - items[i].price sent and ≠ current unit price → mismatch
+ * - totalAmount sent and ≠ computed total → mismatch
+ * - Anything not sent is simply not compared (the server total is used)
+ * 
+ * WHY 409: The request is valid, but the client's view of the prices is stale
+ * 
+ * @param {Array} requestedItems - Items as sent by the client
+ * @param {Object} priced - Result of priceOrder()
+ * @param {number|undefined} totalAmount - Client's total, if sent
+ * @throws {AppError} - 409 with one entry per mismatch
+ */
+const verifyClientPrices = (requestedItems, priced, totalAmount) => {
+  const mismatches = [];
+
+  requestedItems.forEach((item, i) => {
+    const { unitPrice } = priced.items[i];
+    if (item.price !== undefined && roundMoney(item.price) !== unitPrice) {
+      mismatches.push({ field: `items[${i}].price`, message: `items[${i}].price is ${item.price}, current price is ${unitPrice}` });
+    }
+  });
+
+  if (totalAmount !== undefined && roundMoney(totalAmount) !== priced.pricing.total) {
+    mismatches.push({ field: 'totalAmount', message: `totalAmount is ${totalAmount}, computed total is ${priced.pricing.total}` });
+  }
+
+  if (mismatches.length > 0) {
+    throw new AppError('Order prices do not match current prices', 409, mismatches);
+  }
+};
+
+// ============================================
+// EXPORT PRICING - WHY: Used by routes/orderRoutes.js
+// ============================================
+module.exports = {
+  roundMoney,          // Round to cents
+  priceOrder,          // Compute lines + subtotal/tax/shipping/total
+  verifyClientPrices   // 409 if client's prices/total differ
+};
@@ -0,0 +1,333 @@
+/**
+ * =====================================================
+ * PRODUCT SEARCH - services/search.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - An inverted index maps every word to the products containing it:
+ *     'lamp' → { 3, 8 }    'desk' → { 8, 12 }    'office' → { 1, 8, 12 }
+ * - Words come from name, category and description (tokenize: lowercase,
+ *   accents removed, split on anything that isn't a letter or digit)
+ * - Each query word matches index words that are:
+ *     equal          'lamp'  → 'lamp'
+ *     a prefix of    'lam'   → 'lamp', 'laminate'   (search as you type)
+ *     1-2 typos away 'lmap'  → 'lamp'               (longer words allow more)
+ * - A product must match every query word; its score adds up how well
+ *   (BM25: rare words and short fields count more, name > category > description)
+ * - facets() counts the results per category and price bucket
+ *
+ * WHY IT WORKS THIS WAY:
+ * - ?name[contains]= scans every product and can't rank or forgive typos
+ * - The index lives in memory and is synced from db.getAll() on each search:
+ *   only products whose version changed are re-tokenized, so it works the
+ *   same with both storage adapters and never serves a stale product
+ * - Exact matches beat prefix matches beat typo matches, so "lamp" ranks
+ *   Lamp above Laminate above Camp
+ *
+ * CONTROL FLOW:
+ * GET /api/products/search?q=desk lmap
+ *   → search('desk lmap') → sync() → match words → score → [{ ...product, score }]
+ *   → routes apply filters/sort/pagination (utils/query.js) → facets()
+ *
+ * DATA FLOW:
+ * 'Desk Lámp' → tokenize → ['desk', 'lamp'] → postings 'desk' → {8}, 'lamp' → {3, 8}
+ */
+
+const db = require('../utils/database');
+
+const FILENAME = 'products.json';
+
+// FIELD WEIGHTS - WHY: A word in the name says more than one in the description
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// MATCH QUALITY - WHY: Exact > prefix > typo when scores are otherwise equal
+const EXACT = 1;
+const PREFIX = 0.7;
+const TYPO = [1, 0.5, 0.3];   // By edit distance (index 0 unused)
+
+// BM25 tuning (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to help; dropped from products and queries alike
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'or', 'to']);
+
+// PRICE FACET BUCKETS - WHY: Lower bounds; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500];
+
+/**
+ * ============================================
+ * TOKENIZE - WHY: Products and queries must be split the same way
+ * ============================================
+ *
+ * EXAMPLE: 'Café-Table, 2 Seats!' → ['cafe', 'table', '2', 'seats']
+ *
+ * @param {*} text - Any field value
+ * @returns {Array<string>} - Lowercase words, stop words removed
+ */
+const tokenize = (text) => {
+  if (text === undefined || text === null) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !STOP_WORDS.has(word));
+};
+
+/**
+ * Typos allowed for a query word of this length
+ * WHY none for short words: 'pen' is one typo away from 'pan', 'pin', 'men'
+ *
+ * @param {string} word - Query word
+ * @returns {number} - 0, 1 or 2
+ */
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance (insert, delete, replace, swap neighbours), up to a limit
+ * WHY the limit: Stops early instead of computing distances nobody uses
+ *
+ * @param {string} a - Query word
+ * @param {string} b - Index word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+};
+
+// ============================================
+// INDEX STATE - WHY: Built once, then kept in step with products.json
+// ============================================
+const docs = new Map();       // product id → { signature, fields: { name: { length, counts: Map word → n } } }
+const postings = new Map();   // word → Set of product ids
+const totalLength = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+
+/**
+ * What a product looked like when it was indexed
+ * WHY updatedAt too: A purged id can be reused by a new product at version 1
+ */
+const signatureOf = (product) => `${db.versionOf(product)}|${product.updatedAt || product.createdAt}`;
+
+const addDoc = (product) => {
+  const fields = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const words = tokenize(product[field]);
+    const counts = new Map();
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    fields[field] = { length: words.length, counts };
+    totalLength[field] += words.length;
+
+    for (const word of counts.keys()) {
+      if (!postings.has(word)) postings.set(word, new Set());
+      postings.get(word).add(product.id);
+    }
+  }
+  docs.set(product.id, { signature: signatureOf(product), fields });
+};
+
+const removeDoc = (id) => {
+  const doc = docs.get(id);
+  for (const [field, { length, counts }] of Object.entries(doc.fields)) {
+    totalLength[field] -= length;
+    for (const word of counts.keys()) {
+      // WHY the check: A word in name and description was already removed via the first field
+      const ids = postings.get(word);
+      if (!ids) continue;
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(word);
+    }
+  }
+  docs.delete(id);
+};
+
+/**
+ * ============================================
+ * SYNC - WHY: Pick up creates, edits, deletes and restores since the last search
+ * ============================================
+ *
+ * HOW: Compare each product's version with the indexed one; re-index the
+ * changed ones and drop products that are gone (deleted → not in getAll)
+ *
+ * @returns {Map} - product id → product (current records)
+ */
+const sync = () => {
+  const products = new Map(db.getAll(FILENAME).map(product => [product.id, product]));
+
+  for (const id of [...docs.keys()]) {
+    const product = products.get(id);
+    if (!product || docs.get(id).signature !== signatureOf(product)) removeDoc(id);
+  }
+  for (const product of products.values()) {
+    if (!docs.has(product.id)) addDoc(product);
+  }
+  return products;
+};
+
+/**
+ * Index words a query word matches, with how well
+ *
+ * @param {string} queryWord - One word of the query
+ * @returns {Array} - [{ word, quality }] (EXACT, PREFIX or TYPO[distance])
+ */
+const expand = (queryWord) => {
+  const limit = maxTypos(queryWord);
+  const matches = [];
+  for (const word of postings.keys()) {
+    if (word === queryWord) {
+      matches.push({ word, quality: EXACT });
+    } else if (queryWord.length >= 2 && word.startsWith(queryWord)) {
+      matches.push({ word, quality: PREFIX });
+    } else if (limit > 0) {
+      const distance = editDistance(queryWord, word, limit);
+      if (distance <= limit) matches.push({ word, quality: TYPO[distance] });
+    }
+  }
+  return matches;
+};
+
+/**
+ * BM25 score of one index word in one product, across its weighted fields
+ *
+ * @param {Object} doc - Indexed product
+ * @param {string} word - Index word
+ * @param {number} idf - Rarity of the word
+ * @returns {number}
+ */
+const wordScore = (doc, word, idf) => {
+  let score = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const { length, counts } = doc.fields[field];
+    const tf = counts.get(word) || 0;
+    if (tf === 0) continue;
+    const averageLength = totalLength[field] / docs.size || 1;
+    score += weight * idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+  }
+  return score;
+};
+
+/**
+ * ============================================
+ * SEARCH - WHY: Ranked full-text matches for GET /api/products/search
+ * ============================================
+ *
+ * HOW:
+ * 1. sync() the index with products.json
+ * 2. Each query word → matching index words (exact / prefix / typo)
+ * 3. Keep products that match every query word
+ * 4. Per query word, take the product's best match: quality × BM25
+ * 5. score = sum over query words (rounded to 4 decimals)
+ *
+ * EXAMPLE:
+ *   search('desk lmap') → [{ id: 8, name: 'Desk Lamp', ..., score: 7.1302 }]
+ *
+ * @param {string} query - Text typed by the user
+ * @returns {Array} - Matching products with a score field, best first
+ */
+const search = (query) => {
+  const products = sync();
+  const queryWords = [...new Set(tokenize(query))];
+  if (queryWords.length === 0) return [];
+
+  let scores = null;   // product id → score (only products matching every word so far)
+  for (const queryWord of queryWords) {
+    const best = new Map();
+    for (const { word, quality } of expand(queryWord)) {
+      const ids = postings.get(word);
+      const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+      for (const id of ids) {
+        if (scores && !scores.has(id)) continue;
+        const score = quality * wordScore(docs.get(id), word, idf);
+        if (score > (best.get(id) || 0)) best.set(id, score);
+      }
+    }
+
+    scores = new Map([...best].map(([id, score]) => [id, (scores ? scores.get(id) : 0) + score]));
+    if (scores.size === 0) return [];
+  }
+
+  return [...scores]
+    .map(([id, score]) => ({ ...products.get(id), score: Math.round(score * 10000) / 10000 }))
+    .sort((a, b) => b.score - a.score || a.id - b.id);
+};
+
+/**
+ * Label for the price bucket a price falls into
+ *
+ * @param {number} price - Product price
+ * @returns {number} - Index into PRICE_BUCKETS
+ */
+const bucketOf = (price) => {
+  let index = 0;
+  while (index + 1 < PRICE_BUCKETS.length && price >= PRICE_BUCKETS[index + 1]) index++;
+  return index;
+};
+
+/**
+ * ============================================
+ * FACETS - WHY: "How many results per category / price range?" for filter menus
+ * ============================================
+ *
+ * HOW: Categories are grouped case-insensitively (like ?category=), keeping
+ * the first spelling seen. Price buckets are [min, max): use
+ * ?price[gte]=min&price[lt]=max to narrow the search to one.
+ *
+ * RESPONSE EXAMPLE:
+ *   { category: [{ value: 'office', count: 4 }],
+ *     price: [{ range: '0-25', min: 0, max: 25, count: 3 }, ..., { range: '500+', min: 500, max: null, count: 0 }] }
+ *
+ * @param {Array} products - Search results (before pagination)
+ * @returns {{ category: Array, price: Array }}
+ */
+const facets = (products) => {
+  const categories = new Map();
+  const prices = PRICE_BUCKETS.map((min, i) => {
+    const max = PRICE_BUCKETS[i + 1] ?? null;
+    return { range: max === null ? `${min}+` : `${min}-${max}`, min, max, count: 0 };
+  });
+
+  for (const product of products) {
+    if (product.category !== undefined && product.category !== null) {
+      const key = String(product.category).toLowerCase();
+      const entry = categories.get(key) || { value: product.category, count: 0 };
+      entry.count += 1;
+      categories.set(key, entry);
+    }
+    const price = parseFloat(product.price);
+    if (!Number.isNaN(price)) prices[bucketOf(price)].count += 1;
+  }
+
+  return {
+    category: [...categories.values()].sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))),
+    price: prices
+  };
+};
+
+// ============================================
+// EXPORT - WHY: Used by routes/productRoutes.js
+// ============================================
+module.exports = {
+  tokenize,   // Text → searchable words (same rules for products and queries)
+  search,     // Query → ranked products with score
+  facets      // Results → counts per category and price bucket
+};
@@ -0,0 +1,200 @@
+/**
+ * =====================================================
+ * SESSIONS - services/sessions.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Logging in creates a session record in sessions.json:
+ *     { id, userId, key, refreshJti, expiresAt, revokedAt }
+ * - The client gets two tokens that both point at the session (sid + key claims):
+ *     access token  (short-lived) → sent on every request
+ *     refresh token (long-lived)  → exchanged at /api/auth/refresh for a new pair
+ * - Every refresh rotates the refresh token (new jti saved on the session)
+ * - Logout removes the session record; both tokens stop working immediately
+ * - Each login also removes that user's expired and revoked sessions,
+ *   so sessions.json holds about one record per device, not one per login
+ * - WHY the random key: Removed sessions free their id, and the next session
+ *   may get the same one; a token only matches the session it was issued for
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Signed tokens alone can't be revoked; the session record makes logout real
+ * - Rotation + reuse detection: if an old refresh token shows up again, someone
+ *   copied it, so the whole session is revoked
+ * - Sessions live in the same database as everything else (JSON or SQLite)
+ * 
+ * DATA FLOW:
+ * login → startSession(user) → { accessToken, refreshToken }
+ * refresh → refreshSession(token) → verify → rotate jti → new pair
+ * request → authenticate (utils/auth.js) → findActiveSession(claims) → sessionUser()
+ */
+
+const crypto = require('crypto');
+const db = require('../utils/database');
+const config = require('../config').auth;
+const { signToken, verifyToken } = require('../utils/tokens');
+const { UnauthorizedError } = require('../utils/errors');
+
+const SESSIONS_FILENAME = 'sessions.json';
+const USERS_FILENAME = 'users.json';
+
+// INDEX - WHY: "All sessions of user X" (e.g. log out everywhere)
+db.defineIndex(SESSIONS_FILENAME, 'userId');
+
+// RELATION - WHY: Deleting a user ends their sessions (trashed with them, purged with them)
+db.defineRelation(SESSIONS_FILENAME, 'userId', USERS_FILENAME, { onDelete: 'cascade' });
+
+const newJti = () => crypto.randomBytes(16).toString('hex');
+const newKey = newJti;
+const expiresAt = () => new Date(Date.now() + config.refreshTokenTtlSeconds * 1000).toISOString();
+
+/**
+ * Build the token pair for a session
+ * 
+ * @param {Object} session - Session record
+ * @returns {Object} - { tokenType, accessToken, refreshToken, expiresIn }
+ */
+const issueTokens = (session) => ({
+  tokenType: 'Bearer',
+  accessToken: signToken({ sub: session.userId, sid: session.id, key: session.key, type: 'access' }, config.accessTokenTtlSeconds),
+  refreshToken: signToken({ sub: session.userId, sid: session.id, key: session.key, type: 'refresh', jti: session.refreshJti }, config.refreshTokenTtlSeconds),
+  expiresIn: config.accessTokenTtlSeconds   // Seconds until the access token expires
+});
+
+/**
+ * ============================================
+ * FIND ACTIVE SESSION - WHY: Tokens are only valid while their session is
+ * ============================================
+ * 
+ * WHY check sub and key too: The id alone may belong to a newer session
+ * (ids of removed sessions are reused)
+ * 
+ * @param {Object} claims - Verified token claims { sub, sid, key }
+ * @returns {Object|null} - Session, or null if missing/revoked/expired/not this token's
+ */
+const findActiveSession = (claims) => {
+  const session = db.getById(SESSIONS_FILENAME, claims.sid);
+  if (!session || session.revokedAt) return null;
+  if (session.userId !== claims.sub || session.key !== claims.key) return null;
+  if (new Date(session.expiresAt).getTime() <= Date.now()) return null;
+  return session;
+};
+
+/**
+ * Owner of a session, if they can still use it
+ * WHY: Deleting or deactivating a user ends all their sessions
+ * 
+ * @param {Object} session - Active session
+ * @returns {Object|null} - User record or null
+ */
+const sessionUser = (session) => {
+  const user = db.getById(USERS_FILENAME, session.userId);
+  return user && user.isActive !== false ? user : null;
+};
+
+/**
+ * Remove a session for good (soft delete + purge)
+ * WHY not just deleteRecord: A trashed session is still a row in sessions.json
+ * 
+ * @param {number} sessionId - Session to remove
+ */
+const removeSession = (sessionId) => {
+  db.transaction(tx => {
+    tx.deleteRecord(SESSIONS_FILENAME, sessionId);
+    tx.purge(SESSIONS_FILENAME, sessionId);
+  });
+};
+
+/**
+ * ============================================
+ * PRUNE SESSIONS - WHY: Without it sessions.json grows with every login
+ * ============================================
+ * 
+ * HOW: Remove the user's sessions that can never be used again
+ * (expired, or revoked - e.g. by refresh token reuse)
+ * 
+ * @param {number} userId - Owner of the sessions
+ */
+const pruneSessions = (userId) => {
+  const ended = db.findBy(SESSIONS_FILENAME, 'userId', userId)
+    .filter(session => session.revokedAt || new Date(session.expiresAt).getTime() <= Date.now());
+  ended.forEach(session => removeSession(session.id));
+};
+
+/**
+ * ============================================
+ * START SESSION - WHY: Called after register/login succeeded
+ * ============================================
+ * 
+ * HOW: Prune the user's ended sessions, then create the new one
+ * 
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Token pair (see issueTokens)
+ */
+const startSession = (user) => {
+  pruneSessions(user.id);
+  const session = db.create(SESSIONS_FILENAME, {
+    userId: user.id,
+    key: newKey(),
+    refreshJti: newJti(),
+    expiresAt: expiresAt(),
+    revokedAt: null
+  });
+  return issueTokens(session);
+};
+
+/**
+ * ============================================
+ * REFRESH SESSION - WHY: New access token without asking for the password
+ * ============================================
+ * 
+ * HOW:
+ * 1. Verify the refresh token (signature, expiry, type)
+ * 2. Session must be active and its user still active
+ * 3. jti must be the CURRENT one → otherwise the token was already used:
+ *    revoke the session (possible theft) and refuse
+ * 4. Save a new jti + expiry, return a new pair
+ * 
+ * @param {string} refreshToken - Token from the client
+ * @returns {Object} - New token pair
+ * @throws {UnauthorizedError} - 401 for any invalid/revoked/reused token
+ */
+const refreshSession = (refreshToken) => {
+  const claims = verifyToken(refreshToken, 'refresh');
+  const session = findActiveSession(claims);
+  if (!session || !sessionUser(session)) {
+    throw new UnauthorizedError('Session has ended');
+  }
+
+  if (session.refreshJti !== claims.jti) {
+    endSession(session.id);
+    throw new UnauthorizedError('Refresh token was already used; session revoked');
+  }
+
+  const rotated = db.update(SESSIONS_FILENAME, session.id, { refreshJti: newJti(), expiresAt: expiresAt() });
+  return issueTokens(rotated);
+};
+
+/**
+ * ============================================
+ * END SESSION - WHY: Logout (and refresh token reuse)
+ * ============================================
+ * 
+ * WHY delete instead of setting revokedAt: A missing session is as dead as a
+ * revoked one (findActiveSession → null), and it doesn't pile up
+ * 
+ * @param {number} sessionId - Session to end
+ */
+const endSession = (sessionId) => {
+  removeSession(sessionId);
+};
+
+// ============================================
+// EXPORT SESSIONS - WHY: Used by routes/authRoutes.js and utils/auth.js
+// ============================================
+module.exports = {
+  startSession,       // Login/register → token pair
+  refreshSession,     // Refresh token → new token pair (rotated)
+  endSession,         // Logout
+  findActiveSession,  // token claims → session or null
+  sessionUser         // session → active user or null
+};
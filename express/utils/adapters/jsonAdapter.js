@@ -0,0 +1,1080 @@
+/**
+ * =====================================================
+ * JSON STORAGE ADAPTER - utils/adapters/jsonAdapter.js
+ * =====================================================
+ * 
+ * Default storage adapter behind utils/database.js (DB_ADAPTER=json).
+ * Routes never require this file directly - see database.js for the interface.
+ * 
+ * HOW IT WORKS:
+ * - Uses Node.js built-in 'fs' module to read/write JSON files
+ * - Stores data in /db folder as JSON files (no SQL database needed)
+ * - Each resource type has its own JSON file (users.json, products.json, etc.)
+ * - Each collection is parsed once and then kept in memory (cache)
+ * - Writes update memory immediately and reach disk shortly after (write-behind)
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Simple, no external database dependency
+ * - Data is human-readable in JSON format
+ * - File operations are synchronous for easier debugging
+ * - Each function handles one specific database operation
+ * 
+ * CONTROL FLOW:
+ * Request → Route Handler → database.js → jsonAdapter → File Read/Write → Response
+ * 
+ * DATA FLOW:
+ * JSON File → (first read only) → Cache → readFile() → JavaScript Array
+ *   → Process Data → writeFile() → Cache → (debounced flush) → JSON File
+ * 
+ * WRITE-BEHIND:
+ * - writeFile() marks the collection dirty and schedules flush() after
+ *   config.flushDelayMs; many writes in a burst cost one disk write
+ * - flush() writes every dirty collection together (same journal as transactions)
+ * - server.js calls close() on shutdown so nothing pending is lost
+ *
+ * CRASH SAFETY:
+ * - Every write goes to a temp file first and is renamed over the real file
+ * - After each write a snapshot is kept in /db/backups (rotating, newest = .1)
+ * - On startup every collection is parsed; a corrupt file is moved aside and
+ *   restored from its newest good snapshot instead of being read as empty
+ * 
+ * INDEXES:
+ * - Every collection has an id → record map, so getById() is a lookup
+ * - defineIndex() adds per-field indexes (unique or not), maintained on
+ *   create/update/deleteRecord; findBy()/findOne() use them for exact matches
+ * - A write that would duplicate a unique value throws UniqueConstraintError
+ * 
+ * TRANSACTIONS:
+ * transaction(callback) stages every writeFile() made inside it, then publishes
+ * all touched collections to the cache at once. They are flushed together:
+ * journal first, then temp-file + rename per file. If the process dies
+ * mid-flush, the journal is replayed on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config').database;
+const { UniqueConstraintError } = require('../errors');
+const { logger } = require('../logger');
+
+// ============================================
+// DATABASE DIRECTORY SETUP - WHY: Centralized storage
+// ============================================
+const dbDir = config.dir;
+const backupDir = path.join(dbDir, 'backups');
+
+// Create /db folder if it doesn't exist
+// WHY: Ensures all JSON files are stored in one place
+if (!fs.existsSync(dbDir)) {
+  fs.mkdirSync(dbDir, { recursive: true });
+  logger.info('Database directory created', { dir: dbDir });
+}
+
+// WHY separate folder: Keeps snapshots out of the collection file listing
+if (!fs.existsSync(backupDir)) {
+  fs.mkdirSync(backupDir, { recursive: true });
+}
+
+// Journal of the commit in progress (only exists while a transaction is being written)
+const journalPath = path.join(dbDir, '.journal.json');
+
+// Staged changes of the running transaction, or null when no transaction is open
+// WHY module-level: all operations are synchronous, so only one transaction can run at a time
+let activeTransaction = null;
+
+// ============================================
+// IN-MEMORY CACHE - WHY: Parse each file once, not on every request
+// ============================================
+const cache = new Map();      // filename → Array of records (source of truth while running)
+const dirty = new Set();      // filenames changed in memory but not yet on disk
+let flushTimer = null;        // Pending debounced flush, or null
+
+/**
+ * ============================================
+ * ATOMIC WRITE - WHY: Never leave a half-written file behind
+ * ============================================
+ * 
+ * HOW: Write to "<file>.tmp" → fsync → rename over the real file
+ * WHY rename: On the same filesystem a rename is atomic, so readers see
+ * either the old file or the new file, never a mix of both
+ * 
+ * @param {string} filePath - Absolute path of the file to replace
+ * @param {string} contents - Full new file contents
+ */
+const writeFileAtomic = (filePath, contents) => {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, contents, null, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * ============================================
+ * BACKUP PATH - WHY: One place that names snapshot files
+ * ============================================
+ * 
+ * EXAMPLE: backupPath('users.json', 1) → db/backups/users.json.1 (newest)
+ * 
+ * @param {string} filename - Collection file name
+ * @param {number} generation - 1 = newest, config.backupCount = oldest
+ * @returns {string} - Absolute snapshot path
+ */
+const backupPath = (filename, generation) => path.join(backupDir, `${filename}.${generation}`);
+
+/**
+ * ============================================
+ * PERSIST COLLECTION - WHY: Atomic write + rotating snapshot
+ * ============================================
+ * 
+ * HOW:
+ * 1. Serialize data and replace the live file atomically
+ * 2. Shift snapshots: .4 → .5, .3 → .4, ... (oldest falls off)
+ * 3. Save the same contents as snapshot .1
+ * 
+ * WHY snapshot what we just wrote: It is known-good JSON, so the newest
+ * snapshot is always the last state the application saw as valid
+ * 
+ * @param {string} filename - Collection file name
+ * @param {Array|Object} data - Full collection contents
+ */
+const persist = (filename, data) => {
+  const contents = JSON.stringify(data, null, 2);
+  writeFileAtomic(path.join(dbDir, filename), contents);
+
+  if (config.backupCount <= 0) return;
+
+  for (let generation = config.backupCount - 1; generation >= 1; generation--) {
+    if (fs.existsSync(backupPath(filename, generation))) {
+      fs.renameSync(backupPath(filename, generation), backupPath(filename, generation + 1));
+    }
+  }
+  writeFileAtomic(backupPath(filename, 1), contents);
+};
+
+/**
+ * ============================================
+ * COMMIT FILES - WHY: Write several collections all-or-nothing
+ * ============================================
+ * 
+ * HOW:
+ * 1. Write every staged file into the journal (atomically)
+ * 2. Replace each collection file (atomically)
+ * 3. Delete the journal
+ * 
+ * WHY journal: If we crash during step 2, some files are new and some old.
+ * The journal still holds the full new state, so recoverJournal() finishes the job.
+ * 
+ * @param {Map<string, Array>} files - filename → full new contents
+ */
+const commitFiles = (files) => {
+  if (files.size === 0) return;
+
+  // WHY: A single file is already atomic through persist(), no journal needed
+  if (files.size === 1) {
+    const [[filename, data]] = files;
+    persist(filename, data);
+    return;
+  }
+
+  const journal = { createdAt: new Date().toISOString(), files: Object.fromEntries(files) };
+  writeFileAtomic(journalPath, JSON.stringify(journal));
+
+  for (const [filename, data] of files) {
+    persist(filename, data);
+  }
+
+  fs.unlinkSync(journalPath);
+};
+
+/**
+ * ============================================
+ * RECOVER JOURNAL - WHY: Finish a commit interrupted by a crash
+ * ============================================
+ * 
+ * HOW: If a journal exists at startup, rewrite every file it lists, then delete it
+ * WHY safe to replay: The journal holds full file contents, so writing them twice is harmless
+ */
+const recoverJournal = () => {
+  if (!fs.existsSync(journalPath)) return;
+
+  const journal = JSON.parse(fs.readFileSync(journalPath, 'utf-8'));
+  for (const [filename, data] of Object.entries(journal.files)) {
+    persist(filename, data);
+  }
+  fs.unlinkSync(journalPath);
+  logger.warn('Recovered interrupted transaction', { startedAt: journal.createdAt, files: Object.keys(journal.files) });
+};
+
+/**
+ * ============================================
+ * PARSE COLLECTION - WHY: Tell "empty" apart from "broken"
+ * ============================================
+ * 
+ * HOW: Parse text as JSON; throw if it is blank or not valid JSON
+ * WHY blank is an error: Our writes are atomic, so a blank file means
+ * something outside the app truncated it - not that there is no data
+ * 
+ * @param {string} text - Raw file contents
+ * @param {string} label - File name used in the error message
+ * @returns {Array|Object} - Parsed data
+ */
+const parseCollection = (text, label) => {
+  if (!text.trim()) {
+    throw new Error(`Database file ${label} is empty`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Database file ${label} is corrupt: ${error.message}`);
+  }
+};
+
+/**
+ * ============================================
+ * RESTORE FROM BACKUP - WHY: Bring back the last good snapshot
+ * ============================================
+ * 
+ * HOW:
+ * 1. Try snapshots newest → oldest, keep the first that parses
+ * 2. Move the corrupt file aside as "<file>.corrupt-<timestamp>" (kept for inspection)
+ * 3. Write the snapshot back as the live file
+ * 
+ * @param {string} filename - Collection file name
+ * @returns {boolean} - True if a snapshot was restored
+ */
+const restoreFromBackup = (filename) => {
+  for (let generation = 1; generation <= config.backupCount; generation++) {
+    const snapshot = backupPath(filename, generation);
+    if (!fs.existsSync(snapshot)) continue;
+
+    const text = fs.readFileSync(snapshot, 'utf-8');
+    try {
+      parseCollection(text, path.basename(snapshot));
+    } catch (error) {
+      continue;   // WHY: This snapshot is damaged too, try an older one
+    }
+
+    const filePath = path.join(dbDir, filename);
+    fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+    writeFileAtomic(filePath, text);
+    logger.warn('Restored collection from backup', { collection: filename, backup: path.basename(snapshot) });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * ============================================
+ * VERIFY COLLECTIONS - WHY: Startup integrity check
+ * ============================================
+ * 
+ * HOW: Parse every *.json file in /db; restore broken ones from backup
+ * WHY throw when no snapshot exists: Starting up with an empty collection
+ * would let the next write permanently erase the damaged data
+ */
+const verifyCollections = () => {
+  const files = fs.readdirSync(dbDir).filter(name => name.endsWith('.json') && !name.startsWith('.'));
+
+  for (const filename of files) {
+    try {
+      // WHY cache it: We parsed it anyway, so the first request doesn't have to
+      cache.set(filename, parseCollection(fs.readFileSync(path.join(dbDir, filename), 'utf-8'), filename));
+    } catch (error) {
+      logger.error('Collection file is corrupt', { collection: filename, error });
+      if (!restoreFromBackup(filename)) {
+        throw new Error(`${error.message} and no valid backup exists - refusing to start`);
+      }
+    }
+  }
+};
+
+recoverJournal();
+verifyCollections();
+
+/**
+ * ============================================
+ * LOAD FROM DISK - WHY: Fill the cache the first time a collection is used
+ * ============================================
+ * 
+ * HOW: Reads JSON file → Parses text to JavaScript object
+ * CONTROL FLOW: 
+ *   - Check if file exists
+ *   - Read file contents as text
+ *   - Parse text as JSON
+ *   - Return JavaScript array/object
+ * 
+ * WHY throw on corrupt JSON: Returning [] would make every record "vanish"
+ * and the next write would overwrite the file for good
+ * 
+ * @param {string} filename - Name of the JSON file (e.g., 'users.json')
+ * @returns {Array|Object} - Parsed JSON data or empty array if file doesn't exist
+ * @throws {Error} - If the file exists but cannot be read or parsed
+ */
+const loadFromDisk = (filename) => {
+  const filePath = path.join(dbDir, filename);
+  
+  // WHY: Check if file exists before reading
+  // If not, return empty array (no data yet)
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  // Read file contents as UTF-8 text
+  const data = fs.readFileSync(filePath, 'utf-8');
+  
+  // Convert text to JavaScript object
+  // WHY: parseCollection() throws instead of guessing when the text is broken
+  return parseCollection(data, filename);
+};
+
+/**
+ * ============================================
+ * COLLECTION - WHY: Shared read path for every operation
+ * ============================================
+ * 
+ * HOW:
+ * 1. Inside a transaction: return the staged version if this file was changed
+ * 2. Otherwise: return the cached array, loading it from disk on first use
+ * 
+ * WHY not exported: The returned array is the live cache. Internal read-only
+ * helpers (getById, search, ...) use it directly to skip a copy; anything
+ * that mutates must go through readFile(), which returns a copy.
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @returns {Array} - Live (uncopied) collection array
+ */
+const collection = (filename) => {
+  // WHY: Inside a transaction, later reads must see earlier staged writes
+  if (activeTransaction && activeTransaction.staged.has(filename)) {
+    return activeTransaction.staged.get(filename);
+  }
+
+  if (!cache.has(filename)) {
+    cache.set(filename, loadFromDisk(filename));
+  }
+  return cache.get(filename);
+};
+
+/**
+ * ============================================
+ * READ FILE FUNCTION - WHY: Fetch a whole collection
+ * ============================================
+ * 
+ * HOW: collection() → Return a shallow copy
+ * WHY copy: Callers may sort/push the array without touching the cache
+ * 
+ * @param {string} filename - Name of the JSON file (e.g., 'users.json')
+ * @returns {Array|Object} - Collection data or empty array
+ * @throws {Error} - If the file exists but cannot be read or parsed
+ */
+const readFile = (filename) => {
+  return collection(filename).slice();
+};
+
+/**
+ * ============================================
+ * FLUSH - WHY: Move pending in-memory changes to disk
+ * ============================================
+ * 
+ * HOW:
+ * 1. Cancel any scheduled flush (we are doing it now)
+ * 2. Write every dirty collection together (commitFiles)
+ * 3. Mark them clean
+ * 
+ * WHY together: Collections changed by one transaction must reach disk in
+ * one journaled commit, or a crash could persist only half of it
+ * 
+ * CALLED BY: the write-behind timer, close(), server.js on shutdown
+ * 
+ * @throws {Error} - If the disk write fails (collections stay dirty)
+ */
+const flush = () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (dirty.size === 0) return;
+
+  const files = new Map([...dirty].map(filename => [filename, cache.get(filename)]));
+  commitFiles(files);
+  dirty.clear();
+};
+
+/**
+ * ============================================
+ * SCHEDULE FLUSH - WHY: Debounce bursts of writes
+ * ============================================
+ * 
+ * HOW: Start one timer per burst; writes during the delay just join it
+ * WHY catch: A failed background flush must not crash the server -
+ * the data stays dirty in memory and the next write retries
+ */
+const scheduleFlush = () => {
+  if (flushTimer) return;
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    try {
+      flush();
+    } catch (error) {
+      logger.error('Error flushing database', { error });
+    }
+  }, config.flushDelayMs);
+};
+
+/**
+ * ============================================
+ * CLOSE - WHY: Drain before the process exits
+ * ============================================
+ * 
+ * HOW: flush() pending writes, then drop the cache
+ * WHY drop the cache: Anything used after close() is reloaded from disk
+ * instead of silently diverging from it
+ */
+const close = () => {
+  flush();
+  cache.clear();
+};
+
+/**
+ * ============================================
+ * WRITE FILE FUNCTION - WHY: Save a whole collection
+ * ============================================
+ * 
+ * HOW: Takes data → Replaces the cached collection → Schedules a flush
+ * CONTROL FLOW:
+ *   - Inside a transaction: stage only
+ *   - Otherwise: update cache, mark dirty, scheduleFlush()
+ *   - flush() later writes temp file + rename and rotates snapshots
+ * 
+ * WHY not write now: Many small writes (e.g. seeding a catalog) would each
+ * rewrite the whole file; write-behind turns them into one disk write
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {Array|Object} data - Data to write
+ * @returns {boolean} - Success status
+ */
+const writeFile = (filename, data) => {
+  // WHY: Inside a transaction, only stage the change; transaction() publishes it
+  if (activeTransaction) {
+    activeTransaction.staged.set(filename, data);
+    return true;
+  }
+
+  cache.set(filename, data);
+  dirty.add(filename);
+  scheduleFlush();
+  return true;
+};
+
+// ============================================
+// INDEX STORAGE - WHY: Exact lookups without scanning every record
+// ============================================
+const indexDefinitions = new Map();   // filename → [{ field, unique }]
+
+// collection array → { byId: Map(id → record), fields: Map(field → Map(key → Set(id))) }
+// WHY keyed by the array: Every write produces a new array. A transaction
+// that rolls back leaves the cached array without indexes, so they are
+// simply rebuilt from committed data on next use - never left half-updated.
+const builtIndexes = new WeakMap();
+
+/**
+ * ============================================
+ * INDEX KEY - WHY: Same normalization for storing and looking up
+ * ============================================
+ * 
+ * EXAMPLES:
+ *   'John@Example.com ' → 'john@example.com'   (emails compare case-insensitively)
+ *   1 and '1'           → '1'                  (URL params are strings)
+ *   null/undefined/''   → null                 (not indexed)
+ * 
+ * @param {*} value - Field value
+ * @returns {string|null} - Normalized key
+ */
+const indexKey = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).trim().toLowerCase();
+};
+
+/**
+ * ============================================
+ * DEFINE INDEX - WHY: Declare which fields are looked up often
+ * ============================================
+ * 
+ * USAGE (top of a route file):
+ *   db.defineIndex('users.json', 'email', { unique: true });
+ *   db.defineIndex('orders.json', 'status');
+ * 
+ * WHY unique: The database itself rejects duplicates, so two requests
+ * can't both pass a "does it exist?" check and create the same email
+ * 
+ * @param {string} filename - Collection file name
+ * @param {string} field - Record field to index
+ * @param {Object} options - { unique: boolean }
+ */
+const defineIndex = (filename, field, { unique = false } = {}) => {
+  const definitions = indexDefinitions.get(filename) || [];
+  const existing = definitions.find(def => def.field === field);
+
+  if (existing) {
+    existing.unique = existing.unique || unique;
+  } else {
+    definitions.push({ field, unique });
+  }
+  indexDefinitions.set(filename, definitions);
+
+  // WHY: An index built before this definition doesn't contain the new field
+  if (cache.has(filename)) {
+    builtIndexes.delete(cache.get(filename));
+  }
+};
+
+/**
+ * Add one record to every index of a collection
+ * 
+ * @param {Object} indexes - Result of indexesOf()
+ * @param {Object} record - Record to add
+ */
+const addToIndexes = (indexes, record) => {
+  indexes.byId.set(record.id, record);
+  for (const [field, index] of indexes.fields) {
+    const key = indexKey(record[field]);
+    if (key === null) continue;
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(record.id);
+  }
+};
+
+/**
+ * Remove one record from every index of a collection
+ * 
+ * @param {Object} indexes - Result of indexesOf()
+ * @param {Object} record - Record (as currently indexed) to remove
+ */
+const removeFromIndexes = (indexes, record) => {
+  indexes.byId.delete(record.id);
+  for (const [field, index] of indexes.fields) {
+    const key = indexKey(record[field]);
+    const ids = key === null ? null : index.get(key);
+    if (!ids) continue;
+    ids.delete(record.id);
+    if (ids.size === 0) index.delete(key);
+  }
+};
+
+/**
+ * ============================================
+ * INDEXES OF - WHY: Build indexes lazily, once per collection version
+ * ============================================
+ * 
+ * HOW: Look up the indexes bound to the current collection array;
+ * if there are none yet, build them with one pass over the records
+ * 
+ * @param {string} filename - Collection file name
+ * @returns {Object} - { byId, fields }
+ */
+const indexesOf = (filename) => {
+  const data = collection(filename);
+
+  if (!builtIndexes.has(data)) {
+    const definitions = indexDefinitions.get(filename) || [];
+    const indexes = {
+      byId: new Map(),
+      fields: new Map(definitions.map(def => [def.field, new Map()]))
+    };
+    data.forEach(record => addToIndexes(indexes, record));
+    builtIndexes.set(data, indexes);
+  }
+  return builtIndexes.get(data);
+};
+
+/**
+ * ============================================
+ * CHECK UNIQUE - WHY: Reject duplicates before anything is written
+ * ============================================
+ * 
+ * HOW: For each unique field, see if another record already owns the key
+ * WHY "another": Updating a record without changing its email isn't a clash
+ * 
+ * @param {string} filename - Collection file name
+ * @param {Object} indexes - Result of indexesOf()
+ * @param {Object} record - Record about to be written
+ * @throws {UniqueConstraintError} - If a unique value is taken
+ */
+const checkUnique = (filename, indexes, record) => {
+  for (const def of indexDefinitions.get(filename) || []) {
+    if (!def.unique) continue;
+
+    const ids = indexes.fields.get(def.field).get(indexKey(record[def.field]));
+    if (ids && [...ids].some(id => id !== record.id)) {
+      throw new UniqueConstraintError(filename, def.field, record[def.field]);
+    }
+  }
+};
+
+/**
+ * ============================================
+ * SAVE WITH INDEXES - WHY: Keep indexes bound to the right array
+ * ============================================
+ * 
+ * HOW: Unbind indexes from the old array → writeFile() → bind to the new one
+ * WHY unbind: Inside a transaction the old array is still the committed
+ * cache; if we roll back it must not carry indexes describing staged data
+ * 
+ * @param {string} filename - Collection file name
+ * @param {Array} data - New collection contents
+ * @param {Object} indexes - Already-updated indexes for data
+ */
+const saveWithIndexes = (filename, data, indexes) => {
+  builtIndexes.delete(collection(filename));
+  writeFile(filename, data);
+  builtIndexes.set(collection(filename), indexes);
+};
+
+/**
+ * ============================================
+ * GET ALL RECORDS - WHY: Retrieve all data
+ * ============================================
+ * 
+ * USAGE: getAll('users.json') → Returns all users
+ * CONTROL FLOW: readFile() → Return array
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @returns {Array} - All records in file
+ */
+const getAll = (filename) => {
+  return readFile(filename);
+};
+
+/**
+ * ============================================
+ * GET BY ID - WHY: Find one specific record
+ * ============================================
+ * 
+ * HOW: 
+ * 1. Read all records from file
+ * 2. Use .find() to search for matching ID
+ * 3. Return matching record or null
+ * 
+ * CONTROL FLOW:
+ *   - indexesOf() gets the id → record map
+ *   - Map lookup by id (no scan)
+ *   - Return match or null if not found
+ * 
+ * WHY parse(id): ID from URL is string, database IDs are numbers
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {number} id - Record ID to find
+ * @returns {Object|null} - Found record or null
+ */
+const getById = (filename, id) => {
+  // WHY: parseInt(id) converts string ID to number for comparison
+  return indexesOf(filename).byId.get(parseInt(id)) || null;
+};
+
+/**
+ * ============================================
+ * CREATE NEW RECORD - WHY: Add data to file
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read existing records
+ * 2. Calculate next ID (max current ID + 1)
+ * 3. Add timestamps and ID to new record
+ * 4. Add to array
+ * 5. Write updated array back to file
+ * 
+ * CONTROL FLOW:
+ *   - readFile() gets existing data
+ *   - Math.max() finds highest ID
+ *   - Spread operator adds new fields
+ *   - writeFile() saves updated data
+ * 
+ * WHY timestamps: Track when records were created/modified
+ * WHY auto-incrementing ID: Ensures unique IDs without database
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {Object} newRecord - Data for new record
+ * @returns {Object} - Created record with ID and timestamps
+ * @throws {UniqueConstraintError} - If a unique indexed field is already taken
+ */
+const create = (filename, newRecord) => {
+  const indexes = indexesOf(filename);
+  const data = readFile(filename);
+  
+  // WHY: Calculate next available ID
+  // If array empty, start at 1; otherwise, use max ID + 1
+  const id = data.length > 0 ? Math.max(...data.map(item => item.id || 0)) + 1 : 1;
+  
+  // Create record object with auto-generated fields
+  const record = {
+    id,                                           // Auto-generated unique ID
+    ...newRecord,                                 // Spread all user-provided fields
+    createdAt: new Date().toISOString(),         // When record was created
+    updatedAt: new Date().toISOString()          // When record was last updated
+  };
+  
+  // WHY: Check before writing so a duplicate never reaches the file
+  checkUnique(filename, indexes, record);
+  
+  // Add new record to array
+  data.push(record);
+  addToIndexes(indexes, record);
+  
+  // Save updated array to file
+  saveWithIndexes(filename, data, indexes);
+  
+  return record;
+};
+
+/**
+ * ============================================
+ * UPDATE RECORD - WHY: Modify existing data
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read all records
+ * 2. Find index of record to update
+ * 3. Merge old data with new data
+ * 4. Update updatedAt timestamp
+ * 5. Write back to file
+ * 
+ * CONTROL FLOW:
+ *   - readFile() gets all data
+ *   - findIndex() finds record position
+ *   - Spread operator merges old + new fields
+ *   - writeFile() saves changes
+ * 
+ * WHY keep id/createdAt: These shouldn't change during update
+ * WHY update updatedAt: Track when last modification happened
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {number} id - ID of record to update
+ * @param {Object} updateData - Fields to update
+ * @returns {Object|null} - Updated record or null if not found
+ * @throws {UniqueConstraintError} - If the update would duplicate a unique field
+ */
+const update = (filename, id, updateData) => {
+  const indexes = indexesOf(filename);
+  const data = readFile(filename);
+  
+  // WHY: findIndex() returns position, or -1 if not found
+  const index = data.findIndex(item => item.id === parseInt(id));
+  
+  // Return null if record doesn't exist
+  if (index === -1) return null;
+  
+  // WHY: Merge old data + new data, but preserve id/createdAt
+  const updated = {
+    ...data[index],                              // Keep old fields
+    ...updateData,                               // Override with new fields
+    id: data[index].id,                          // Keep original ID
+    createdAt: data[index].createdAt,            // Keep original creation date
+    updatedAt: new Date().toISOString()          // Update modification timestamp
+  };
+  checkUnique(filename, indexes, updated);
+  
+  // WHY: Re-index under the new values (e.g. status 'pending' → 'shipped')
+  removeFromIndexes(indexes, data[index]);
+  addToIndexes(indexes, updated);
+  data[index] = updated;
+  
+  // Save updated data to file
+  saveWithIndexes(filename, data, indexes);
+  
+  return updated;
+};
+
+/**
+ * ============================================
+ * DELETE RECORD - WHY: Remove data from file
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read all records
+ * 2. Filter out record with matching ID
+ * 3. If length changed, something was deleted
+ * 4. Write filtered array back to file
+ * 
+ * CONTROL FLOW:
+ *   - readFile() gets all data
+ *   - .filter() removes matching record
+ *   - Write filtered data
+ * 
+ * WHY filter instead of splice: Prevents accidental mutations
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {number} id - ID of record to delete
+ * @returns {boolean} - True if deleted, false if not found
+ */
+const deleteRecord = (filename, id) => {
+  const indexes = indexesOf(filename);
+  const data = readFile(filename);
+  
+  // WHY: .filter() creates new array excluding matching ID
+  // This doesn't modify original array (safer than splice)
+  const filteredData = data.filter(item => item.id !== parseInt(id));
+  
+  // WHY: Compare lengths to check if anything was deleted
+  // If lengths are same, record wasn't found
+  if (filteredData.length === data.length) return false;
+  
+  // Save filtered data (without deleted record)
+  removeFromIndexes(indexes, indexes.byId.get(parseInt(id)));
+  saveWithIndexes(filename, filteredData, indexes);
+  
+  return true;
+};
+
+/**
+ * ============================================
+ * SEARCH RECORDS - WHY: Find records by field value
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read all records
+ * 2. Filter records where field contains search value
+ * 3. Case-insensitive search
+ * 4. Return matching records
+ * 
+ * CONTROL FLOW:
+ *   - collection() gets cached data
+ *   - .filter() + .includes() searches field
+ * 
+ * WHY toLowerCase(): Case-insensitive search is user-friendly
+ * WHY String(): Convert field value to string for searching
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {string} field - Field name to search (e.g., 'email')
+ * @param {*} value - Value to search for
+ * @returns {Array} - All matching records
+ */
+const search = (filename, field, value) => {
+  const data = collection(filename);
+  
+  return data.filter(item => {
+    // WHY: Safely handle missing fields. Convert undefined/null to empty string
+    const fieldValue = item[field] === undefined || item[field] === null ? '' : String(item[field]);
+    return fieldValue.toLowerCase().includes(String(value).toLowerCase());
+  });
+};
+
+/**
+ * ============================================
+ * FIND BY - WHY: Exact-match lookup on a field
+ * ============================================
+ * 
+ * HOW:
+ * 1. Normalize the value (indexKey: trimmed, lowercase)
+ * 2. If the field is indexed: read matching ids from the index
+ * 3. Otherwise: scan and compare normalized values
+ * 4. Return records in id order
+ * 
+ * DIFFERENCE FROM search():
+ * search('users.json', 'email', 'john')  → substring match (john@a.com, johnny@b.com)
+ * findBy('users.json', 'email', 'john@a.com') → exact match only
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {string} field - Field to match (e.g., 'userId')
+ * @param {*} value - Value to match (case-insensitive for strings)
+ * @returns {Array} - Matching records
+ */
+const findBy = (filename, field, value) => {
+  const key = indexKey(value);
+  const indexes = indexesOf(filename);
+
+  if (!indexes.fields.has(field)) {
+    return collection(filename).filter(item => key !== null && indexKey(item[field]) === key);
+  }
+
+  const ids = indexes.fields.get(field).get(key);
+  if (!ids) return [];
+  return [...ids].sort((a, b) => a - b).map(id => indexes.byId.get(id));
+};
+
+/**
+ * ============================================
+ * FILTER RECORDS - WHY: Advanced filtering with conditions
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read all records
+ * 2. Apply custom filter function to each record
+ * 3. Return records matching condition
+ * 
+ * CONTROL FLOW:
+ *   - collection() gets cached data
+ *   - .filter(filterFn) applies custom logic
+ * 
+ * WHY callback function: Allows flexible filtering logic
+ * EXAMPLE: filter('users.json', u => u.isActive === true)
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @param {Function} filterFn - Function that returns true/false
+ * @returns {Array} - Records where filterFn returned true
+ */
+const filter = (filename, filterFn) => {
+  const data = collection(filename);
+  return data.filter(filterFn);
+};
+
+/**
+ * ============================================
+ * COUNT RECORDS - WHY: Get total number of records
+ * ============================================
+ * 
+ * HOW: Read all records and return array length
+ * CONTROL FLOW: collection() → Return length
+ * 
+ * @param {string} filename - Name of the JSON file
+ * @returns {number} - Total number of records
+ */
+const count = (filename) => {
+  return collection(filename).length;
+};
+
+/**
+ * ============================================
+ * SIZES - WHY: Disk usage per collection (GET /metrics)
+ * ============================================
+ * 
+ * HOW: Size of every collection file in /db (backups and the journal are skipped);
+ * collections that only exist in the cache so far count as 0
+ * WHY on disk: That is what fills the volume; changes still waiting in the
+ * write-behind cache show up after the next flush
+ * 
+ * @returns {Object} - { 'users.json': 2048, ... }
+ */
+const sizes = () => {
+  const result = {};
+  for (const name of cache.keys()) {
+    result[name] = 0;
+  }
+  for (const name of fs.readdirSync(dbDir)) {
+    if (name.startsWith('.') || !name.endsWith('.json')) continue;
+    result[name] = fs.statSync(path.join(dbDir, name)).size;
+  }
+  return result;
+};
+
+/**
+ * ============================================
+ * PROBE - WHY: The cache hides a broken disk (GET /health/ready)
+ * ============================================
+ * 
+ * HOW:
+ * 1. Read: parse the collection file from disk, NOT the cache - a file
+ *    corrupted after startup is found now, not at the next restart
+ * 2. Write: write + read back + delete a probe file next to it (and in
+ *    /db/backups), through the same writeFileAtomic() a flush uses
+ * WHY dotfile: verifyCollections() and sizes() skip it if a crash leaves it behind
+ * 
+ * @param {string} filename - Collection file name
+ * @throws {Error} - If the file can't be read/parsed or the folder can't be written
+ */
+const probe = (filename) => {
+  const filePath = path.join(dbDir, filename);
+  if (fs.existsSync(filePath)) {
+    const data = parseCollection(fs.readFileSync(filePath, 'utf-8'), filename);
+    if (!Array.isArray(data)) {
+      throw new Error(`Database file ${filename} does not hold a list of records`);
+    }
+  }
+
+  const contents = JSON.stringify({ probe: filename, at: new Date().toISOString() });
+  const folders = config.backupCount > 0 ? [dbDir, backupDir] : [dbDir];
+  for (const folder of folders) {
+    const probePath = path.join(folder, `.probe-${filename}`);
+    try {
+      writeFileAtomic(probePath, contents);
+      if (fs.readFileSync(probePath, 'utf-8') !== contents) {
+        throw new Error(`Probe file in ${path.basename(folder)} read back different contents`);
+      }
+    } finally {
+      // WHY ignore cleanup errors: They must not hide the error that failed the probe
+      for (const leftover of [probePath, `${probePath}.tmp`]) {
+        try {
+          fs.rmSync(leftover, { force: true });
+        } catch (error) {
+          // Reported by the probe itself (or the next one)
+        }
+      }
+    }
+  }
+};
+
+/**
+ * ============================================
+ * TRANSACTION - WHY: Change several collections as one atomic step
+ * ============================================
+ * 
+ * HOW:
+ * 1. Open a staging area
+ * 2. Run callback - every create/update/deleteRecord inside it is staged, not written
+ * 3. If callback returns: publish all staged files to the cache and mark them
+ *    dirty together, so the next flush() commits them as one journaled write
+ * 4. If callback throws: drop the staging area, cache and disk are untouched, rethrow
+ * 
+ * WHY nested calls join the outer transaction: Helpers can use transaction()
+ * without knowing whether their caller already opened one.
+ * 
+ * NESTED = SAVEPOINT (same as SQLite): if an inner callback throws, only its
+ * own staged writes are dropped; the outer transaction can catch and go on.
+ * Copying the staged Map is enough because every write stages a new array.
+ * 
+ * @param {Function} callback - Synchronous function doing the writes
+ * @returns {*} - Whatever callback returned
+ */
+const transaction = (callback) => {
+  if (activeTransaction) {
+    const savepoint = new Map(activeTransaction.staged);
+    try {
+      return callback();
+    } catch (error) {
+      activeTransaction.staged = savepoint;
+      throw error;
+    }
+  }
+
+  activeTransaction = { staged: new Map() };
+  try {
+    const result = callback();
+    for (const [filename, data] of activeTransaction.staged) {
+      cache.set(filename, data);
+      dirty.add(filename);
+    }
+    scheduleFlush();
+    return result;
+  } finally {
+    activeTransaction = null;
+  }
+};
+
+// ============================================
+// EXPORT ADAPTER - WHY: Loaded by utils/database.js
+// ============================================
+module.exports = {
+  name: 'json',  // Adapter name (DB_ADAPTER value)
+  readFile,      // Low-level: Read entire file
+  writeFile,     // Low-level: Write entire file
+  getAll,        // Get all records
+  getById,       // Get one record by ID
+  create,        // Create new record
+  update,        // Update entire record
+  deleteRecord,  // Delete record
+  search,        // Search by field value (substring)
+  findBy,        // Exact match by field (uses index if defined)
+  filter,        // Filter by condition
+  defineIndex,   // Declare a (unique) index on a field
+  count,         // Get total count
+  sizes,         // Bytes on disk per collection file
+  probe,         // Read + write check of one collection (readiness)
+  transaction,   // Run several writes all-or-nothing
+  flush,         // Write pending changes to disk now
+  close          // Flush and release the cache (shutdown)
+};
@@ -0,0 +1,422 @@
+/**
+ * =====================================================
+ * SQLITE STORAGE ADAPTER - utils/adapters/sqliteAdapter.js
+ * =====================================================
+ *
+ * Storage adapter behind utils/database.js when DB_ADAPTER=sqlite.
+ * Routes never require this file directly - see database.js for the interface.
+ *
+ * HOW IT WORKS:
+ * - Uses 'better-sqlite3' (embedded, synchronous - same style as the JSON store)
+ * - One table per collection: 'users.json' → table "users"
+ * - Each row = (id INTEGER PRIMARY KEY, data TEXT) where data is the record as JSON
+ * - Field lookups use SQLite's json_extract(data, '$.field')
+ * - defineIndex() creates real expression indexes; UNIQUE ones are enforced by SQLite
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Records stay schemaless, exactly like the JSON files, so routes don't change
+ * - Writes touch one row instead of rewriting the whole collection
+ * - SQLite gives us crash safety and transactions for free
+ *
+ * CONTROL FLOW:
+ * Request → Route Handler → database.js → sqliteAdapter → SQL statement → Response
+ *
+ * DATA FLOW:
+ * Row.data (JSON text) → JSON.parse() → JavaScript object → Route
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config').database;
+const { UniqueConstraintError } = require('../errors');
+
+// ============================================
+// LOAD DRIVER - WHY: Friendly error if the native module is missing
+// ============================================
+// better-sqlite3 is an optional dependency (it compiles native code)
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (error) {
+  throw new Error('DB_ADAPTER=sqlite requires the "better-sqlite3" package. Run: npm install better-sqlite3');
+}
+
+// ============================================
+// OPEN DATABASE - WHY: One connection for the whole process
+// ============================================
+fs.mkdirSync(path.dirname(config.sqliteFile), { recursive: true });
+const sqlite = new Database(config.sqliteFile);
+
+// WHY WAL: Readers don't block the writer, and commits are crash-safe
+sqlite.pragma('journal_mode = WAL');
+
+const tables = new Set();            // Tables already created this run
+const statements = new Map();        // SQL text → prepared statement
+const uniqueIndexes = new Map();     // index name → { filename, field }
+
+/**
+ * ============================================
+ * PREPARED STATEMENT CACHE - WHY: Parse each SQL string once
+ * ============================================
+ *
+ * @param {string} sql - SQL text (table names already inlined)
+ * @returns {Object} - better-sqlite3 Statement
+ */
+const statement = (sql) => {
+  if (!statements.has(sql)) {
+    statements.set(sql, sqlite.prepare(sql));
+  }
+  return statements.get(sql);
+};
+
+/**
+ * ============================================
+ * TABLE - WHY: Map a collection filename to its (auto-created) table
+ * ============================================
+ *
+ * EXAMPLE: table('users.json') → "users" (CREATE TABLE IF NOT EXISTS on first use)
+ *
+ * @param {string} filename - Collection name
+ * @returns {string} - Quoted table name, safe to inline in SQL
+ */
+const table = (filename) => {
+  const name = `"${filename.replace(/\.json$/, '').replace(/[^A-Za-z0-9_]/g, '_')}"`;
+
+  if (!tables.has(name)) {
+    sqlite.exec(`CREATE TABLE IF NOT EXISTS ${name} (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+    tables.add(name);
+  }
+  return name;
+};
+
+/**
+ * ============================================
+ * KEY EXPRESSION - WHY: Same normalization as the JSON adapter's index keys
+ * ============================================
+ *
+ * HOW: json_extract → text → trim → lowercase → '' becomes NULL (not indexed)
+ * WHY inline (not a parameter): SQLite only uses an expression index when
+ * the query contains the exact same expression
+ *
+ * @param {string} field - Record field name (letters, digits, underscore)
+ * @returns {string} - SQL expression
+ * @throws {Error} - If field could inject SQL
+ */
+const keyExpression = (field) => {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+    throw new Error(`Invalid field name "${field}"`);
+  }
+  return `NULLIF(lower(trim(CAST(json_extract(data, '$.${field}') AS TEXT))), '')`;
+};
+
+/**
+ * Normalize a lookup value the same way keyExpression() normalizes stored values
+ *
+ * @param {*} value - Value to look up
+ * @returns {string|null} - Key, or null if it can never match
+ */
+const lookupKey = (value) => {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim().toLowerCase();
+  return key === '' ? null : key;
+};
+
+const toRecord = (row) => JSON.parse(row.data);
+
+/**
+ * ============================================
+ * WITH CONSTRAINTS - WHY: Turn SQLite unique violations into our typed error
+ * ============================================
+ *
+ * HOW: Run the write; if SQLite reports "UNIQUE constraint failed: index 'x'",
+ * look up which collection/field index x belongs to and throw UniqueConstraintError
+ *
+ * @param {Object} record - Record being written (for the offending value)
+ * @param {Function} write - Function running the INSERT/UPDATE
+ */
+const withConstraints = (record, write) => {
+  try {
+    return write();
+  } catch (error) {
+    const match = error.code === 'SQLITE_CONSTRAINT_UNIQUE' && /index '([^']+)'/.exec(error.message);
+    const index = match && uniqueIndexes.get(match[1]);
+    if (index) {
+      throw new UniqueConstraintError(index.filename, index.field, record[index.field]);
+    }
+    throw error;
+  }
+};
+
+/**
+ * ============================================
+ * GET ALL / GET BY ID - WHY: Read records
+ * ============================================
+ *
+ * @param {string} filename - Collection name
+ * @param {number|string} id - Record ID
+ */
+const getAll = (filename) => {
+  return statement(`SELECT data FROM ${table(filename)} ORDER BY id`).all().map(toRecord);
+};
+
+const getById = (filename, id) => {
+  const row = statement(`SELECT data FROM ${table(filename)} WHERE id = ?`).get(parseInt(id));
+  return row ? toRecord(row) : null;
+};
+
+/**
+ * ============================================
+ * CREATE RECORD - WHY: Insert with the same id/timestamp rules as JSON
+ * ============================================
+ *
+ * HOW: next id = MAX(id) + 1 → build record → INSERT
+ *
+ * @param {string} filename - Collection name
+ * @param {Object} newRecord - Data for new record
+ * @returns {Object} - Created record with ID and timestamps
+ * @throws {UniqueConstraintError} - If a unique indexed field is already taken
+ */
+const create = (filename, newRecord) => {
+  const name = table(filename);
+  const { nextId } = statement(`SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM ${name}`).get();
+
+  const record = {
+    id: nextId,
+    ...newRecord,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  withConstraints(record, () => {
+    statement(`INSERT INTO ${name} (id, data) VALUES (?, ?)`).run(record.id, JSON.stringify(record));
+  });
+  return record;
+};
+
+/**
+ * ============================================
+ * UPDATE RECORD - WHY: Merge fields, keep id/createdAt
+ * ============================================
+ *
+ * @param {string} filename - Collection name
+ * @param {number} id - ID of record to update
+ * @param {Object} updateData - Fields to update
+ * @returns {Object|null} - Updated record or null if not found
+ * @throws {UniqueConstraintError} - If the update would duplicate a unique field
+ */
+const update = (filename, id, updateData) => {
+  const existing = getById(filename, id);
+  if (!existing) return null;
+
+  const updated = {
+    ...existing,
+    ...updateData,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  withConstraints(updated, () => {
+    statement(`UPDATE ${table(filename)} SET data = ? WHERE id = ?`).run(JSON.stringify(updated), updated.id);
+  });
+  return updated;
+};
+
+/**
+ * ============================================
+ * DELETE RECORD
+ * ============================================
+ *
+ * @param {string} filename - Collection name
+ * @param {number} id - ID of record to delete
+ * @returns {boolean} - True if deleted, false if not found
+ */
+const deleteRecord = (filename, id) => {
+  return statement(`DELETE FROM ${table(filename)} WHERE id = ?`).run(parseInt(id)).changes > 0;
+};
+
+/**
+ * ============================================
+ * SEARCH / FIND BY / FILTER / COUNT - WHY: Query records
+ * ============================================
+ *
+ * search → case-insensitive substring (instr on lowercase text)
+ * findBy → case-insensitive exact match (uses the expression index if defined)
+ * filter → JavaScript condition, so it has to read every row
+ *
+ * @param {string} filename - Collection name
+ * @param {string} field - Field to match
+ * @param {*} value - Value to match
+ */
+const search = (filename, field, value) => {
+  keyExpression(field);   // WHY: Same field-name check before building the JSON path
+  return statement(
+    `SELECT data FROM ${table(filename)}
+     WHERE instr(lower(COALESCE(CAST(json_extract(data, '$.${field}') AS TEXT), '')), ?) > 0
+     ORDER BY id`
+  ).all(String(value).toLowerCase()).map(toRecord);
+};
+
+const findBy = (filename, field, value) => {
+  const key = lookupKey(value);
+  if (key === null) return [];
+  return statement(`SELECT data FROM ${table(filename)} WHERE ${keyExpression(field)} = ? ORDER BY id`)
+    .all(key)
+    .map(toRecord);
+};
+
+const filter = (filename, filterFn) => getAll(filename).filter(filterFn);
+
+const count = (filename) => {
+  return statement(`SELECT COUNT(*) AS total FROM ${table(filename)}`).get().total;
+};
+
+/**
+ * ============================================
+ * SIZES - WHY: Storage used per collection (GET /metrics)
+ * ============================================
+ *
+ * HOW: Bytes of stored JSON per table, named like the collection ('users.json')
+ * WHY not the file size: All tables share one file (plus WAL and free pages)
+ *
+ * @returns {Object} - { 'users.json': 2048, ... }
+ */
+const sizes = () => {
+  const result = {};
+  const names = statement("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+  for (const { name } of names) {
+    result[`${name}.json`] = statement(`SELECT COALESCE(SUM(length(data)), 0) AS bytes FROM "${name}"`).get().bytes;
+  }
+  return result;
+};
+
+/**
+ * ============================================
+ * PROBE - WHY: Prove the table can be read and written (GET /health/ready)
+ * ============================================
+ *
+ * HOW:
+ * 1. Read: every row must still hold valid JSON (json_valid, no parsing in JS)
+ * 2. Write: INSERT a probe row inside a transaction, then roll it back
+ *    (throwing from the callback is how better-sqlite3 rolls back)
+ * WHY a real INSERT: A read-only file, a full disk or a lock held by another
+ * process only shows up when SQLite actually writes
+ *
+ * @param {string} filename - Collection name
+ * @throws {Error} - If the table can't be read, holds broken rows or can't be written
+ */
+const PROBE_ROLLBACK = Symbol('probe rollback');
+
+const probe = (filename) => {
+  const name = table(filename);
+  const { broken } = statement(`SELECT COUNT(*) AS broken FROM ${name} WHERE json_valid(data) = 0`).get();
+  if (broken > 0) {
+    throw new Error(`Table ${name} has ${broken} row(s) that are not valid JSON`);
+  }
+
+  try {
+    sqlite.transaction(() => {
+      const { nextId } = statement(`SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM ${name}`).get();
+      statement(`INSERT INTO ${name} (id, data) VALUES (?, ?)`).run(nextId, '{}');
+      throw PROBE_ROLLBACK;
+    })();
+  } catch (error) {
+    if (error !== PROBE_ROLLBACK) throw error;
+  }
+};
+
+/**
+ * ============================================
+ * DEFINE INDEX - WHY: Let SQLite do the lookups and uniqueness checks
+ * ============================================
+ *
+ * EXAMPLE: defineIndex('users.json', 'email', { unique: true })
+ *   → CREATE UNIQUE INDEX "idx_users_email_unique" ON "users" (<email key expression>)
+ *
+ * @param {string} filename - Collection name
+ * @param {string} field - Record field to index
+ * @param {Object} options - { unique: boolean }
+ */
+const defineIndex = (filename, field, { unique = false } = {}) => {
+  const name = table(filename);
+  const indexName = `idx_${name.slice(1, -1)}_${field}${unique ? '_unique' : ''}`;
+
+  sqlite.exec(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ON ${name} (${keyExpression(field)})`);
+  if (unique) {
+    uniqueIndexes.set(indexName, { filename, field });
+  }
+};
+
+/**
+ * ============================================
+ * READ / WRITE FILE - WHY: Whole-collection access (same as JSON adapter)
+ * ============================================
+ *
+ * writeFile replaces every row in one transaction
+ */
+const readFile = (filename) => getAll(filename);
+
+const writeFile = (filename, data) => {
+  const name = table(filename);
+  sqlite.transaction(() => {
+    statement(`DELETE FROM ${name}`).run();
+    for (const record of data) {
+      withConstraints(record, () => {
+        statement(`INSERT INTO ${name} (id, data) VALUES (?, ?)`).run(record.id, JSON.stringify(record));
+      });
+    }
+  })();
+  return true;
+};
+
+/**
+ * ============================================
+ * TRANSACTION - WHY: All-or-nothing using SQLite's own transactions
+ * ============================================
+ *
+ * WHY nesting works: better-sqlite3 turns inner transactions into SAVEPOINTs
+ *
+ * @param {Function} callback - Synchronous function doing the writes
+ * @returns {*} - Whatever callback returned
+ */
+const transaction = (callback) => sqlite.transaction(callback)();
+
+/**
+ * ============================================
+ * FLUSH / CLOSE
+ * ============================================
+ *
+ * flush: Nothing to do - every committed statement is already durable
+ * close: Close the connection (server shutdown)
+ */
+const flush = () => {};
+
+const close = () => {
+  if (sqlite.open) {
+    sqlite.close();
+  }
+};
+
+// ============================================
+// EXPORT ADAPTER - WHY: Loaded by utils/database.js
+// ============================================
+module.exports = {
+  name: 'sqlite',
+  readFile,
+  writeFile,
+  getAll,
+  getById,
+  create,
+  update,
+  deleteRecord,
+  search,
+  findBy,
+  filter,
+  defineIndex,
+  count,
+  sizes,
+  probe,
+  transaction,
+  flush,
+  close
+};
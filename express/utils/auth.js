@@ -0,0 +1,191 @@
+/**
+ * =====================================================
+ * AUTH MIDDLEWARE - utils/auth.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - authenticate reads "Authorization: Bearer <access token>"
+ * - Verifies the token (utils/tokens.js) and its session (services/sessions.js)
+ * - Attaches the logged-in user to req.user and the session to req.session
+ * - Anything wrong → 401 with a WWW-Authenticate header
+ * - authorize / authorizeSelfOr then check the user's role (403 if not allowed)
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Same shape as the validators: a route opts in by listing the middleware
+ *     router.get('/me', authenticate, handler)
+ *     router.delete('/:id', authenticate, authorize('admin'), handler)
+ * - Handlers never see tokens, only req.user
+ * - One place decides what a role means; route files just name the roles
+ * 
+ * ROLES (schemas/userSchema.js USER_ROLES):
+ *   customer → own profile, own orders
+ *   staff    → products, order fulfillment
+ *   admin    → everything, including users
+ * 
+ * CONTROL FLOW:
+ * Request → authenticate → token + session + user OK? → authorize → role OK? → Route handler
+ *                                                   ✗ → 401                ✗ → 403
+ */
+
+const response = require('./responseHandler');
+const { verifyToken } = require('./tokens');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+const { findActiveSession, sessionUser } = require('../services/sessions');
+
+// Fields never sent to clients
+const PRIVATE_USER_FIELDS = ['passwordHash'];
+
+/**
+ * ============================================
+ * PUBLIC USER - WHY: Strip credentials before a user leaves the server
+ * ============================================
+ * 
+ * @param {Object} user - User record from the database
+ * @returns {Object|null} - Copy without private fields
+ */
+const publicUser = (user) => {
+  if (!user) return user;
+  const copy = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * ============================================
+ * AUTHENTICATE - WHY: Require a logged-in user
+ * ============================================
+ * 
+ * HOW:
+ * 1. Header must be "Bearer <token>"
+ * 2. Token must be a valid, unexpired access token
+ * 3. Its session must not be revoked, its user must exist and be active
+ * 4. req.user = public user, req.session = session
+ * 
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/api/auth/me -H "Authorization: Bearer eyJhbGciOi..."
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Continue to the route handler
+ */
+const authenticate = (req, res, next) => {
+  try {
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new UnauthorizedError('Authentication required');
+    }
+
+    const claims = verifyToken(token, 'access');
+    const session = findActiveSession(claims);
+    const user = session && sessionUser(session);
+    if (!user) {
+      throw new UnauthorizedError('Session has ended');
+    }
+
+    req.user = publicUser(user);
+    req.session = session;
+    next();
+  } catch (error) {
+    // WHY: RFC 6750 - tells the client which scheme to use
+    if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+    response.sendError(res, error, 'Authentication failed');
+  }
+};
+// WHY: utils/openapi.js marks routes using it as needing a bearer token
+authenticate.openapi = { authenticated: true };
+
+/**
+ * Role of a user
+ * WHY default: Users created before roles existed are plain customers
+ * 
+ * @param {Object} user - User (req.user)
+ * @returns {string} - 'customer' | 'staff' | 'admin'
+ */
+const roleOf = (user) => (user && user.role) || 'customer';
+
+/**
+ * @param {Object} user - User (req.user)
+ * @param {Array<string>} roles - Allowed roles
+ * @returns {boolean} - True if the user has one of them
+ */
+const hasRole = (user, roles) => Boolean(user) && roles.includes(roleOf(user));
+
+/**
+ * ============================================
+ * IS OWNER OR - WHY: "Your own data, or you're staff"
+ * ============================================
+ * 
+ * EXAMPLE: isOwnerOr(req.user, order.userId, ['staff', 'admin'])
+ *   → true for the customer who placed the order, and for staff/admins
+ * 
+ * @param {Object} user - User (req.user)
+ * @param {number|string} ownerId - User ID that owns the resource
+ * @param {Array<string>} roles - Roles allowed regardless of ownership
+ * @returns {boolean}
+ */
+const isOwnerOr = (user, ownerId, roles) => {
+  return hasRole(user, roles) || (Boolean(user) && parseInt(ownerId, 10) === user.id);
+};
+
+/**
+ * Send 403 (or 401 if authenticate didn't run) for a role check that failed
+ */
+const deny = (req, res, message) => {
+  const error = req.user ? new ForbiddenError(message) : new UnauthorizedError();
+  response.sendError(res, error, 'Authorization failed');
+};
+
+/**
+ * ============================================
+ * AUTHORIZE - WHY: Require one of several roles
+ * ============================================
+ * 
+ * USAGE (after authenticate):
+ *   router.post('/', authenticate, authorize('staff', 'admin'), handler)
+ * 
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware (403 "Requires role: staff or admin")
+ */
+const authorize = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (hasRole(req.user, roles)) return next();
+    deny(req, res, `Requires role: ${roles.join(' or ')}`);
+  };
+  middleware.openapi = { roles };   // Listed in the API docs (utils/openapi.js)
+  return middleware;
+};
+
+/**
+ * ============================================
+ * AUTHORIZE SELF OR - WHY: URL names a user; allow that user or given roles
+ * ============================================
+ * 
+ * USAGE (after authenticate):
+ *   router.get('/:id', authenticate, authorizeSelfOr('id', 'admin'), handler)
+ *   → user 5 may GET /api/users/5, only admins may GET /api/users/6
+ * 
+ * @param {string} param - Route parameter holding the user ID
+ * @param {...string} roles - Roles allowed for any user ID
+ * @returns {Function} - Express middleware
+ */
+const authorizeSelfOr = (param, ...roles) => {
+  const middleware = (req, res, next) => {
+    if (isOwnerOr(req.user, req.params[param], roles)) return next();
+    deny(req, res, 'You can only access your own account');
+  };
+  middleware.openapi = { roles, self: param };   // Listed in the API docs (utils/openapi.js)
+  return middleware;
+};
+
+// ============================================
+// EXPORT - WHY: Use in routes
+// ============================================
+module.exports = {
+  authenticate,     // Middleware: require a valid access token
+  authorize,        // Middleware: require one of the given roles
+  authorizeSelfOr,  // Middleware: URL user is the caller, or caller has a role
+  hasRole,          // user + roles → boolean (for checks inside handlers)
+  isOwnerOr,        // user + ownerId + roles → boolean
+  roleOf,           // user → role ('customer' if unset)
+  publicUser        // Remove credentials from a user record
+};
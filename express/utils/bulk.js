@@ -0,0 +1,388 @@
+/**
+ * =====================================================
+ * BULK OPERATIONS - utils/bulk.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - POST /api/<resource>/bulk takes a list of operations:
+ *     { "atomic": false, "operations": [
+ *         { "op": "create", "data": { ... } },
+ *         { "op": "update", "id": 3, "data": { "price": 9.99 }, "ifMatch": "\"2\"" },
+ *         { "op": "delete", "id": 4 } ] }
+ * - Each item is validated with the resource's schema (validate(), the same
+ *   checks as POST / PATCH) and then applied with the resource's own
+ *   create/update/delete functions, so the rules can't drift apart
+ * - The response reports every item: status, record or error
+ * - atomic: false (default) → good items are applied, bad ones reported
+ *   atomic: true            → one bad item and nothing is applied
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Seeding 500 products used to be 500 requests; now it's one request and
+ *   one transaction, so products.json is written once
+ * - Every item runs in a nested db.transaction() (a savepoint): a failing
+ *   item undoes only its own writes, even halfway through (e.g. an order
+ *   that reserved stock and then failed)
+ * - Per-item errors have the same shape as single-record errors
+ *   ({ message, details }), so clients handle them the same way
+ *
+ * CONTROL FLOW:
+ * POST /bulk → validate envelope → checkOperation() per item
+ *   → atomic and any invalid? → 400, nothing applied
+ *   → db.transaction: each item in its own savepoint → result
+ *   → atomic and any failed? → throw → everything rolled back → error status
+ *   → 200 (all applied) or 207 (some failed)
+ *
+ * DATA FLOW:
+ * operations[i] → { index: i, op, id, ok, status, data | error }
+ *   → { atomic, applied, total, succeeded, failed, results }
+ */
+
+const config = require('../config').bulk;
+const db = require('./database');
+const response = require('./responseHandler');
+const { validate } = require('./validator');
+const { checkETag } = require('./etag');
+const { AppError } = require('./errors');
+const { defineSchema } = require('./openapi');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+// ENVELOPE - WHY: Items are checked one by one below, so a bad item can't hide the others
+const BULK_SCHEMA = {
+  atomic:     { type: 'boolean' },
+  operations: { type: 'array', required: true, minItems: 1, maxItems: config.maxOperations }
+};
+
+const OPERATION_SCHEMA = {
+  op:      { type: 'string', required: true, enum: OPERATIONS },
+  id:      { type: 'integer', min: 1, description: 'Required for update and delete' },
+  data:    { type: 'object', description: 'Fields as for POST (create) or PATCH (update)' },
+  ifMatch: { type: 'string', description: 'Expected version, e.g. "2" (412 if it changed)' }
+};
+
+// REQUEST BODY (API docs) - WHY: The envelope with the shape of one operation
+const BULK_BODY_DOC = {
+  ...BULK_SCHEMA,
+  operations: { ...BULK_SCHEMA.operations, items: { type: 'object', properties: OPERATION_SCHEMA } }
+};
+
+// REPORT - WHY: Shape of every /bulk and /import response (named in the API docs)
+const REPORT_SCHEMA = {
+  atomic:    { type: 'boolean' },
+  applied:   { type: 'boolean', description: 'false: nothing was saved (atomic failure or dry run)' },
+  total:     { type: 'integer' },
+  succeeded: { type: 'integer' },
+  failed:    { type: 'integer' },
+  results:   { type: 'array', items: { type: 'object', properties: {
+    index:      { type: 'integer', description: 'Position in operations (/bulk)' },
+    row:        { type: 'integer', description: 'Line in the file (/import)' },
+    op:         { type: 'string', enum: OPERATIONS },
+    id:         { type: 'integer' },
+    ok:         { type: 'boolean' },
+    status:     { type: 'integer', description: 'What the single-record route would have answered' },
+    rolledBack: { type: 'boolean' },
+    data:       { type: 'object', description: 'The record (ok)' },
+    error:      { type: 'object', description: '{ message, details } (not ok)' }
+  } } }
+};
+defineSchema('BulkReport', REPORT_SCHEMA, { record: false });
+
+/**
+ * Accept a bare version as ifMatch: 2 or "2" → '"2"'
+ * WHY: Quoting quotes inside JSON ("\"2\"") is easy to get wrong
+ *
+ * @param {*} ifMatch - Value from the operation
+ * @returns {*} - ETag-style value
+ */
+const normalizeIfMatch = (ifMatch) => {
+  if (typeof ifMatch === 'number' || (typeof ifMatch === 'string' && /^\d+$/.test(ifMatch))) {
+    return `"${ifMatch}"`;
+  }
+  return ifMatch;
+};
+
+/**
+ * ============================================
+ * CHECK OPERATION - WHY: Validate one item before anything is written
+ * ============================================
+ *
+ * HOW:
+ * 1. Shape: op is create/update/delete; id for update/delete; data for create/update
+ * 2. data against the resource schema (partial for update), errors prefixed 'data.'
+ *
+ * WHY ref: Says where the item came from in every result - { index: 2 } for
+ * /bulk, { row: 7 } for a CSV import (utils/importExport.js)
+ *
+ * @param {Object} spec - Resource spec (see bulkHandler)
+ * @param {Object} req - Express request (schema may depend on the caller)
+ * @param {*} raw - One element of operations
+ * @param {Object} ref - { index } or { row }, copied into the result
+ * @param {string} prefix - Prefix for data errors (imports use '' → plain column names)
+ * @returns {Object} - { ref, op, id, data, ifMatch, errors }
+ */
+const checkOperation = (spec, req, raw, ref, prefix = 'data.') => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    const field = `operations[${ref.index}]`;
+    return { ref, errors: [{ field, message: `${field} must be an object` }] };
+  }
+
+  const { value, errors } = validate(OPERATION_SCHEMA, { ...raw, ifMatch: normalizeIfMatch(raw.ifMatch) });
+  const checked = { ref, op: value.op, id: value.id, errors };
+  if (errors.length > 0) return checked;
+
+  if (value.op !== 'create' && value.id === undefined) {
+    errors.push({ field: 'id', message: `id is required for ${value.op}` });
+  }
+  if (value.op === 'create' && value.id !== undefined) {
+    errors.push({ field: 'id', message: 'id cannot be set on create' });
+  }
+  if (value.op !== 'delete' && value.data === undefined) {
+    errors.push({ field: 'data', message: `data is required for ${value.op}` });
+  }
+  if (errors.length > 0 || value.op === 'delete') {
+    return { ...checked, ifMatch: value.ifMatch };
+  }
+
+  const schema = typeof spec.schema === 'function' ? spec.schema(req) : spec.schema;
+  const data = validate(schema, value.data, { partial: value.op === 'update', prefix });
+  errors.push(...data.errors);
+  return { ...checked, data: data.value, ifMatch: value.ifMatch };
+};
+
+/**
+ * Run one checked operation with the resource's functions
+ *
+ * WHY authorize first: The no-change shortcut below returns the stored record
+ * without calling spec.update, so access must not depend on it
+ *
+ * @returns {{ status: number, record: Object|null }}
+ * @throws {AppError} - 404, 412, or whatever the resource function throws
+ */
+const runOperation = (spec, req, { op, id, data, ifMatch }) => {
+  if (op === 'create') {
+    return { status: 201, record: spec.create(data, req) };
+  }
+
+  const record = db.getById(spec.filename, id);
+  if (!record) {
+    throw new AppError(`${spec.label} ${id} not found`, 404);
+  }
+  spec.authorize(record, req);
+  checkETag(ifMatch, record);
+
+  if (op === 'update') {
+    // WHY: Nothing to change → no write, so the version (ETag) stays the same
+    if (Object.keys(data).length === 0) return { status: 200, record };
+    return { status: 200, record: spec.update(record, data, req) };
+  }
+  spec.remove(record, req);
+  return { status: 200, record: null };
+};
+
+/**
+ * Result entry for an item that failed
+ * WHY a generic 500 message: Unexpected errors may leak internals (like sendError)
+ *
+ * @param {Object} spec - Resource spec (label for the message)
+ * @param {Object} operation - Checked operation
+ * @param {Error|null} error - What was thrown (null → validation errors)
+ * @returns {Object} - { ...ref, op, id, ok: false, status, error }
+ */
+const failure = (spec, { ref, op, id, errors }, error = null) => {
+  const base = { ...ref, op, id, ok: false };
+  if (!error) {
+    return { ...base, status: 400, error: { message: 'Validation Error', details: errors } };
+  }
+  if (error instanceof AppError) {
+    return { ...base, status: error.status, error: { message: error.message, details: error.details } };
+  }
+  return { ...base, status: 500, error: { message: `Failed to ${op || 'process'} ${spec.label.toLowerCase()}` } };
+};
+
+/**
+ * Apply one valid operation in its own savepoint
+ *
+ * @returns {Object} - Result entry (ok or failure)
+ */
+const apply = (spec, req, operation) => {
+  try {
+    const { status, record } = db.transaction(() => runOperation(spec, req, operation));
+    const { ref, op, id } = operation;
+    return { ...ref, op, id: record ? record.id : id, ok: true, status, data: record ? spec.present(record) : null };
+  } catch (error) {
+    return failure(spec, operation, error);
+  }
+};
+
+/**
+ * Summary around the per-item results
+ */
+const report = (atomic, applied, results) => {
+  const succeeded = results.filter(result => result.ok).length;
+  return { atomic, applied, total: results.length, succeeded, failed: results.length - succeeded, results };
+};
+
+// 200 when every item worked, 207 (Multi-Status) when some failed
+const statusOf = (summary) => (summary.failed === 0 ? 200 : 207);
+
+// Spec with the optional parts filled in
+const withDefaults = (spec) => ({ present: (record) => record, authorize: () => {}, ...spec });
+
+/**
+ * Thrown inside the batch transaction to roll it back (atomic mode)
+ * WHY an AppError: sendError() turns it into the response as-is
+ *
+ * WHY successes lose data (and creates their id): Nothing of them was kept
+ *
+ * @param {Array} results - Per-item results
+ * @returns {AppError}
+ */
+const rollback = (results) => {
+  const failed = results.filter(result => !result.ok);
+  const kept = results.map(({ data, ...result }) => {
+    if (!result.ok) return result;
+    return { ...result, id: result.op === 'create' ? undefined : result.id, rolledBack: true };
+  });
+  return new AppError(
+    `Bulk request not applied: ${failed.length} of ${results.length} operations failed`,
+    failed[0].status,
+    report(true, false, kept)
+  );
+};
+
+/**
+ * Thrown at the end of a dry run so the transaction undoes every write
+ * WHY not an AppError: It isn't a failure; execute() catches it and reports
+ */
+class DryRun extends Error {
+  constructor(results) {
+    super('Dry run');
+    this.results = results;
+  }
+}
+
+/**
+ * ============================================
+ * EXECUTE - WHY: One engine for /bulk and /import (utils/importExport.js)
+ * ============================================
+ *
+ * HOW:
+ *   atomic and any invalid? → throw rollback (nothing written)
+ *   db.transaction: apply() each item in its own savepoint
+ *     → atomic and any failed? → throw rollback
+ *     → dryRun? → throw DryRun → every write undone, results kept
+ *
+ * WHY a dry run really runs: Stock, unique emails, references and prices are
+ * only checked by writing; rolling back afterwards reports exactly what a
+ * real run would do. Created ids are dropped - they were never kept.
+ *
+ * @param {Object} spec - Resource spec (present already defaulted)
+ * @param {Object} req - Express request
+ * @param {Array} operations - Results of checkOperation()
+ * @param {Object} options - { atomic, dryRun }
+ * @returns {Object} - report(): { atomic, applied, total, succeeded, failed, results }
+ * @throws {AppError} - rollback() in atomic mode
+ */
+const execute = (spec, req, operations, { atomic = false, dryRun = false } = {}) => {
+  // WHY before the transaction: An atomic batch with invalid items never starts writing
+  if (atomic && operations.some(operation => operation.errors.length > 0)) {
+    throw rollback(operations.map(operation => (
+      operation.errors.length > 0 ? failure(spec, operation) : { ...operation.ref, op: operation.op, id: operation.id, ok: true }
+    )));
+  }
+
+  try {
+    const results = db.transaction(() => {
+      const applied = operations.map(operation => (
+        operation.errors.length > 0 ? failure(spec, operation) : apply(spec, req, operation)
+      ));
+      if (atomic && applied.some(result => !result.ok)) {
+        throw rollback(applied);
+      }
+      if (dryRun) {
+        throw new DryRun(applied);
+      }
+      return applied;
+    });
+    return report(atomic, true, results);
+  } catch (error) {
+    if (!(error instanceof DryRun)) throw error;
+    return report(atomic, false, error.results.map(result => (
+      result.ok && result.op === 'create' ? { ...result, id: undefined, data: { ...result.data, id: undefined } } : result
+    )));
+  }
+};
+
+/**
+ * ============================================
+ * BULK HANDLER - WHY: One implementation of POST /bulk for every resource
+ * ============================================
+ *
+ * USAGE (routes/productRoutes.js):
+ *   router.post('/bulk', staffOnly, bulkHandler({
+ *     filename: FILENAME, label: 'Product', schema: productSchema,
+ *     create: (data) => createProduct(data),
+ *     update: (product, data) => updateProduct(product, data),
+ *     remove: (product) => db.deleteRecord(FILENAME, product.id)
+ *   }));
+ *
+ * SPEC:
+ *   filename  Collection the ids refer to
+ *   label     'Product' → "Product 7 not found"
+ *   schema    { field: rule } or req → { field: rule } (same as validateBody)
+ *   create(data, req) / update(record, data, req) / remove(record, req)
+ *             Throw AppErrors (403, 409, ...) to fail just that item
+ *   authorize(record, req)
+ *             Before any update/delete, even one with nothing to change
+ *             (default: allow - for routes that are already staff-only)
+ *   present   record → what the client sees (default: the record)
+ *
+ * RESPONSE EXAMPLE (207, one item failed):
+ *   { "data": { "atomic": false, "applied": true, "total": 2, "succeeded": 1, "failed": 1, "results": [
+ *       { "index": 0, "op": "create", "id": 12, "ok": true, "status": 201, "data": { ... } },
+ *       { "index": 1, "op": "delete", "id": 4, "ok": false, "status": 409,
+ *         "error": { "message": "Cannot delete: still referenced by 2 orders", "details": { ... } } } ] } }
+ *
+ * atomic: true and an item fails → that item's status (e.g. 409) with the same
+ * report in "details", "applied": false and the good items marked "rolledBack"
+ *
+ * @param {Object} spec - Resource spec (see above)
+ * @returns {Function} - Express handler
+ */
+const bulkHandler = (spec) => {
+  const resource = withDefaults(spec);
+
+  const handler = (req, res) => {
+    try {
+      const { value, errors } = validate(BULK_SCHEMA, req.body || {});
+      if (errors.length > 0) {
+        return res.status(400).json(response.error('Validation Error', 400, errors));
+      }
+
+      const atomic = value.atomic === true;
+      const operations = value.operations.map((raw, index) => checkOperation(resource, req, raw, { index }));
+      const summary = execute(resource, req, operations, { atomic });
+
+      const message = summary.failed === 0
+        ? 'Bulk operations applied'
+        : `Bulk operations applied with ${summary.failed} failure(s)`;
+      res.status(statusOf(summary)).json(response.success(summary, message, statusOf(summary)));
+    } catch (error) {
+      response.sendError(res, error, `Failed to apply bulk ${resource.label.toLowerCase()} operations`);
+    }
+  };
+  handler.openapi = { bodyRules: BULK_BODY_DOC, returns: 'BulkReport', statuses: [207], errors: [409, 412] };
+  return handler;
+};
+
+// ============================================
+// EXPORT - WHY: Used by the /bulk route of each resource and utils/importExport.js
+// ============================================
+module.exports = {
+  REPORT_SCHEMA,    // Shape of the report (API docs)
+  bulkHandler,      // Spec → POST /bulk handler (validate, apply, report)
+  checkOperation,   // Raw item → checked operation (also used by imports)
+  execute,          // Checked operations → applied (or dry-run) report
+  statusOf,         // Report → 200 or 207
+  withDefaults      // Spec → spec with present() and authorize() filled in
+};
@@ -0,0 +1,153 @@
+/**
+ * =====================================================
+ * CSV FORMAT - utils/csv.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - toCsvRow() turns a list of values into one CSV line (RFC 4180):
+ *     ['Desk, oak', 'Say "hi"', 3] → "Desk, oak","Say ""hi""",3
+ * - parseCsv() turns CSV text back into rows, remembering the line each
+ *   row started on (quoted cells may span several lines)
+ * - Objects and arrays (order items) are written as JSON inside the cell
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Spreadsheets are the target: Excel, LibreOffice and Google Sheets all
+ *   read quoted RFC 4180 with a UTF-8 BOM correctly
+ * - Formula guard: a cell starting with = + - @ is run as a formula when
+ *   opened in a spreadsheet ("CSV injection"). Such text is written with a
+ *   leading ' (which spreadsheets hide) and fromCell() removes it again
+ *
+ * DATA FLOW:
+ * export: record → values → toCsvRow() → line
+ * import: text → parseCsv() → { line, cells } → fromCell() → values
+ */
+
+// Characters that make a spreadsheet treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Byte order mark - WHY: Excel assumes a legacy encoding without it
+const BOM = '﻿';
+
+/**
+ * ============================================
+ * TO CELL - WHY: One text form for every value type
+ * ============================================
+ *
+ * EXAMPLES:
+ *   null / undefined → ''          true → 'true'
+ *   [{ productId: 1 }] → '[{"productId":1}]'
+ *   '=SUM(A1)' → "'=SUM(A1)"       (formula guard; numbers like -5 are left alone)
+ *
+ * @param {*} value - Field value
+ * @returns {string} - Cell text (not yet quoted)
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return typeof value === 'string' && FORMULA_START.test(text) ? `'${text}` : text;
+};
+
+/**
+ * Cell text back to a value: '' → undefined, guard quote removed
+ *
+ * @param {string} text - Raw cell text from parseCsv()
+ * @returns {string|undefined}
+ */
+const fromCell = (text) => {
+  if (text === '') return undefined;
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+/**
+ * One CSV line (without line break)
+ * WHY quote only when needed: Keeps simple files readable in a text editor
+ *
+ * @param {Array} values - Field values in column order
+ * @returns {string}
+ */
+const toCsvRow = (values) => values
+  .map(toCell)
+  .map(cell => (/[",\r\n]/.test(cell) || cell !== cell.trim() ? `"${cell.replace(/"/g, '""')}"` : cell))
+  .join(',');
+
+/**
+ * ============================================
+ * PARSE CSV - WHY: Read files saved by spreadsheets
+ * ============================================
+ *
+ * HOW: One pass, character by character
+ *   "..."  quoted cell: commas and line breaks are text, "" is one quote
+ *   ,      next cell
+ *   \n     next row (\r\n and \r work too)
+ * Blank lines are skipped; a leading BOM is ignored.
+ *
+ * @param {string} text - Whole CSV file
+ * @returns {{ rows: Array<{ line: number, cells: Array<string> }>, error: Object|null }}
+ *   error = { line, message } when a quote is never closed (rows before it are kept)
+ */
+const parseCsv = (text) => {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.length > 1 || cells[0] !== '') rows.push({ line: rowLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return { rows, error: { line: rowLine, message: 'Quoted cell is never closed' } };
+  }
+  endRow();
+  return { rows, error: null };
+};
+
+// ============================================
+// EXPORT - WHY: Used by utils/importExport.js
+// ============================================
+module.exports = {
+  BOM,        // Written first in CSV exports
+  toCsvRow,   // Values → one CSV line
+  fromCell,   // Cell text → value (undo the formula guard)
+  parseCsv    // CSV text → rows with line numbers
+};
@@ -2,374 +2,541 @@
  * =====================================================
  * DATABASE UTILITY - utils/database.js
  * =====================================================
- * 
+ *
  * HOW IT WORKS:
- * - Uses Node.js built-in 'fs' module to read/write JSON files
- * - Stores data in /db folder as JSON files (no SQL database needed)
- * - Each resource type has its own JSON file (users.json, products.json, etc.)
- * 
+ * - Routes only ever require THIS file: const db = require('../utils/database')
+ * - The actual storage is done by an adapter chosen by config (DB_ADAPTER):
+ *     json   → utils/adapters/jsonAdapter.js   (default, files in /db)
+ *     sqlite → utils/adapters/sqliteAdapter.js (embedded SQLite file)
+ * - Every function here forwards to the adapter with the same arguments
+ * - Soft delete lives HERE, on top of any adapter (see SOFT DELETE below)
+ *
  * WHY IT WORKS THIS WAY:
- * - Simple, no external database dependency
- * - Data is human-readable in JSON format
- * - File operations are synchronous for easier debugging
- * - Each function handles one specific database operation
- * 
+ * - Routes keep calling db.getAll('users.json') no matter where data lives
+ * - Moving off flat files = set DB_ADAPTER=sqlite, no route changes
+ * - Each adapter is free to store data its own way (files, tables, ...)
+ *
+ * ADAPTER INTERFACE (every adapter exports all of these):
+ *   name                                  - 'json', 'sqlite', ...
+ *   readFile(filename)                    - All records (low-level)
+ *   writeFile(filename, records)          - Replace all records (low-level)
+ *   getAll(filename)                      - All records, copy safe to mutate
+ *   getById(filename, id)                 - Record or null
+ *   create(filename, record)              - Record with id/createdAt/updatedAt
+ *   update(filename, id, fields)          - Merged record or null
+ *   deleteRecord(filename, id)            - true if deleted
+ *   search(filename, field, value)        - Case-insensitive substring match
+ *   findBy(filename, field, value)        - Case-insensitive exact match
+ *   filter(filename, fn)                  - Records where fn(record) is true
+ *   count(filename)                       - Number of records
+ *   sizes()                               - { collection: bytes } (storage used, for /metrics)
+ *   probe(filename)                       - Throws unless the collection can be read AND written (/health/ready)
+ *   defineIndex(filename, field, opts)    - Declare index, { unique } → UniqueConstraintError
+ *   transaction(callback)                 - Run callback all-or-nothing (synchronous; nested = savepoint)
+ *   flush()                               - Make pending writes durable
+ *   close()                               - Flush and release resources
+ *
+ * SOFT DELETE:
+ * - deleteRecord() only sets deletedAt; the record stays in storage
+ * - Every read (getAll, getById, search, findBy, filter, count) and update()
+ *   skips records with deletedAt, so routes don't need to check it
+ * - getDeleted() lists the trash, restore() clears deletedAt,
+ *   purge() removes a trashed record for good
+ * - readFile()/writeFile() are low-level and see everything
+ * - WHY unique indexes still count trashed records: restore() must never
+ *   produce two users with the same email
+ *
+ * VERSIONS:
+ * - Every record carries a version: 1 on create, +1 on every change
+ *   (including soft delete, restore and cascades)
+ * - Routes turn it into an ETag (utils/etag.js) for If-Match / If-None-Match
+ * - Records saved before versions existed count as version 1
+ *
+ * RELATIONS (see defineRelation below):
+ * - A route declares "orders.userId points at users" once, like an index
+ * - create/update/restore refuse references to missing (or trashed) records
+ * - Deleting a referenced record follows the declared onDelete rule:
+ *     restrict → ReferenceConstraintError (409) on purge while references exist
+ *                (on soft delete only references matching blockSoftDeleteWhen count)
+ *     cascade  → referencing records are deleted (trashed) too
+ *     nullify  → the reference is set to null when the record is purged
+ * 
+ * METRICS (GET /metrics, utils/metrics.js):
+ * - Every read/write exported here is timed per collection (db_operation_duration_seconds)
+ * - Storage size and record count per collection are read when scraped
+ *
+ * HEALTH (GET /health/ready, utils/health.js):
+ * - collections() lists every collection: declared (index/relation) or already stored
+ * - probe() asks the adapter to read and write one of them, bypassing caches
+ *
  * CONTROL FLOW:
- * Request → Route Handler → Database Function → File Read/Write → Response
- * 
+ * Request → Route Handler → database.js → Adapter → Storage → Response
+ *
  * DATA FLOW:
- * JSON File → readFile() → JavaScript Array → Process Data → writeFile() → JSON File
+ * Storage → Adapter → JavaScript Array/Object → Route → JSON Response
  */
 
-const fs = require('fs');
-const path = require('path');
+const config = require('../config').database;
+const { ReferenceConstraintError } = require('./errors');
+const { defineHistogram, defineGauge, startTimer } = require('./metrics');
 
 // ============================================
-// DATABASE DIRECTORY SETUP - WHY: Centralized storage
+// ADAPTER REGISTRY - WHY: Load only the backend we use
 // ============================================
-const dbDir = path.join(__dirname, '../db');
+// WHY functions: sqlite needs a native module; don't require it unless selected
+const adapters = {
+  json: () => require('./adapters/jsonAdapter'),
+  sqlite: () => require('./adapters/sqliteAdapter')
+};
 
-// Create /db folder if it doesn't exist
-// WHY: Ensures all JSON files are stored in one place
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-  console.log('📁 Database directory created:', dbDir);
+if (!adapters[config.adapter]) {
+  throw new Error(`Unknown DB_ADAPTER "${config.adapter}". Use one of: ${Object.keys(adapters).join(', ')}`);
 }
 
+const adapter = adapters[config.adapter]();
+
+// ============================================
+// SOFT DELETE HELPERS - WHY: One definition of "deleted" for every read
+// ============================================
+const isDeleted = (record) => Boolean(record && record.deletedAt);
+const notDeleted = (record) => !isDeleted(record);
+
+// ============================================
+// VERSION HELPERS - WHY: Every write through this file bumps the version
+// ============================================
+const versionOf = (record) => record.version || 1;
+
+// Write fields + next version (the adapter keeps id/createdAt, sets updatedAt)
+const write = (filename, record, fields) => {
+  return adapter.update(filename, record.id, { ...fields, version: versionOf(record) + 1 });
+};
+
+// ============================================
+// RELATION HELPERS - WHY: Same lookups for checks, restrict, cascade and nullify
+// ============================================
+const ON_DELETE_RULES = ['restrict', 'cascade', 'nullify'];
+const relations = [];   // [{ filename, field, path, target, onDelete, blockSoftDeleteWhen }]
+const declared = new Set();   // Collections named by defineIndex/defineRelation (health checks)
+
+const label = (filename) => filename.replace(/\.json$/, '');
+const sameId = (value, id) => value !== undefined && value !== null && String(value) === String(id);
+
+/**
+ * Every value at a field path; arrays are walked
+ * EXAMPLE: valuesAt(order, ['items', 'productId']) → [1, 4] (one per item)
+ *
+ * @param {*} value - Record (or part of it)
+ * @param {Array} path - Field names, e.g. ['userId']
+ * @returns {Array} - Non-null values found
+ */
+const valuesAt = (value, path) => {
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, path));
+  if (path.length === 0) return value === undefined || value === null ? [] : [value];
+  return value && typeof value === 'object' ? valuesAt(value[path[0]], path.slice(1)) : [];
+};
+
+/**
+ * Copy of value with every reference to id at path set to null
+ *
+ * @param {*} value - Record (or part of it)
+ * @param {Array} path - Field names
+ * @param {number} id - Referenced record ID to clear
+ * @returns {*} - Updated copy
+ */
+const withoutReference = (value, path, id) => {
+  if (Array.isArray(value)) return value.map(item => withoutReference(item, path, id));
+  if (!value || typeof value !== 'object') return value;
+
+  const [field, ...rest] = path;
+  if (rest.length === 0) return sameId(value[field], id) ? { ...value, [field]: null } : value;
+  return { ...value, [field]: withoutReference(value[field], rest, id) };
+};
+
+/**
+ * Records pointing at id through one relation
+ * WHY findBy for top-level fields: Uses the index (e.g. orders.userId) if declared
+ *
+ * @param {Object} relation - Declared relation
+ * @param {number} id - Referenced record ID
+ * @param {boolean} withDeleted - Include trashed records
+ * @returns {Array} - Referencing records
+ */
+const referencing = (relation, id, withDeleted) => {
+  const records = relation.path.length === 1
+    ? adapter.findBy(relation.filename, relation.field, id)
+    : adapter.filter(relation.filename, record => valuesAt(record, relation.path).some(value => sameId(value, id)));
+  return withDeleted ? records : records.filter(notDeleted);
+};
+
 /**
  * ============================================
- * READ FILE FUNCTION - WHY: Fetch data from disk
+ * READ / WRITE FILE - WHY: Low-level whole-collection access
  * ============================================
- * 
- * HOW: Reads JSON file → Parses text to JavaScript object
- * CONTROL FLOW: 
- *   - Check if file exists
- *   - Read file contents as text
- *   - Parse text as JSON
- *   - Return JavaScript array/object
- * 
- * @param {string} filename - Name of the JSON file (e.g., 'users.json')
- * @returns {Array|Object} - Parsed JSON data or empty array
+ *
+ * USAGE: Migrations and maintenance scripts; routes use the CRUD functions
+ *
+ * @param {string} filename - Collection name (e.g., 'users.json')
+ * @param {Array} data - Full collection contents (writeFile only)
  */
-const readFile = (filename) => {
-  try {
-    const filePath = path.join(dbDir, filename);
-    
-    // WHY: Check if file exists before reading
-    // If not, return empty array (no data yet)
-    if (!fs.existsSync(filePath)) {
-      return [];
+const readFile = (filename) => adapter.readFile(filename);
+const writeFile = (filename, data) => adapter.writeFile(filename, data);
+
+/**
+ * ============================================
+ * GET ALL / GET BY ID - WHY: Read records (soft-deleted ones skipped)
+ * ============================================
+ *
+ * USAGE:
+ *   getAll('users.json')      → All users (array copy, safe to sort)
+ *   getById('users.json', 1)  → User 1 or null
+ *   getById('products.json', 1, { withDeleted: true })  → also if in the trash
+ *
+ * @param {string} filename - Collection name
+ * @param {number|string} id - Record ID (string IDs from URLs are parsed)
+ * @param {Object} options - { withDeleted: true } to include trashed records
+ */
+const getAll = (filename) => adapter.getAll(filename).filter(notDeleted);
+
+const getById = (filename, id, { withDeleted = false } = {}) => {
+  const record = adapter.getById(filename, id);
+  return record && (withDeleted || notDeleted(record)) ? record : null;
+};
+
+/**
+ * ============================================
+ * CHECK REFERENCES - WHY: Never save a pointer to a record that isn't there
+ * ============================================
+ *
+ * EXAMPLE: create('orders.json', { userId: 99, ... }) with no live user 99
+ *   → ReferenceConstraintError 409 "userId 99 not found in users"
+ *
+ * @param {string} filename - Collection being written
+ * @param {Object} data - Record (create/restore) or fields being changed (update)
+ * @throws {ReferenceConstraintError} - If a referenced record is missing or trashed
+ */
+const checkReferences = (filename, data) => {
+  for (const relation of relations) {
+    if (relation.filename !== filename || !(relation.path[0] in data)) continue;
+
+    const missing = valuesAt(data, relation.path).find(id => !getById(relation.target, id));
+    if (missing !== undefined) {
+      throw new ReferenceConstraintError(
+        `${relation.field} ${missing} not found in ${label(relation.target)}`,
+        { field: relation.field, value: missing, target: label(relation.target) }
+      );
     }
-    
-    // Read file contents as UTF-8 text
-    const data = fs.readFileSync(filePath, 'utf-8');
-    
-    // Convert text to JavaScript object
-    // WHY: JSON.parse() transforms JSON string to usable objects
-    return data ? JSON.parse(data) : [];
-  } catch (error) {
-    console.error(`❌ Error reading ${filename}:`, error.message);
-    return [];
   }
 };
 
 /**
  * ============================================
- * WRITE FILE FUNCTION - WHY: Save data to disk
+ * ON DELETE - WHY: Apply the declared rules before a record goes away
  * ============================================
- * 
- * HOW: Takes data → Converts to JSON text → Writes to file
- * CONTROL FLOW:
- *   - Convert JavaScript object to JSON text
- *   - Write text to file
- *   - Return success/failure status
- * 
- * @param {string} filename - Name of the JSON file
- * @param {Array|Object} data - Data to write
- * @returns {boolean} - Success status
+ *
+ * HOW:
+ * 1. restrict: any referencing record → throw (checked first, so nothing
+ *    has been cascaded yet). On soft delete only live references for which
+ *    the relation's blockSoftDeleteWhen(record) is true count
+ * 2. cascade: trash (or purge) each referencing record - its own rules apply too
+ * 3. nullify: clear the reference, but only on purge
+ *
+ * WHY restrict is mostly about purge: A soft-deleted record stays in storage,
+ * so nothing points at a missing row - order history keeps working, and
+ * restore() checks references again before a trashed record comes back
+ * WHY nullify waits for purge: A trashed record can come back, and its
+ * references should still be there when it does
+ *
+ * @param {string} filename - Collection of the record being removed
+ * @param {number} id - Record ID
+ * @param {boolean} purging - true for purge(), false for soft delete
+ * @throws {ReferenceConstraintError} - If a restrict relation still has references
  */
-const writeFile = (filename, data) => {
-  try {
-    const filePath = path.join(dbDir, filename);
-    
-    // WHY: JSON.stringify() converts JavaScript to JSON text
-    // WHY: null, 2 = format with 2-space indentation for readability
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
-    return true;
-  } catch (error) {
-    console.error(`❌ Error writing to ${filename}:`, error.message);
-    return false;
+const applyOnDelete = (filename, id, purging) => {
+  const incoming = relations.filter(relation => relation.target === filename);
+
+  for (const relation of incoming.filter(({ onDelete }) => onDelete === 'restrict')) {
+    const records = referencing(relation, id, purging)
+      .filter(record => purging || Boolean(relation.blockSoftDeleteWhen && relation.blockSoftDeleteWhen(record)));
+    if (records.length > 0) {
+      throw new ReferenceConstraintError(
+        `Cannot delete: still referenced by ${records.length} ${label(relation.filename)}`,
+        { collection: label(relation.filename), field: relation.field, ids: records.map(record => record.id) }
+      );
+    }
+  }
+
+  for (const relation of incoming) {
+    for (const record of referencing(relation, id, purging)) {
+      if (relation.onDelete === 'cascade' && purging) {
+        removeRecord(relation.filename, record.id);
+      } else if (relation.onDelete === 'cascade') {
+        deleteRecord(relation.filename, record.id);
+      } else if (relation.onDelete === 'nullify' && purging) {
+        write(relation.filename, record, withoutReference(record, relation.path, id));
+      }
+    }
   }
 };
 
 /**
  * ============================================
- * GET ALL RECORDS - WHY: Retrieve all data
+ * CREATE / UPDATE / DELETE - WHY: Change records
  * ============================================
- * 
- * USAGE: getAll('users.json') → Returns all users
- * CONTROL FLOW: readFile() → Return array
- * 
- * @param {string} filename - Name of the JSON file
- * @returns {Array} - All records in file
+ *
+ * HOW: The adapter generates id/createdAt/updatedAt, merges updates
+ * (keeping id/createdAt) and enforces unique indexes
+ * WHY deleteRecord is soft: A mistaken DELETE can be undone with restore()
+ * WHY a transaction around delete: Cascaded deletes happen together or not at all
+ *
+ * @param {string} filename - Collection name
+ * @param {number|string} id - Record ID (update/deleteRecord)
+ * @param {Object} data - New record (create) or fields to merge (update)
+ * @param {Object} options - update only: { withDeleted: true } to change a trashed record
+ * @returns update → record or null if missing/trashed; deleteRecord → true if trashed now
+ * @throws {UniqueConstraintError} - If a unique indexed field is already taken
+ * @throws {ReferenceConstraintError} - If a relation would break (see RELATIONS)
  */
-const getAll = (filename) => {
-  return readFile(filename);
+const create = (filename, newRecord) => {
+  checkReferences(filename, newRecord);
+  return adapter.create(filename, { ...newRecord, version: 1 });
+};
+
+const update = (filename, id, updateData, { withDeleted = false } = {}) => {
+  const existing = getById(filename, id, { withDeleted });
+  if (!existing) return null;
+
+  checkReferences(filename, updateData);
+  return write(filename, existing, updateData);
+};
+
+const deleteRecord = (filename, id) => {
+  const existing = getById(filename, id);
+  if (!existing) return false;
+
+  return adapter.transaction(() => {
+    applyOnDelete(filename, id, false);
+    return Boolean(write(filename, existing, { deletedAt: new Date().toISOString() }));
+  });
+};
+
+// Permanent removal after the onDelete rules (purge + purge cascades)
+const removeRecord = (filename, id) => {
+  applyOnDelete(filename, id, true);
+  return adapter.deleteRecord(filename, id);
 };
 
 /**
  * ============================================
- * GET BY ID - WHY: Find one specific record
+ * TRASH: GET DELETED / RESTORE / PURGE - WHY: Manage soft-deleted records
  * ============================================
- * 
- * HOW: 
- * 1. Read all records from file
- * 2. Use .find() to search for matching ID
- * 3. Return matching record or null
- * 
- * CONTROL FLOW:
- *   - readFile() gets all data
- *   - Array.find() searches for id match
- *   - Return first match or null if not found
- * 
- * WHY parse(id): ID from URL is string, database IDs are numbers
- * 
- * @param {string} filename - Name of the JSON file
- * @param {number} id - Record ID to find
- * @returns {Object|null} - Found record or null
+ *
+ * USAGE:
+ *   getDeleted('users.json')    → Users in the trash
+ *   restore('users.json', 3)    → User 3 back (deletedAt cleared) or null if not trashed
+ *   purge('users.json', 3)      → true if user 3 was in the trash and is now gone for good
+ *
+ * WHY purge only trashed records: Permanent removal is always two steps
+ * WHY restore checks references: The record it points at may be trashed by now
+ *
+ * @param {string} filename - Collection name
+ * @param {number|string} id - Record ID
  */
-const getById = (filename, id) => {
-  const data = readFile(filename);
-  
-  // WHY: .find() returns first item matching condition
-  // WHY: parseInt(id) converts string ID to number for comparison
-  return data.find(item => item.id === parseInt(id)) || null;
+const getDeleted = (filename) => adapter.filter(filename, isDeleted);
+
+const restore = (filename, id) => {
+  const record = adapter.getById(filename, id);
+  if (!isDeleted(record)) return null;
+
+  checkReferences(filename, record);
+  return write(filename, record, { deletedAt: null });
+};
+
+const purge = (filename, id) => {
+  if (!isDeleted(adapter.getById(filename, id))) return false;
+  return adapter.transaction(() => removeRecord(filename, id));
 };
 
 /**
  * ============================================
- * CREATE NEW RECORD - WHY: Add data to file
+ * SEARCH / FIND / FILTER / COUNT - WHY: Query records
  * ============================================
- * 
- * HOW:
- * 1. Read existing records
- * 2. Calculate next ID (max current ID + 1)
- * 3. Add timestamps and ID to new record
- * 4. Add to array
- * 5. Write updated array back to file
- * 
- * CONTROL FLOW:
- *   - readFile() gets existing data
- *   - Math.max() finds highest ID
- *   - Spread operator adds new fields
- *   - writeFile() saves updated data
- * 
- * WHY timestamps: Track when records were created/modified
- * WHY auto-incrementing ID: Ensures unique IDs without database
- * 
- * @param {string} filename - Name of the JSON file
- * @param {Object} newRecord - Data for new record
- * @returns {Object} - Created record with ID and timestamps
+ *
+ * DIFFERENCE:
+ *   search('users.json', 'email', 'john')        → substring (john@a.com, johnny@b.com)
+ *   findBy('users.json', 'email', 'john@a.com')  → exact, uses index if defined
+ *   findOne(...)                                  → first exact match or null
+ *   filter('users.json', u => u.isActive)         → any JavaScript condition
+ *
+ * @param {string} filename - Collection name
+ * @param {string} field - Field to match
+ * @param {*} value - Value to match (case-insensitive)
  */
-const create = (filename, newRecord) => {
-  const data = readFile(filename);
-  
-  // WHY: Calculate next available ID
-  // If array empty, start at 1; otherwise, use max ID + 1
-  const id = data.length > 0 ? Math.max(...data.map(item => item.id || 0)) + 1 : 1;
-  
-  // Create record object with auto-generated fields
-  const record = {
-    id,                                           // Auto-generated unique ID
-    ...newRecord,                                 // Spread all user-provided fields
-    createdAt: new Date().toISOString(),         // When record was created
-    updatedAt: new Date().toISOString()          // When record was last updated
-  };
-  
-  // Add new record to array
-  data.push(record);
-  
-  // Save updated array to file
-  writeFile(filename, data);
-  
-  return record;
-};
+const search = (filename, field, value) => adapter.search(filename, field, value).filter(notDeleted);
+const findBy = (filename, field, value) => adapter.findBy(filename, field, value).filter(notDeleted);
+const findOne = (filename, field, value) => findBy(filename, field, value)[0] || null;
+const filter = (filename, filterFn) => adapter.filter(filename, record => notDeleted(record) && filterFn(record));
+const count = (filename) => adapter.count(filename) - getDeleted(filename).length;
 
 /**
  * ============================================
- * UPDATE RECORD - WHY: Modify existing data
+ * DEFINE INDEX - WHY: Declare fields that are looked up often
  * ============================================
- * 
- * HOW:
- * 1. Read all records
- * 2. Find index of record to update
- * 3. Merge old data with new data
- * 4. Update updatedAt timestamp
- * 5. Write back to file
- * 
- * CONTROL FLOW:
- *   - readFile() gets all data
- *   - findIndex() finds record position
- *   - Spread operator merges old + new fields
- *   - writeFile() saves changes
- * 
- * WHY keep id/createdAt: These shouldn't change during update
- * WHY update updatedAt: Track when last modification happened
- * 
- * @param {string} filename - Name of the JSON file
- * @param {number} id - ID of record to update
- * @param {Object} updateData - Fields to update
- * @returns {Object|null} - Updated record or null if not found
+ *
+ * USAGE (top of a route file):
+ *   db.defineIndex('users.json', 'email', { unique: true });
+ *
+ * @param {string} filename - Collection name
+ * @param {string} field - Record field to index
+ * @param {Object} options - { unique: boolean }
  */
-const update = (filename, id, updateData) => {
-  const data = readFile(filename);
-  
-  // WHY: findIndex() returns position, or -1 if not found
-  const index = data.findIndex(item => item.id === parseInt(id));
-  
-  // Return null if record doesn't exist
-  if (index === -1) return null;
-  
-  // WHY: Merge old data + new data, but preserve id/createdAt
-  data[index] = {
-    ...data[index],                              // Keep old fields
-    ...updateData,                               // Override with new fields
-    id: data[index].id,                          // Keep original ID
-    createdAt: data[index].createdAt,            // Keep original creation date
-    updatedAt: new Date().toISOString()          // Update modification timestamp
-  };
-  
-  // Save updated data to file
-  writeFile(filename, data);
-  
-  return data[index];
+const defineIndex = (filename, field, options) => {
+  declared.add(filename);
+  return adapter.defineIndex(filename, field, options);
 };
 
 /**
  * ============================================
- * DELETE RECORD - WHY: Remove data from file
+ * DEFINE RELATION - WHY: Declare which records point at which
  * ============================================
- * 
- * HOW:
- * 1. Read all records
- * 2. Filter out record with matching ID
- * 3. If length changed, something was deleted
- * 4. Write filtered array back to file
- * 
- * CONTROL FLOW:
- *   - readFile() gets all data
- *   - .filter() removes matching record
- *   - Write filtered data
- * 
- * WHY filter instead of splice: Prevents accidental mutations
- * 
- * @param {string} filename - Name of the JSON file
- * @param {number} id - ID of record to delete
- * @returns {boolean} - True if deleted, false if not found
+ *
+ * USAGE (top of a route/service file, next to defineIndex):
+ *   db.defineRelation('orders.json', 'userId', 'users.json', { onDelete: 'restrict' });
+ *   db.defineRelation('orders.json', 'items.productId', 'products.json');   // each item
+ *   db.defineRelation('sessions.json', 'userId', 'users.json', { onDelete: 'cascade' });
+ *   // restrict soft delete too, but only while the order is still open:
+ *   db.defineRelation('orders.json', 'userId', 'users.json', { blockSoftDeleteWhen: order => order.status === 'pending' });
+ *
+ * @param {string} filename - Collection holding the reference
+ * @param {string} field - Field with the referenced ID; dots walk into arrays
+ * @param {string} target - Collection the ID belongs to
+ * @param {Object} options - { onDelete: 'restrict' (default) | 'cascade' | 'nullify',
+ *   blockSoftDeleteWhen: (record) => boolean - restrict only; references that block a soft delete }
  */
-const deleteRecord = (filename, id) => {
-  const data = readFile(filename);
-  
-  // WHY: .filter() creates new array excluding matching ID
-  // This doesn't modify original array (safer than splice)
-  const filteredData = data.filter(item => item.id !== parseInt(id));
-  
-  // WHY: Compare lengths to check if anything was deleted
-  // If lengths are same, record wasn't found
-  if (filteredData.length === data.length) return false;
-  
-  // Save filtered data (without deleted record)
-  writeFile(filename, filteredData);
-  
-  return true;
+const defineRelation = (filename, field, target, { onDelete = 'restrict', blockSoftDeleteWhen = null } = {}) => {
+  if (!ON_DELETE_RULES.includes(onDelete)) {
+    throw new Error(`Unknown onDelete "${onDelete}". Use one of: ${ON_DELETE_RULES.join(', ')}`);
+  }
+  relations.push({ filename, field, path: field.split('.'), target, onDelete, blockSoftDeleteWhen });
+  declared.add(filename);
+  declared.add(target);
 };
 
 /**
  * ============================================
- * SEARCH RECORDS - WHY: Find records by field value
+ * TRANSACTION - WHY: Change several collections as one atomic step
  * ============================================
- * 
- * HOW:
- * 1. Read all records
- * 2. Filter records where field contains search value
- * 3. Case-insensitive search
- * 4. Return matching records
- * 
+ *
  * CONTROL FLOW:
- *   - readFile() gets all data
- *   - .filter() + .includes() searches field
- * 
- * WHY toLowerCase(): Case-insensitive search is user-friendly
- * WHY String(): Convert field value to string for searching
- * 
- * @param {string} filename - Name of the JSON file
- * @param {string} field - Field name to search (e.g., 'email')
- * @param {*} value - Value to search for
- * @returns {Array} - All matching records
+ *   db.transaction(tx => {
+ *     tx.update('products.json', 1, { stock: 4 });
+ *     return tx.create('orders.json', {...});
+ *   })
+ *   → Adapter opens a transaction → fn runs → commit (or rollback if fn throws)
+ *
+ * WHY tx is this module: Inside the callback every db function already
+ * takes part in the transaction; tx just makes that explicit at the call site
+ *
+ * WHY synchronous fn: Every database function is synchronous, so nothing else
+ * can run while the transaction is open. A Promise would escape the transaction.
+ *
+ * NESTED: db.transaction() inside another one is a savepoint - if the inner fn
+ * throws, only its writes are undone and the outer fn may catch and continue
+ * (utils/bulk.js applies every operation of a batch this way)
+ *
+ * @param {Function} fn - Receives the database API (tx) and returns a result
+ * @returns {*} - Whatever fn returned
  */
-const search = (filename, field, value) => {
-  const data = readFile(filename);
-  
-  return data.filter(item => {
-    // WHY: Safely handle missing fields. Convert undefined/null to empty string
-    const fieldValue = item[field] === undefined || item[field] === null ? '' : String(item[field]);
-    return fieldValue.toLowerCase().includes(String(value).toLowerCase());
+const transaction = (fn) => {
+  return adapter.transaction(() => {
+    const result = fn(module.exports);
+    if (result && typeof result.then === 'function') {
+      throw new Error('Transaction callback must be synchronous');
+    }
+    return result;
   });
 };
 
 /**
  * ============================================
- * FILTER RECORDS - WHY: Advanced filtering with conditions
+ * FLUSH / CLOSE - WHY: Drain on shutdown
  * ============================================
- * 
- * HOW:
- * 1. Read all records
- * 2. Apply custom filter function to each record
- * 3. Return records matching condition
- * 
- * CONTROL FLOW:
- *   - readFile() gets all data
- *   - .filter(filterFn) applies custom logic
- * 
- * WHY callback function: Allows flexible filtering logic
- * EXAMPLE: filter('users.json', u => u.isActive === true)
- * 
- * @param {string} filename - Name of the JSON file
- * @param {Function} filterFn - Function that returns true/false
- * @returns {Array} - Records where filterFn returned true
+ *
+ * CALLED BY: server.js on SIGINT/SIGTERM
  */
-const filter = (filename, filterFn) => {
-  const data = readFile(filename);
-  return data.filter(filterFn);
-};
+const flush = () => adapter.flush();
+const close = () => adapter.close();
+const sizes = () => adapter.sizes();
 
 /**
  * ============================================
- * COUNT RECORDS - WHY: Get total number of records
+ * COLLECTIONS / PROBE - WHY: Readiness checks every collection
  * ============================================
- * 
- * HOW: Read all records and return array length
- * CONTROL FLOW: readFile() → Return length
- * 
- * @param {string} filename - Name of the JSON file
- * @returns {number} - Total number of records
+ *
+ * HOW: Collections named by defineIndex/defineRelation (known before the
+ * first write) plus whatever the storage already holds, sorted
+ *
+ * @returns {Array<string>} - ['orders.json', 'products.json', ...]
  */
-const count = (filename) => {
-  return readFile(filename).length;
+const collections = () => [...new Set([...declared, ...Object.keys(sizes())])].sort();
+const probe = (filename) => adapter.probe(filename);
+
+/**
+ * ============================================
+ * METRICS - WHY: Slow collections show up before users complain
+ * ============================================
+ *
+ * HOW: timed('read', 'getAll', getAll) returns getAll, but every call is
+ * observed in db_operation_duration_seconds{operation, type, collection}
+ * WHY seconds at 0.1ms resolution: Cached reads take microseconds, file writes milliseconds
+ */
+const operationDuration = defineHistogram(
+  'db_operation_duration_seconds',
+  'Database operation latency in seconds (type: read or write)',
+  ['operation', 'type', 'collection'],
+  [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1]
+);
+
+const timed = (type, operation, fn) => (filename, ...args) => {
+  const end = startTimer();
+  try {
+    return fn(filename, ...args);
+  } finally {
+    operationDuration.observe({ operation, type, collection: label(filename) }, end());
+  }
 };
 
+defineGauge('db_collection_size_bytes', 'Storage used per collection (json: file size on disk, sqlite: bytes of stored JSON)', ['collection'],
+  () => Object.entries(sizes()).map(([filename, bytes]) => ({ labels: { collection: label(filename) }, value: bytes })));
+defineGauge('db_collection_records', 'Records per collection (without the trash)', ['collection'],
+  () => Object.keys(sizes()).map(filename => ({ labels: { collection: label(filename) }, value: count(filename) })));
+
 // ============================================
 // EXPORT ALL FUNCTIONS - WHY: Make available to routes
 // ============================================
 module.exports = {
-  readFile,      // Low-level: Read entire file
-  writeFile,     // Low-level: Write entire file
-  getAll,        // Get all records
-  getById,       // Get one record by ID
-  create,        // Create new record
-  update,        // Update entire record
-  deleteRecord,  // Delete record
-  search,        // Search by field value
-  filter,        // Filter by condition
-  count          // Get total count
+  adapter: adapter.name, // Which backend is active ('json' or 'sqlite')
+  readFile,      // Low-level: Read entire collection
+  writeFile,     // Low-level: Write entire collection
+  getAll: timed('read', 'getAll', getAll),                   // Get all records
+  getById: timed('read', 'getById', getById),                // Get one record by ID
+  create: timed('write', 'create', create),                  // Create new record
+  update: timed('write', 'update', update),                  // Update entire record
+  deleteRecord: timed('write', 'deleteRecord', deleteRecord), // Soft delete (sets deletedAt)
+  getDeleted: timed('read', 'getDeleted', getDeleted),       // Records in the trash
+  restore: timed('write', 'restore', restore),               // Take a record out of the trash
+  purge: timed('write', 'purge', purge),                     // Permanently remove a trashed record
+  search: timed('read', 'search', search),                   // Search by field value (substring)
+  findBy: timed('read', 'findBy', findBy),                   // Exact match by field (uses index if defined)
+  findOne: timed('read', 'findOne', findOne),                // First exact match or null
+  filter: timed('read', 'filter', filter),                   // Filter by condition
+  defineIndex,   // Declare a (unique) index on a field
+  defineRelation, // Declare a reference + onDelete rule
+  count: timed('read', 'count', count),                      // Get total count
+  sizes,         // Storage used per collection (bytes)
+  collections,   // Every known collection name (health checks)
+  probe,         // Throw unless a collection can be read and written
+  transaction,   // Run several writes all-or-nothing
+  versionOf,     // Current version of a record (ETag source)
+  flush,         // Write pending changes to storage now
+  close          // Flush and release resources (shutdown)
 };
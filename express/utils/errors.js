@@ -0,0 +1,183 @@
+/**
+ * =====================================================
+ * ERROR CLASSES - utils/errors.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - AppError is an Error that knows its HTTP status code
+ * - Specific errors (UniqueConstraintError, ...) extend AppError
+ * - Lower layers (database, services) throw them
+ * - Routes turn them into responses with response.sendError()
+ *
+ * WHY IT WORKS THIS WAY:
+ * - The database layer doesn't know about req/res, but still needs a way
+ *   to say "this is a conflict" rather than "something broke"
+ * - instanceof checks let routes react to one specific error type
+ * - err.status is the same property the global error handler in server.js reads
+ *
+ * CONTROL FLOW:
+ * db.create() detects duplicate → throw UniqueConstraintError
+ * → Route catch block → response.sendError() → 409 JSON response
+ */
+
+/**
+ * ============================================
+ * APP ERROR - WHY: Base class for expected errors
+ * ============================================
+ *
+ * @param {string} message - Human-readable error message
+ * @param {number} status - HTTP status code to respond with
+ * @param {*} details - Optional extra data for the client
+ */
+class AppError extends Error {
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;   // WHY: Stack traces show the real class
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * ============================================
+ * UNIQUE CONSTRAINT ERROR - WHY: Duplicate value in a unique index
+ * ============================================
+ *
+ * EXAMPLE: Creating a second user with email john@example.com
+ *   → new UniqueConstraintError('users.json', 'email', 'john@example.com')
+ *   → 409 "Email already exists"
+ *
+ * @param {string} filename - Collection the write targeted
+ * @param {string} field - Indexed field that clashed
+ * @param {*} value - The duplicate value
+ */
+class UniqueConstraintError extends AppError {
+  constructor(filename, field, value) {
+    // WHY capitalize: Reads as a sentence, e.g. "Email already exists"
+    super(`${field.charAt(0).toUpperCase()}${field.slice(1)} already exists`, 409, { field, value });
+    this.filename = filename;
+    this.field = field;
+    this.value = value;
+  }
+}
+
+/**
+ * ============================================
+ * UNAUTHORIZED ERROR - WHY: Missing, invalid or expired credentials
+ * ============================================
+ * 
+ * EXAMPLE: Request without an Authorization header to a protected route
+ *   → new UnauthorizedError('Authentication required')
+ *   → 401 (client should log in or refresh its token)
+ * 
+ * @param {string} message - What was wrong with the credentials
+ */
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+/**
+ * ============================================
+ * FORBIDDEN ERROR - WHY: Logged in, but not allowed to do this
+ * ============================================
+ * 
+ * EXAMPLE: A customer trying to change a product's price
+ *   → new ForbiddenError('Requires role: staff or admin')
+ *   → 403 (logging in again won't help, unlike 401)
+ * 
+ * @param {string} message - What is not allowed
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do this') {
+    super(message, 403);
+  }
+}
+
+/**
+ * ============================================
+ * INVALID TRANSITION ERROR - WHY: Order lifecycle step not allowed
+ * ============================================
+ *
+ * EXAMPLE: Shipping an order that is still pending
+ *   → new InvalidTransitionError('Cannot ship an order that is pending', { from: 'pending', action: 'ship' })
+ *   → 409 Conflict (the request is fine, the order's current state isn't)
+ *
+ * @param {string} message - Why the transition was refused
+ * @param {Object} details - { action, from, allowedFrom }
+ */
+class InvalidTransitionError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * ============================================
+ * INSUFFICIENT STOCK ERROR - WHY: Order asks for more than is available
+ * ============================================
+ * 
+ * EXAMPLE: Ordering 5 of a product with 3 available
+ *   → new InsufficientStockError([{ productId: 1, name: 'Laptop', requested: 5, available: 3 }])
+ *   → 409 "Insufficient stock" with every offending item in details
+ * 
+ * @param {Array} items - [{ productId, name, requested, available }]
+ */
+class InsufficientStockError extends AppError {
+  constructor(items) {
+    super('Insufficient stock', 409, items);
+    this.items = items;
+  }
+}
+
+/**
+ * ============================================
+ * REFERENCE CONSTRAINT ERROR - WHY: A write would break a declared relation
+ * ============================================
+ * 
+ * EXAMPLES (relations declared with db.defineRelation):
+ *   Deleting a user who still has open orders (onDelete: 'restrict')
+ *     → 409 "Cannot delete: still referenced by 2 orders"
+ *   Restoring an order whose user is in the trash
+ *     → 409 "userId 4 not found in users"
+ * 
+ * @param {string} message - What reference is in the way
+ * @param {Object} details - { collection, field, ids } or { field, value, target }
+ */
+class ReferenceConstraintError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * ============================================
+ * PRECONDITION FAILED ERROR - WHY: Record changed since the client read it
+ * ============================================
+ * 
+ * EXAMPLE: PUT /api/products/1 with If-Match: "3" while the product is at version 4
+ *   → new PreconditionFailedError('"4"')
+ *   → 412 (client should GET the product again and redo its change)
+ * 
+ * @param {string} etag - Current ETag of the record
+ */
+class PreconditionFailedError extends AppError {
+  constructor(etag) {
+    super('Record was changed by someone else; fetch it again and retry', 412, { etag });
+  }
+}
+
+// ============================================
+// EXPORT ERROR CLASSES - WHY: Throw in utils, check in routes
+// ============================================
+module.exports = {
+  AppError,                 // Any error with an HTTP status
+  UniqueConstraintError,    // Duplicate value in a unique index (409)
+  UnauthorizedError,        // Missing/invalid/expired credentials (401)
+  ForbiddenError,           // Authenticated but not allowed (403)
+  InvalidTransitionError,   // Order state change not allowed (409)
+  InsufficientStockError,   // Not enough available stock for an order (409)
+  ReferenceConstraintError, // Write would leave a dangling reference (409)
+  PreconditionFailedError   // If-Match doesn't match the current version (412)
+};
@@ -0,0 +1,99 @@
+/**
+ * =====================================================
+ * ETAGS & CONDITIONAL REQUESTS - utils/etag.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Every record has a version (utils/database.js); its ETag is that number
+ *   in quotes, e.g. version 4 → ETag: "4"
+ * - Single-record responses send the ETag header (setETag)
+ * - PUT/PATCH/DELETE with If-Match: the record's current ETag must be listed,
+ *   otherwise 412 Precondition Failed and nothing is written (checkIfMatch)
+ * - GET with If-None-Match: Express itself answers 304 Not Modified when the
+ *   ETag we set matches (res.json → req.fresh), so unchanged records aren't resent
+ *
+ * WHY IT WORKS THIS WAY:
+ * - db.update() is last-write-wins; If-Match turns "read, edit, save" into
+ *   "save only if nobody saved in between"
+ * - If-Match is optional: clients that don't send it keep working as before
+ * - The version is bumped by every write, so the ETag can't repeat for
+ *   different content (unlike a timestamp with millisecond resolution)
+ *
+ * CONTROL FLOW:
+ * GET /api/products/1               → 200, ETag: "3"
+ * PUT /api/products/1 If-Match: "3" → saved as version 4, ETag: "4"
+ * PUT /api/products/1 If-Match: "3" → 412 { details: { etag: "4" } }
+ * GET /api/products/1 If-None-Match: "4" → 304, empty body
+ */
+
+const { versionOf } = require('./database');
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * ETag value for a record
+ *
+ * @param {Object} record - Stored record
+ * @returns {string} - Quoted version, e.g. '"4"'
+ */
+const etagOf = (record) => `"${versionOf(record)}"`;
+
+/**
+ * ============================================
+ * SET ETAG - WHY: Let clients remember which version they saw
+ * ============================================
+ *
+ * WHY before res.json(): Express compares it with If-None-Match while sending
+ *
+ * @param {Object} res - Express response
+ * @param {Object} record - Record being returned
+ */
+const setETag = (res, record) => {
+  res.set('ETag', etagOf(record));
+};
+
+/**
+ * ============================================
+ * CHECK IF-MATCH - WHY: Refuse writes based on an outdated read
+ * ============================================
+ *
+ * HOW:
+ *   no If-Match header          → allowed
+ *   If-Match: *                 → allowed (record exists)
+ *   If-Match: "3", "4"          → allowed if the current ETag is listed
+ *   anything else (W/"4" too)   → PreconditionFailedError (412)
+ *
+ * WHY weak ETags never match: If-Match requires an exact (strong) comparison
+ *
+ * @param {Object} req - Express request
+ * @param {Object} record - Current stored record
+ * @throws {PreconditionFailedError} - If the record has changed
+ */
+const checkIfMatch = (req, record) => checkETag(req.get('If-Match'), record);
+
+/**
+ * Same check for an If-Match value that didn't come from a header
+ * EXAMPLE: { "op": "update", "id": 3, "ifMatch": "\"2\"" } in POST /bulk
+ *
+ * @param {string|undefined} header - If-Match value (missing → allowed)
+ * @param {Object} record - Current stored record
+ * @throws {PreconditionFailedError} - If the record has changed
+ */
+const checkETag = (header, record) => {
+  if (!header) return;
+
+  const current = etagOf(record);
+  const tags = header.split(',').map(tag => tag.trim());
+  if (!tags.includes('*') && !tags.includes(current)) {
+    throw new PreconditionFailedError(current);
+  }
+};
+
+// ============================================
+// EXPORT - WHY: Used by the single-record routes
+// ============================================
+module.exports = {
+  etagOf,        // Record → '"<version>"'
+  setETag,       // Send the ETag header (enables 304 on If-None-Match)
+  checkIfMatch,  // 412 unless If-Match names the current version
+  checkETag      // Same, for an If-Match value given in the body (bulk)
+};
@@ -0,0 +1,148 @@
+/**
+ * =====================================================
+ * HEALTH CHECKS - utils/health.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - GET /health/live: the process is up and answering (no dependencies checked)
+ * - GET /health/ready: every collection is probed - read from storage and
+ *   test-written (db.probe), with status and timing per check:
+ *     { "status": "ready", "checks": [{ "name": "storage", "collection": "users",
+ *       "status": "ok", "durationMs": 0.4 }, ...] }
+ *   Any failed check → 503 "not ready"; during graceful shutdown → 503 "shutting down"
+ * - GET /health (server.js) stays as it was for existing monitors
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Liveness failing means "restart me"; readiness failing means "send traffic
+ *   elsewhere". A full disk must not get the process restarted in a loop,
+ *   so only readiness looks at storage
+ * - Probes bypass the JSON adapter's cache: a corrupt file or an unwritable
+ *   /db folder is reported now, not when the next flush fails
+ * - 503 while shutting down: the load balancer stops sending new requests
+ *   while in-flight ones finish (config.health.shutdownDelayMs)
+ *
+ * CONTROL FLOW:
+ * GET /health/ready → shutting down? → 503
+ *   → db.collections() → db.probe() each (timed) → all ok? 200 : 503
+ *
+ * DATA FLOW:
+ * Adapter probe (throws or not) → { name, collection, status, durationMs, error } → JSON
+ */
+
+const db = require('./database');
+const { startTimer } = require('./metrics');
+
+// WHY module-level: server.js flips it once, on SIGINT/SIGTERM
+let shuttingDown = false;
+
+/**
+ * Mark the process as shutting down: /health/ready answers 503 from now on
+ * CALLED BY: server.js shutdown()
+ */
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+const isShuttingDown = () => shuttingDown;
+
+// Seconds → milliseconds, 2 decimals (same precision as the access log)
+const toMs = (seconds) => Math.round(seconds * 1e5) / 100;
+
+/**
+ * ============================================
+ * RUN CHECK - WHY: Same result shape for every check, pass or fail
+ * ============================================
+ *
+ * @param {Object} check - { name, ...labels } e.g. { name: 'storage', collection: 'users' }
+ * @param {Function} fn - Throws if the check fails
+ * @returns {Object} - { ...check, status: 'ok' | 'error', durationMs, error? }
+ */
+const runCheck = (check, fn) => {
+  const end = startTimer();
+  try {
+    fn();
+    return { ...check, status: 'ok', durationMs: toMs(end()) };
+  } catch (error) {
+    return { ...check, status: 'error', durationMs: toMs(end()), error: error.message };
+  }
+};
+
+/**
+ * ============================================
+ * STORAGE CHECKS - WHY: One check per collection, so the broken one is named
+ * ============================================
+ *
+ * HOW: List the collections (itself a check - an unreadable /db folder fails here),
+ * then probe each one
+ *
+ * @returns {Array<Object>} - Check results
+ */
+const storageChecks = () => {
+  let collections = [];
+  const listing = runCheck({ name: 'storage' }, () => {
+    collections = db.collections();
+  });
+  if (listing.status !== 'ok') return [listing];
+
+  return collections.map(filename => runCheck(
+    { name: 'storage', collection: filename.replace(/\.json$/, '') },
+    () => db.probe(filename)
+  ));
+};
+
+/**
+ * ============================================
+ * GET /health/live - Liveness probe
+ * ============================================
+ *
+ * WHY no checks: If this handler runs, the event loop is alive - that is all
+ * a restart would fix
+ *
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/health/live
+ */
+const liveness = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ status: 'alive', uptimeSeconds: Math.round(process.uptime()), timestamp: new Date() });
+};
+
+/**
+ * ============================================
+ * GET /health/ready - Readiness probe
+ * ============================================
+ *
+ * COMMAND FLOW EXAMPLE:
+ * curl -i http://localhost:3000/health/ready
+ *   → 200 { status: 'ready', checks: [...] }
+ *   → 503 { status: 'not ready', checks: [{ ..., status: 'error', error: 'EACCES: ...' }] }
+ */
+const readiness = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (shuttingDown) {
+    return res.status(503).json({ status: 'shutting down', checks: [], timestamp: new Date() });
+  }
+
+  const end = startTimer();
+  const checks = storageChecks();
+  const failed = checks.filter(check => check.status !== 'ok');
+  if (failed.length > 0) {
+    req.log.warn('Readiness check failed', { checks: failed });
+  }
+
+  res.status(failed.length > 0 ? 503 : 200).json({
+    status: failed.length > 0 ? 'not ready' : 'ready',
+    checks,
+    durationMs: toMs(end()),
+    timestamp: new Date()
+  });
+};
+
+// ============================================
+// EXPORT - WHY: Handlers for server.js, shutdown flag for shutdown()
+// ============================================
+module.exports = {
+  liveness,          // GET /health/live
+  readiness,         // GET /health/ready
+  markShuttingDown,  // Readiness → 503 from now on
+  isShuttingDown     // Has shutdown started?
+};
@@ -0,0 +1,443 @@
+/**
+ * =====================================================
+ * IMPORT / EXPORT - utils/importExport.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - GET /api/<resource>/export?format=csv|ndjson downloads every record that
+ *   matches the list filters (same query language as GET /api/<resource>)
+ * - POST /api/<resource>/import takes that file back (CSV or NDJSON):
+ *     row with an id    → update that record (version column → If-Match)
+ *     row without an id → create
+ * - Columns are matched to fields by name; ?map[Product Name]=name renames
+ *   a column, ?map[Notes]= skips one. createdAt/updatedAt and read-only
+ *   fields (inStock, status, ...) are ignored, so an export imports as-is
+ * - Every row is validated and applied like a /bulk operation (utils/bulk.js):
+ *   same schemas, same create/update functions, a savepoint per row
+ * - ?dryRun=true runs everything and rolls it back: the report shows what
+ *   would happen without saving anything
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Exports are streamed line by line instead of built as one big string
+ * - Errors name the file's line number ({ row: 7 }) and the column, so the
+ *   spreadsheet can be fixed and uploaded again
+ * - Reusing the bulk engine means an import can't bypass a rule the API
+ *   enforces (stock reservations, unique emails, who may edit an order)
+ * - An empty cell means "not given": default on create, unchanged on update
+ *
+ * CONTROL FLOW:
+ * export: validateQuery → spec.find(req) → header + one line per record → stream
+ * import: parse file → map columns → row → checkOperation() → execute() → report
+ *
+ * DATA FLOW:
+ * "id,name,price\n3,Desk,120" → { row: 2, values: { id: '3', name: 'Desk', price: '120' } }
+ *   → { op: 'update', id: '3', data: { name: 'Desk', price: '120' } } → validated → db.update()
+ */
+
+const { Readable } = require('stream');
+const config = require('../config').bulk;
+const db = require('./database');
+const response = require('./responseHandler');
+const { validate } = require('./validator');
+const { BOM, toCsvRow, fromCell, parseCsv } = require('./csv');
+const { REPORT_SCHEMA, checkOperation, execute, statusOf, withDefaults } = require('./bulk');
+const { defineSchema } = require('./openapi');
+
+const FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Fields the database manages: exported, but ignored on import
+const RECORD_COLUMNS = ['createdAt', 'updatedAt', 'deletedAt'];
+
+// Schema types that travel as JSON inside a CSV cell
+const JSON_TYPES = ['array', 'object'];
+
+const IMPORT_QUERY = {
+  format: { type: 'string', enum: FORMATS, description: 'Default: from Content-Type, else csv' },
+  dryRun: { type: 'boolean', description: 'Run every row, then roll everything back' },
+  atomic: { type: 'boolean', description: 'All rows or none' },
+  map:    { type: 'object', description: "map[Column]=field renames a column, map[Column]= skips it" }
+};
+
+// REPORT (API docs) - WHY: The /bulk report plus what the import read
+defineSchema('ImportReport', {
+  dryRun:         { type: 'boolean' },
+  format:         { type: 'string', enum: FORMATS },
+  ignoredColumns: { type: 'array', items: { type: 'string' }, description: 'Skipped, read-only or record-managed columns' },
+  ...REPORT_SCHEMA
+}, { record: false });
+
+// Schema of a spec (may depend on the caller, like validateBody)
+const schemaOf = (spec, req) => (typeof spec.schema === 'function' ? spec.schema(req) : spec.schema);
+
+/**
+ * ============================================
+ * EXPORT COLUMNS - WHY: The same columns the import understands
+ * ============================================
+ *
+ * HOW: ?fields= if given (id always first), else id, every schema field
+ * except spec.hidden, then version, createdAt, updatedAt
+ *
+ * @param {Object} spec - Resource spec
+ * @param {Object} req - Express request (req.listQuery.fields)
+ * @returns {Array<string>}
+ */
+const exportColumns = (spec, req) => {
+  const hidden = spec.hidden || [];
+  const fields = req.listQuery.fields
+    || Object.keys(schemaOf(spec, req)).filter(field => !hidden.includes(field)).concat('version', 'createdAt', 'updatedAt');
+  return ['id', ...fields.filter(field => field !== 'id')];
+};
+
+/**
+ * Value of one column (version: records saved before versions count as 1)
+ */
+const columnValue = (record, column) => (column === 'version' ? db.versionOf(record) : record[column]);
+
+/**
+ * Lines of the export file, one at a time
+ * WHY a generator: The response is written while records are formatted
+ *
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Array} records - Records as the client sees them (present())
+ * @param {Array} columns - Column names
+ */
+const exportLines = function* (format, records, columns) {
+  if (format === 'csv') {
+    yield `${BOM}${toCsvRow(columns)}\r\n`;
+    for (const record of records) {
+      yield `${toCsvRow(columns.map(column => columnValue(record, column)))}\r\n`;
+    }
+    return;
+  }
+  for (const record of records) {
+    yield `${JSON.stringify(Object.fromEntries(columns.map(column => [column, columnValue(record, column) ?? null])))}\n`;
+  }
+};
+
+/**
+ * ============================================
+ * EXPORT HANDLER - WHY: One GET /export for every resource
+ * ============================================
+ *
+ * USAGE (after validateQuery, so filters/sort/fields are checked):
+ *   router.get('/export', staffOnly, validateQuery(EXPORT_QUERY), exportHandler({
+ *     ...PRODUCT_RESOURCE, find: (req) => findProducts(req.listQuery)
+ *   }));
+ *
+ * SPEC (on top of the bulk spec):
+ *   find(req)  Every matching record, sorted (the list route's own lookup)
+ *   hidden     Schema fields never exported (e.g. passwordHash)
+ *
+ * WHY page/limit/after/before are ignored: An export is the whole result
+ *
+ * @param {Object} spec - Resource spec
+ * @returns {Function} - Express handler
+ */
+const exportHandler = (spec) => {
+  const resource = withDefaults(spec);
+
+  const handler = (req, res) => {
+    try {
+      const format = req.query.format === undefined ? 'csv' : String(req.query.format).toLowerCase();
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json(response.error('Invalid query', 400, [{ field: 'format', message: `format must be one of: ${FORMATS.join(', ')}` }]));
+      }
+
+      const records = resource.find(req).map(resource.present);
+      const columns = exportColumns(resource, req);
+      const name = resource.filename.replace(/\.json$/, '');
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set('Content-Type', CONTENT_TYPES[format]);
+      res.set('Content-Disposition', `attachment; filename="${name}-${date}.${format}"`);
+      Readable.from(exportLines(format, records, columns))
+        .on('error', () => res.destroy())
+        .pipe(res);
+    } catch (error) {
+      response.sendError(res, error, `Failed to export ${resource.label.toLowerCase()}s`);
+    }
+  };
+  handler.openapi = {
+    queryRules: { format: { type: 'string', enum: FORMATS, description: 'Default: csv' } },
+    download: Object.values(CONTENT_TYPES).map(type => type.split(';')[0])
+  };
+  return handler;
+};
+
+/**
+ * Read a CSV file: first row = column names
+ *
+ * @param {string} text - File content
+ * @returns {{ columns: Array, rows: Array<{ line, values, errors }> }}
+ */
+const readCsv = (text) => {
+  const { rows, error } = parseCsv(text);
+  if (rows.length === 0) return { columns: [], rows: [] };
+
+  const [header, ...body] = rows;
+  const columns = header.cells.map(cell => cell.trim());
+  const read = body.map(({ line, cells }) => {
+    if (cells.length !== columns.length) {
+      return { line, values: {}, errors: [{ field: 'row', message: `row has ${cells.length} cells, the header has ${columns.length}` }] };
+    }
+    return { line, values: Object.fromEntries(columns.map((column, i) => [column, fromCell(cells[i])])), errors: [] };
+  });
+  // WHY a row error: Everything after an unclosed quote is part of that one cell
+  if (error) read.push({ line: error.line, values: {}, errors: [{ field: 'row', message: error.message }] });
+  return { columns, rows: read };
+};
+
+/**
+ * Read an NDJSON file: one JSON object per line, columns = every key seen
+ *
+ * @param {string} text - File content
+ * @returns {{ columns: Array, rows: Array<{ line, values, errors }> }}
+ */
+const readNdjson = (text) => {
+  const columns = new Set();
+  const rows = [];
+  (text.startsWith(BOM) ? text.slice(1) : text).split(/\r?\n/).forEach((content, i) => {
+    if (content.trim() === '') return;
+    const line = i + 1;
+    let values;
+    try {
+      values = JSON.parse(content);
+    } catch (error) {
+      values = undefined;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      rows.push({ line, values: {}, errors: [{ field: 'row', message: 'row must be a JSON object' }] });
+      return;
+    }
+    Object.keys(values).forEach(key => columns.add(key));
+    rows.push({ line, values, errors: [] });
+  });
+  return { columns: [...columns], rows };
+};
+
+/**
+ * ============================================
+ * MAP COLUMNS - WHY: Files from other tools rarely use our field names
+ * ============================================
+ *
+ * HOW: column → ?map[column] if given, else the column name itself
+ *   ''                            → skipped
+ *   id / version                  → which record / expected version
+ *   createdAt, read-only fields   → ignored (present in every export)
+ *   schema field                  → imported
+ *   anything else                 → error (a typo never silently drops data)
+ *
+ * @param {Object} schema - Resource schema
+ * @param {Array} columns - Column names from the file
+ * @param {Object} map - ?map[column]=field
+ * @returns {{ targets: Object, ignored: Array, errors: Array }} - targets = { column: field }
+ */
+const mapColumns = (schema, columns, map) => {
+  const targets = {};
+  const ignored = [];
+  const errors = [];
+
+  for (const [column, field] of Object.entries(map)) {
+    if (typeof field !== 'string') {
+      errors.push({ field: `map[${column}]`, message: `map[${column}] must be a field name` });
+    } else if (!columns.includes(column)) {
+      errors.push({ field: `map[${column}]`, message: `map[${column}] names a column that is not in the file` });
+    }
+  }
+
+  const used = new Set();
+  columns.forEach((column, i) => {
+    const field = (typeof map[column] === 'string' ? map[column] : column).trim();
+    if (columns.indexOf(column) !== i) {
+      errors.push({ field: column, message: `column '${column}' appears more than once` });
+    } else if (field === '' || RECORD_COLUMNS.includes(field) || (schema[field] && schema[field].readOnly)) {
+      ignored.push(column);
+    } else if (field !== 'id' && field !== 'version' && !schema[field]) {
+      errors.push({ field: column, message: `column '${column}' is not a known field (map it with map[${column}]=<field>, or map[${column}]= to skip it)` });
+    } else if (used.has(field)) {
+      errors.push({ field: column, message: `column '${column}' maps to ${field}, which another column already sets` });
+    } else {
+      used.add(field);
+      targets[column] = field;
+    }
+  });
+
+  return { targets, ignored, errors };
+};
+
+/**
+ * Same value as stored? (CSV cells are text: '2' matches 2)
+ */
+const sameValue = (stored, value) => (
+  typeof value === 'object' ? JSON.stringify(stored) === JSON.stringify(value) : String(stored) === String(value)
+);
+
+/**
+ * Does spec.authorize() let this user at the record?
+ * WHY: Diffing against someone else's record would tell, cell by cell, which values match
+ */
+const mayAccess = (spec, req, record) => {
+  try {
+    spec.authorize(record, req);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * ============================================
+ * TO OPERATION - WHY: A row becomes a checked bulk operation
+ * ============================================
+ *
+ * HOW:
+ * 1. Row errors (cell count, bad JSON line) → failed operation, nothing else checked
+ * 2. Mapped cells → { op, id, ifMatch, data }; empty cells left out;
+ *    array/object fields (order items) parsed from JSON
+ * 3. Update rows drop every field that still holds the stored value (only for
+ *    records spec.authorize() allows; others fail with its 403 when applied)
+ *    WHY: Re-importing an unchanged export must not bump versions (ETags other
+ *    clients hold would fail with 412), and an exported order carries its
+ *    userId/items, which are createOnly. A row with nothing left is reported
+ *    ok (200) without writing (runOperation in utils/bulk.js)
+ * 4. checkOperation() validates data with the resource schema, errors named
+ *    by field without a 'data.' prefix
+ *
+ * @returns {Object} - Checked operation with ref { row: line }
+ */
+const toOperation = (spec, req, schema, targets, { line, values, errors }) => {
+  const ref = { row: line };
+  if (errors.length > 0) return { ref, errors };
+
+  const raw = { data: {} };
+  const cellErrors = [];
+  for (const [column, field] of Object.entries(targets)) {
+    let value = values[column];
+    if (value === undefined || value === null) continue;
+
+    if (field === 'id') {
+      raw.id = value;
+    } else if (field === 'version') {
+      raw.ifMatch = value;
+    } else {
+      if (typeof value === 'string' && JSON_TYPES.includes(schema[field].type)) {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          cellErrors.push({ field, message: `${field} must be valid JSON` });
+          continue;
+        }
+      }
+      raw.data[field] = value;
+    }
+  }
+
+  raw.op = raw.id === undefined ? 'create' : 'update';
+  if (cellErrors.length > 0) return { ref, op: raw.op, id: raw.id, errors: cellErrors };
+
+  if (raw.op === 'create') {
+    delete raw.ifMatch;   // WHY: A new record has no version to match
+  } else {
+    const stored = db.getById(spec.filename, parseInt(raw.id, 10));
+    if (stored && mayAccess(spec, req, stored)) {
+      raw.data = Object.fromEntries(Object.entries(raw.data).filter(([field, value]) => !sameValue(stored[field], value)));
+    }
+  }
+  return checkOperation(spec, req, raw, ref, '');
+};
+
+/**
+ * ============================================
+ * IMPORT HANDLER - WHY: One POST /import for every resource
+ * ============================================
+ *
+ * USAGE (same spec as bulkHandler, same access rules):
+ *   router.post('/import', staffOnly, importHandler(PRODUCT_RESOURCE));
+ *
+ * REQUEST:
+ *   Body: the file (Content-Type text/csv or application/x-ndjson)
+ *   ?format=csv|ndjson   overrides the Content-Type
+ *   ?map[Column]=field   rename a column; ?map[Column]= to skip it
+ *   ?dryRun=true         validate and run, then roll everything back
+ *   ?atomic=true         all rows or none (like /bulk)
+ *
+ * RESPONSE EXAMPLE (207, one row failed):
+ *   { "data": { "dryRun": false, "format": "csv", "ignoredColumns": ["inStock", "createdAt"],
+ *       "atomic": false, "applied": true, "total": 2, "succeeded": 1, "failed": 1, "results": [
+ *       { "row": 2, "op": "update", "id": 3, "ok": true, "status": 200, "data": { ... } },
+ *       { "row": 3, "op": "create", "ok": false, "status": 400,
+ *         "error": { "message": "Validation Error", "details": [{ "field": "price", "message": "price must be a number" }] } } ] } }
+ *
+ * @param {Object} spec - Resource spec (see bulkHandler in utils/bulk.js)
+ * @returns {Function} - Express handler
+ */
+const importHandler = (spec) => {
+  const resource = withDefaults(spec);
+
+  const handler = (req, res) => {
+    try {
+      const { value: options, errors } = validate(IMPORT_QUERY, req.query);
+      if (errors.length > 0) {
+        return res.status(400).json(response.error('Invalid query', 400, errors));
+      }
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json(response.error('Validation Error', 400, [
+          { field: 'body', message: 'Send the file as text/csv or application/x-ndjson' }
+        ]));
+      }
+
+      const format = options.format || (req.is('application/x-ndjson', 'application/ndjson') ? 'ndjson' : 'csv');
+      const { columns, rows } = format === 'csv' ? readCsv(req.body) : readNdjson(req.body);
+      if (rows.length === 0) {
+        return res.status(400).json(response.error('Validation Error', 400, [{ field: 'body', message: 'The file has no rows to import' }]));
+      }
+      if (rows.length > config.maxOperations) {
+        return res.status(400).json(response.error('Validation Error', 400, [
+          { field: 'body', message: `The file has ${rows.length} rows; at most ${config.maxOperations} can be imported at once` }
+        ]));
+      }
+
+      const schema = schemaOf(resource, req);
+      const { targets, ignored, errors: columnErrors } = mapColumns(schema, columns, options.map || {});
+      if (columnErrors.length > 0) {
+        return res.status(400).json(response.error('Unknown columns', 400, columnErrors));
+      }
+
+      const dryRun = options.dryRun === true;
+      const operations = rows.map(row => toOperation(resource, req, schema, targets, row));
+      const summary = execute(resource, req, operations, { atomic: options.atomic === true, dryRun });
+
+      let message;
+      if (dryRun) {
+        message = `Dry run: ${summary.succeeded} of ${summary.total} rows would be imported, nothing was saved`;
+      } else {
+        message = summary.failed === 0 ? 'Import applied' : `Import applied with ${summary.failed} failure(s)`;
+      }
+      const status = statusOf(summary);
+      res.status(status).json(response.success({ dryRun, format, ignoredColumns: ignored, ...summary }, message, status));
+    } catch (error) {
+      response.sendError(res, error, `Failed to import ${resource.label.toLowerCase()}s`);
+    }
+  };
+  handler.openapi = {
+    queryRules: IMPORT_QUERY,
+    upload: ['text/csv', 'application/x-ndjson'],
+    returns: 'ImportReport',
+    statuses: [207],
+    errors: [409, 412]
+  };
+  return handler;
+};
+
+// ============================================
+// EXPORT - WHY: Used by the /export and /import routes of each resource
+// ============================================
+module.exports = {
+  exportHandler,   // Spec → GET /export handler (CSV / NDJSON download)
+  importHandler    // Spec → POST /import handler (parse, map, validate, apply or dry run)
+};
@@ -0,0 +1,160 @@
+/**
+ * =====================================================
+ * STRUCTURED LOGGER - utils/logger.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - logger.info('Order placed', { orderId: 7 }) writes ONE JSON line to stdout:
+ *     {"time":"2024-06-01T10:00:00.000Z","level":"info","msg":"Order placed","orderId":7}
+ * - Levels: debug < info < warn < error; lines below LOG_LEVEL are skipped
+ *   (LOG_LEVEL=silent turns logging off)
+ * - requestLogger middleware gives every request an ID and writes one
+ *   access line when the response is finished:
+ *     {"level":"info","msg":"request","requestId":"…","method":"GET","path":"/api/products",
+ *      "status":200,"durationMs":3.2,"user":{"id":1,"role":"admin"}}
+ * - Fields named like LOG_REDACT (email, phone, password, tokens, ...) are
+ *   replaced with "[REDACTED]" at any depth before the line is written
+ *
+ * WHY IT WORKS THIS WAY:
+ * - JSON lines: log shippers (Loki, CloudWatch, ELK) index fields without parsing text
+ * - X-Request-Id: a proxy or client may send one; otherwise we generate it.
+ *   It is echoed in the response header and body, so a user reporting an
+ *   error can quote the ID that finds every line of that request
+ * - Redaction by field name, not by value: cheap, and catches the field
+ *   wherever a caller puts it (query, details, user objects)
+ * - req.log = logger.child({ requestId }): lines a route writes carry the ID
+ *   without the route passing it around
+ *
+ * CONTROL FLOW:
+ * request → requestLogger (ID, header, req.log, start timer) → routes → response
+ *   → 'finish' → access line (error for 5xx, warn for 4xx, info otherwise)
+ *
+ * DATA FLOW:
+ * logger.warn(msg, fields) → level check → redact(fields) → JSON.stringify → stdout
+ */
+
+const crypto = require('crypto');
+const config = require('../config').logging;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// WHY a Set of lowercase names: Match 'Email', 'email' and 'EMAIL' alike
+const REDACTED_FIELDS = new Set(config.redact.map(name => name.toLowerCase()));
+const REDACTED = '[REDACTED]';
+
+// WHY fallback: A typo in LOG_LEVEL shouldn't silence (or flood) the logs
+const threshold = LEVELS[config.level] || LEVELS.info;
+
+// Accepted incoming request IDs - WHY: Don't copy arbitrary header text into every log line
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * ============================================
+ * REDACT - WHY: Logs are read by more people than the database is
+ * ============================================
+ *
+ * EXAMPLES:
+ *   { email: 'a@b.com', id: 1 } → { email: '[REDACTED]', id: 1 }
+ *   { details: [{ field: 'phone', value: '555...' }] } → nested objects redacted too
+ *   new Error('x') → { name, message, stack }
+ *
+ * @param {*} value - Anything passed as log fields
+ * @param {number} depth - Stops at 6 levels (and on circular structures)
+ * @returns {*} - Copy that is safe to write
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.status && { status: value.status }), stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 6) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+/**
+ * Write one line if the level is enabled
+ *
+ * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+ * @param {string} msg - What happened (stable text, details go in fields)
+ * @param {Object} fields - Extra fields (redacted)
+ */
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold) return;
+  const line = { time: new Date().toISOString(), level, msg, ...redact(fields) };
+  process.stdout.write(`${JSON.stringify(line)}\n`);
+};
+
+/**
+ * Logger with fields added to every line (e.g. the request ID)
+ *
+ * @param {Object} bound - Fields for every line
+ * @returns {Object} - { debug, info, warn, error, child }
+ */
+const createLogger = (bound = {}) => ({
+  debug: (msg, fields) => write('debug', msg, { ...bound, ...fields }),
+  info: (msg, fields) => write('info', msg, { ...bound, ...fields }),
+  warn: (msg, fields) => write('warn', msg, { ...bound, ...fields }),
+  error: (msg, fields) => write('error', msg, { ...bound, ...fields }),
+  child: (fields) => createLogger({ ...bound, ...fields })
+});
+
+const logger = createLogger();
+
+/**
+ * ============================================
+ * REQUEST LOGGER - WHY: One line per request, findable by its ID
+ * ============================================
+ *
+ * HOW:
+ * 1. Take X-Request-Id from the request if it looks like an ID, else a new UUID
+ * 2. req.id, req.log and the X-Request-Id response header
+ * 3. On 'finish': method, path, status, latency and user (set by authenticate)
+ *    On 'close' without 'finish': the client went away before the answer
+ *
+ * WHY path without the query string: The query is logged as an object
+ * instead, so parameters like ?email= are redacted by name
+ *
+ * Position: FIRST middleware in server.js (so even body parse errors are logged)
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  const fields = (status) => ({
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ...(Object.keys(req.query || {}).length > 0 && { query: req.query }),
+    ...(status && { status }),
+    durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+    user: req.user ? { id: req.user.id, role: req.user.role } : null
+  });
+
+  let finished = false;
+  res.on('finish', () => {
+    finished = true;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('request', fields(res.statusCode));
+  });
+  res.on('close', () => {
+    if (!finished) req.log.warn('request aborted', fields());
+  });
+  next();
+};
+
+// ============================================
+// EXPORT - WHY: logger everywhere, requestLogger in server.js
+// ============================================
+module.exports = {
+  logger,          // logger.info(msg, fields) / .child({ ... })
+  requestLogger,   // Middleware: request ID, req.log, access line
+  redact           // Fields → copy with sensitive values replaced
+};
@@ -0,0 +1,285 @@
+/**
+ * =====================================================
+ * METRICS - utils/metrics.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Modules declare their metrics once, at load (like db.defineIndex):
+ *     const requests = defineCounter('http_requests_total', 'HTTP requests', ['method', 'route', 'status']);
+ *     requests.inc({ method: 'GET', route: '/api/products', status: 200 });
+ * - Three kinds:
+ *     counter    only goes up (requests served)
+ *     histogram  counts observations per bucket + sum (latency)
+ *     gauge      read at scrape time by a collect() function (orders by status)
+ * - GET /metrics renders all of them in the Prometheus text format
+ *
+ * WHY IT WORKS THIS WAY:
+ * - No client library: the text format is simple, and the store has no
+ *   other dependency besides Express
+ * - Gauges are computed when Prometheus scrapes (every 15-60s), not on
+ *   every write - the numbers come from the same indexes the routes use
+ * - Route labels are templates ('/api/products/:id'), never raw URLs,
+ *   so the number of series stays small (one per route, not per product)
+ *
+ * CONTROL FLOW:
+ * request → requestMetrics → 'finish' → counter + histogram
+ * db.getAll() → database.js timed() → histogram
+ * GET /metrics → every metric renders its lines (gauges run collect()) → text
+ *
+ * DATA FLOW:
+ * Metric values (memory) → render() → "name{label=\"value\"} 42" lines → Prometheus
+ */
+
+const crypto = require('crypto');
+const config = require('../config').metrics;
+
+// ============================================
+// REGISTRY - WHY: /metrics renders everything declared here, in declaration order
+// ============================================
+const registry = new Map();   // name → { render() }
+
+// Seconds - WHY these: From a cached read (~0.1ms) to a slow import (10s)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * { method: 'GET', status: 200 } → '{method="GET",status="200"}' ('' when empty)
+ */
+const formatLabels = (labels) => {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+};
+
+/**
+ * Label values in declared order → Map key
+ * WHY declared order: { a, b } and { b, a } must be the same series
+ */
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+// WHY: Prometheus prints +Inf / NaN in its own spelling
+const formatValue = (value) => (value === Infinity ? '+Inf' : Number.isNaN(value) ? 'NaN' : String(value));
+
+const header = (name, help, type) => `# HELP ${name} ${help.replace(/\n/g, ' ')}\n# TYPE ${name} ${type}`;
+
+/**
+ * Register a metric; the same name twice is a programming error
+ */
+const register = (name, metric) => {
+  if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Invalid metric name "${name}"`);
+  if (registry.has(name)) throw new Error(`Metric "${name}" is already defined`);
+  registry.set(name, metric);
+  return metric;
+};
+
+/**
+ * ============================================
+ * COUNTER - WHY: Totals that only go up (Prometheus computes rates)
+ * ============================================
+ *
+ * @param {string} name - e.g. 'http_requests_total'
+ * @param {string} help - One line shown by Prometheus
+ * @param {Array<string>} labelNames - e.g. ['method', 'route', 'status']
+ * @returns {Object} - { inc(labels, value = 1) }
+ */
+const defineCounter = (name, help, labelNames = []) => {
+  const values = new Map();
+  return register(name, {
+    inc: (labels = {}, value = 1) => {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+    render: () => [header(name, help, 'counter')]
+      .concat([...values].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatValue(value)}`))
+      .join('\n')
+  });
+};
+
+/**
+ * ============================================
+ * HISTOGRAM - WHY: Latency percentiles without keeping every sample
+ * ============================================
+ *
+ * HOW: Each observation increments every bucket it fits in (le = "less or equal"),
+ * plus _sum and _count; Prometheus estimates p50/p95/p99 from the buckets
+ *
+ * @param {string} name - e.g. 'http_request_duration_seconds'
+ * @param {string} help - One line shown by Prometheus
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds in seconds, ascending
+ * @returns {Object} - { observe(labels, seconds) }
+ */
+const defineHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();   // key → { counts: [per bucket], sum, count }
+  return register(name, {
+    observe: (labels, seconds) => {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+    render: () => {
+      const lines = [header(name, help, 'histogram')];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = labelsOf(labelNames, key);
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    }
+  });
+};
+
+/**
+ * ============================================
+ * GAUGE - WHY: Current values, computed from the data when scraped
+ * ============================================
+ *
+ * USAGE:
+ *   defineGauge('store_orders', 'Orders by status', ['status'],
+ *     () => ORDER_STATUSES.map(status => ({ labels: { status }, value: count(status) })));
+ *   defineGauge('store_products_low_stock', 'Products low on stock', [], () => lowStock().length);
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - One line shown by Prometheus
+ * @param {Array<string>} labelNames - Label names
+ * @param {Function} collect - () → number, or [{ labels, value }]
+ * WHY a failing collect() doesn't break /metrics: the other metrics still matter
+ * (the gauge is left out and metrics_collect_errors_total goes up)
+ */
+const defineGauge = (name, help, labelNames, collect) => register(name, {
+  render: () => {
+    let samples;
+    try {
+      const result = collect();
+      samples = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+    } catch (error) {
+      collectErrors.inc({ metric: name });
+      return null;
+    }
+    return [header(name, help, 'gauge')]
+      .concat(samples.map(({ labels = {}, value }) => `${name}${formatLabels(
+        Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']))
+      )} ${formatValue(value)}`))
+      .join('\n');
+  }
+});
+
+const collectErrors = defineCounter('metrics_collect_errors_total', 'Gauges whose collect() threw during a scrape', ['metric']);
+
+/**
+ * Start a timer: const end = startTimer(); ...; end() → seconds elapsed
+ */
+const startTimer = () => {
+  const started = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - started) / 1e9;
+};
+
+/**
+ * All metrics in the text exposition format (version 0.0.4)
+ */
+const render = () => `${[...registry.values()].map(metric => metric.render()).filter(Boolean).join('\n')}\n`;
+
+// ============================================
+// HTTP METRICS - WHY: Traffic, errors and latency per route
+// ============================================
+const httpRequests = defineCounter('http_requests_total', 'HTTP requests by method, route template and status', ['method', 'route', 'status']);
+const httpDuration = defineHistogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route', 'status']);
+
+/**
+ * ============================================
+ * REQUEST METRICS - WHY: Count and time every response
+ * ============================================
+ *
+ * HOW: On 'finish', label with the route TEMPLATE Express matched
+ *   /api/products/42 → '/api/products/:id'
+ *   no route matched (404s, static files) → 'unmatched'
+ *
+ * WHY the template is stored when Express sets req.route: An error passed to
+ * next(err) leaves the router, which resets req.baseUrl - read on 'finish',
+ * a failed GET /api/products/42 would be labelled '/:id'
+ *
+ * Position: Before the routes in server.js
+ */
+const requestMetrics = (req, res, next) => {
+  const end = startTimer();
+  let matched;
+  let route = 'unmatched';
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set: (value) => {
+      matched = value;
+      route = `${req.baseUrl}${value.path === '/' ? '' : value.path}` || '/';
+    }
+  });
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route, status: res.statusCode };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, end());
+  });
+  next();
+};
+
+// ============================================
+// PROCESS METRICS - WHY: Memory leaks and restarts show up here first
+// ============================================
+defineGauge('process_uptime_seconds', 'Seconds since the process started', [], () => process.uptime());
+defineGauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage().rss);
+defineGauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes', [], () => process.memoryUsage().heapUsed);
+
+/**
+ * Does the request carry the metrics token?
+ * WHY timingSafeEqual: A plain !== returns sooner the earlier the bytes differ,
+ * which leaks the token byte by byte (same as signatures in utils/tokens.js)
+ */
+const hasToken = (req) => {
+  const expected = Buffer.from(`Bearer ${config.token}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * ============================================
+ * GET /metrics - Prometheus scrape endpoint
+ * ============================================
+ *
+ * WHY optional token: Metrics reveal traffic and business numbers;
+ * with METRICS_TOKEN set, Prometheus must send it as a Bearer token
+ * (scrape_config: authorization: { credentials: <token> })
+ *
+ * COMMAND FLOW EXAMPLE:
+ * curl http://localhost:3000/metrics
+ * curl -H "Authorization: Bearer $METRICS_TOKEN" http://localhost:3000/metrics
+ */
+const metricsHandler = (req, res) => {
+  if (config.token && !hasToken(req)) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(render());
+};
+
+// ============================================
+// EXPORT - WHY: define* for modules with numbers to report, middleware/handler for server.js
+// ============================================
+module.exports = {
+  defineCounter,    // Total that only goes up
+  defineHistogram,  // Distribution (latency)
+  defineGauge,      // Current value, computed when scraped
+  startTimer,       // end() → seconds since start
+  render,           // All metrics as Prometheus text
+  requestMetrics,   // Middleware: count + time every request
+  metricsHandler    // GET /metrics
+};
@@ -0,0 +1,556 @@
+/**
+ * =====================================================
+ * OPENAPI DOCUMENT - utils/openapi.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - buildSpec(app) walks every route Express knows and writes an OpenAPI 3
+ *   operation for it, served at GET /api/openapi.json (routes/docsRoutes.js)
+ * - The operation is assembled from the middleware the route already uses;
+ *   each of them carries an `openapi` property saying what it checks:
+ *     authenticate             → bearer token, 401
+ *     authorize('staff')       → roles, 403
+ *     validateId               → integer path id, 400 / 404
+ *     validateBody(schema)     → request body (the same rules, as JSON Schema)
+ *     validateQuery(spec)      → filter / sort / page query parameters
+ * - describe({ summary, returns }) adds what can't be derived: the text and
+ *   the shape of the response data
+ * - defineSchema('Product', productSchema) names a schema, so bodies and
+ *   responses refer to components/schemas/Product instead of repeating it
+ *
+ * WHY IT WORKS THIS WAY:
+ * - The prose docs drift from the code; this document can't, because the
+ *   request rules ARE the validator rules and the routes ARE the router stack
+ * - OpenAPI 3.0 (not 3.1) because most SDK generators still expect it
+ * - Rule → JSON Schema maps 1:1: readOnly means "never sent by clients" in
+ *   both, createOnly becomes x-createOnly
+ *
+ * CONTROL FLOW:
+ * GET /api/openapi.json → buildSpec(app) (once, then cached)
+ *   → app router stack → mounted routers → route layers → collect .openapi → operation
+ *
+ * DATA FLOW:
+ * router.get('/:id', describe({ summary: 'Get product', returns: 'Product' }), validateId, handler)
+ *   → paths['/api/products/{id}'].get = { summary, parameters: [id], responses: { 200, 400, 404 } }
+ */
+
+const config = require('../config').pagination;
+const { OPERATORS } = require('./query');
+
+// ============================================
+// REGISTRY - WHY: Named schemas, filled by defineSchema() as route modules load
+// ============================================
+const components = new Map();   // name → { rules, hidden, record }
+
+// Fields every stored record has (utils/database.js)
+const RECORD_PROPERTIES = {
+  id:        { type: 'integer', readOnly: true },
+  version:   { type: 'integer', readOnly: true, description: 'Starts at 1, +1 on every change (ETag)' },
+  createdAt: { type: 'string', format: 'date-time', readOnly: true },
+  updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+};
+
+// WHY: query.js types → JSON Schema types
+const QUERY_TYPES = {
+  string:  { type: 'string' },
+  number:  { type: 'number' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  date:    { type: 'string', format: 'date-time' }
+};
+
+// Echoed in every envelope (utils/responseHandler.js echoRequestId)
+const REQUEST_ID = { type: 'string', description: 'Same as the X-Request-Id response header; quote it when reporting a problem' };
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid input (details lists every field error)',
+  401: 'Missing, invalid or expired access token',
+  403: 'Logged in, but not allowed',
+  404: 'Not found',
+  409: 'Conflicts with stored data',
+  412: 'If-Match version is outdated'
+};
+
+/**
+ * ============================================
+ * DESCRIBE - WHY: Route text and response shape, next to the route itself
+ * ============================================
+ *
+ * USAGE:
+ *   router.get('/', describe({ summary: 'List products', returns: 'Product', list: true }), ...)
+ *
+ * META:
+ *   summary      One line (required)
+ *   description  Longer text (optional, Markdown)
+ *   returns      Schema name, [name] for an array, or a { field: rule } schema
+ *   list         true → paginated list of `returns`
+ *   raw          true → `returns` is the whole body (no { status, data, ... } envelope)
+ *   status       Success status (default 200)
+ *   statuses     More success statuses with the same body, e.g. [207]
+ *   errors       Extra error statuses, e.g. [409, 412]
+ *   query        Extra query rules, e.g. { q: { type: 'string', required: true } }
+ *   params       Path parameter rules, e.g. { status: { type: 'string', enum: [...] } }
+ *   body         Body schema when validateBody() gets a function (per-role schemas)
+ *
+ * @param {Object} meta - See above
+ * @returns {Function} - Middleware that only calls next()
+ */
+const describe = (meta) => {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = meta;
+  return middleware;
+};
+
+/**
+ * Name a schema for components/schemas
+ *
+ * @param {string} name - e.g. 'Product'
+ * @param {Object} rules - { field: rule } (a /schemas object)
+ * @param {Object} options - hidden: fields never returned (e.g. passwordHash);
+ *   record: false for shapes that aren't stored records (no id/version/timestamps)
+ */
+const defineSchema = (name, rules, { hidden = [], record = true } = {}) => {
+  components.set(name, { rules, hidden, record });
+};
+
+/**
+ * Name under which a rules object was defined (identity), if any
+ */
+const nameOf = (rules) => {
+  for (const [name, entry] of components) {
+    if (entry.rules === rules) return name;
+  }
+  return null;
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * ============================================
+ * RULE → JSON SCHEMA - WHY: Same limits the validator enforces
+ * ============================================
+ *
+ * EXAMPLE:
+ *   { type: 'number', required: true, min: 0 } → { type: 'number', minimum: 0 }
+ *   { type: 'string', format: 'phone' } → { type: 'string', description: '10 digits ...' }
+ *   { type: 'object', ref: 'User' } → { $ref: '#/components/schemas/User' }  (docs-only rules)
+ *
+ * @param {Object} rule - Field rule (utils/validator.js checkRule)
+ * @returns {Object} - JSON Schema
+ */
+const ruleSchema = (rule) => {
+  if (rule.ref) return ref(rule.ref);
+  const schema = { type: rule.type || 'string' };
+  const notes = [];
+
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.exclusiveMin !== undefined) {
+    schema.minimum = rule.exclusiveMin;
+    schema.exclusiveMinimum = true;
+  }
+  if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+  if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+
+  if (rule.format === 'email') schema.format = 'email';
+  if (rule.format === 'password') {
+    schema.format = 'password';
+    notes.push('At least one letter and one digit');
+  }
+  if (rule.format === 'phone') notes.push('Exactly 10 digits; spaces, dashes and brackets are ignored');
+
+  if (rule.type === 'array') {
+    schema.items = rule.items ? ruleSchema(rule.items) : {};
+  }
+  if (rule.type === 'object' && rule.properties) {
+    Object.assign(schema, objectSchema(rule.properties));
+  }
+
+  if (rule.readOnly) schema.readOnly = true;
+  if (rule.createOnly) {
+    schema['x-createOnly'] = true;
+    notes.push('Set on create, cannot be changed afterwards');
+  }
+  if (rule.description) notes.unshift(rule.description);
+  if (notes.length > 0) schema.description = notes.join('. ');
+  return schema;
+};
+
+/**
+ * { field: rule } → object JSON Schema
+ *
+ * @param {Object} rules - Schema
+ * @param {Object} options - partial: PATCH body (nothing required, createOnly read-only); hidden: fields left out
+ * @returns {Object}
+ */
+const objectSchema = (rules, { partial = false, hidden = [] } = {}) => {
+  const properties = {};
+  const required = [];
+  for (const [name, rule] of Object.entries(rules)) {
+    if (hidden.includes(name)) continue;
+    const schema = ruleSchema(rule);
+    if (partial && rule.createOnly) schema.readOnly = true;
+    properties[name] = schema;
+    if (!partial && rule.required && !rule.readOnly) required.push(name);
+  }
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+};
+
+/**
+ * Schema for a `returns` / body value: name → $ref, [name] → array, rules → inline
+ */
+const dataSchema = (value) => {
+  if (value === undefined || value === null) return {};
+  if (typeof value === 'string') return ref(value);
+  if (Array.isArray(value)) return { type: 'array', items: dataSchema(value[0]) };
+  const name = nameOf(value);
+  return name ? ref(name) : objectSchema(value);
+};
+
+/**
+ * Request body schema for validateBody(schema, { partial })
+ * WHY partial inline: PATCH accepts any subset, so "required" can't be shared with the $ref
+ */
+const bodySchema = (rules, partial) => {
+  const name = nameOf(rules);
+  if (name && !partial) return ref(name);
+  return objectSchema(rules, { partial, hidden: name ? components.get(name).hidden : [] });
+};
+
+/**
+ * ============================================
+ * QUERY PARAMETERS - WHY: The list query language of validateQuery(spec)
+ * ============================================
+ *
+ * HOW: One parameter per filterable field (?price=10, also ?price[gt]=10),
+ * one per alias and allowed extra, then sort / fields / page / limit / after / before
+ *
+ * @param {Object} spec - validateQuery spec { fields, defaultSort, allow, aliases }
+ * @returns {Array} - OpenAPI parameter objects
+ */
+const queryParameters = (spec) => {
+  const { fields, defaultSort = 'id', allow = [], aliases = {}, sortAliases = {} } = spec;
+  const parameters = Object.entries(fields).map(([name, type]) => ({
+    name,
+    in: 'query',
+    description: `Equals (case-insensitive for text). Also ${name}[op]=value with op: ${OPERATORS[type].join(', ')}`,
+    schema: QUERY_TYPES[type]
+  }));
+
+  for (const [name, [field, op]] of Object.entries(aliases)) {
+    parameters.push({ name, in: 'query', description: `Same as ${field}[${op}]`, schema: QUERY_TYPES[fields[field]] });
+  }
+  for (const name of allow) {
+    parameters.push({ name, in: 'query', schema: { type: 'string' } });
+  }
+
+  const sortable = Object.keys(fields).concat(Object.keys(sortAliases)).join(', ');
+  return parameters.concat([
+    { name: 'sort', in: 'query', description: `Comma-separated fields, '-' for descending (default: ${defaultSort}). Fields: ${sortable}`, schema: { type: 'string' } },
+    { name: 'fields', in: 'query', description: 'Comma-separated fields to return (id is always included)', schema: { type: 'string' } },
+    { name: 'page', in: 'query', description: 'Page number (not with after/before)', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', description: 'Items per page', schema: { type: 'integer', minimum: 1, maximum: config.maxLimit, default: config.defaultLimit } },
+    { name: 'after', in: 'query', description: 'Cursor (pagination.nextCursor): items after it; empty = first page', schema: { type: 'string' } },
+    { name: 'before', in: 'query', description: 'Cursor (pagination.prevCursor): items before it; empty = last page', schema: { type: 'string' } }
+  ]);
+};
+
+/**
+ * Parameters from { name: rule } (describe({ query }), import options)
+ * WHY replace by name: describe() may refine a parameter validateQuery already listed (e.g. q)
+ */
+const ruleParameters = (rules, parameters) => {
+  for (const [name, rule] of Object.entries(rules)) {
+    const { description, ...schema } = ruleSchema(rule);
+    const parameter = { name, in: 'query', ...(description && { description }), schema, ...(rule.required && { required: true }) };
+    if (rule.type === 'object') {
+      parameter.style = 'deepObject';
+      parameter.explode = true;
+    }
+    const index = parameters.findIndex(existing => existing.name === name && existing.in === 'query');
+    if (index >= 0) parameters[index] = parameter; else parameters.push(parameter);
+  }
+  return parameters;
+};
+
+/**
+ * Success envelope (responseHandler.success / paginated) around a data schema
+ */
+const envelope = (data, list) => {
+  const properties = {
+    status: { type: 'boolean', example: true },
+    statusCode: { type: 'integer' },
+    message: { type: 'string' },
+    data: list ? { type: 'array', items: data } : data,
+    timestamp: { type: 'string', format: 'date-time' },
+    requestId: REQUEST_ID
+  };
+  if (list) properties.pagination = ref('Pagination');
+  return { type: 'object', properties };
+};
+
+/**
+ * '/:id/restore' → '/{id}/restore' + the parameters it names
+ */
+const pathOf = (base, routePath) => {
+  const names = [];
+  const path = `${base}${routePath === '/' ? '' : routePath}`.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return `{${name}}`;
+  });
+  return { path: path || '/', names };
+};
+
+/**
+ * getProductsById, postOrdersByIdConfirm, ... (stable names for SDK methods)
+ */
+const operationIdOf = (method, path) => {
+  const words = path.split('/').filter(part => part && part !== 'api').map(part => {
+    const name = part.replace(/^\{(\w+)\}$/, 'by-$1').replace(/\.\w+$/, '');
+    return name.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  });
+  return method + words.join('');
+};
+
+/**
+ * ============================================
+ * OPERATION - WHY: One route → one OpenAPI operation
+ * ============================================
+ *
+ * HOW: Merge the .openapi of every handler in order, then:
+ *   security + 401 when authenticate runs, 403 when roles are checked,
+ *   400 when anything is validated, 404 when an id is looked up
+ *
+ * @param {string} method - 'get', 'post', ...
+ * @param {string} path - OpenAPI path ('/api/products/{id}')
+ * @param {Array<string>} names - Path parameter names
+ * @param {Array} handlers - Route handler functions
+ * @param {string} tag - Group name ('Products')
+ * @returns {Object} - OpenAPI operation
+ */
+const operationOf = (method, path, names, handlers, tag) => {
+  const meta = {};
+  const roles = [];
+  for (const handler of handlers) {
+    const info = handler.openapi || {};
+    if (info.roles) roles.push(info.self ? `the user in {${info.self}}, or ${info.roles.join('/')}` : info.roles.join(' or '));
+    Object.assign(meta, info);
+  }
+
+  const errors = new Set(meta.errors || []);
+  const parameters = names.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: meta.params && meta.params[name] ? ruleSchema(meta.params[name])
+      : meta.idParam && /id$/i.test(name) ? { type: 'integer', minimum: 1 } : { type: 'string' }
+  }));
+  if (meta.idParam) {
+    errors.add(400);
+    errors.add(404);
+  }
+
+  if (meta.listQuery) {
+    parameters.push(...queryParameters(meta.listQuery));
+    errors.add(400);
+  }
+  if (meta.queryRules) {
+    ruleParameters(meta.queryRules, parameters);
+    errors.add(400);
+  }
+  if (meta.query) ruleParameters(meta.query, parameters);
+
+  const operation = {
+    tags: [tag],
+    summary: meta.summary || `${method.toUpperCase()} ${path}`,
+    operationId: operationIdOf(method, path),
+    ...(meta.description && { description: meta.description }),
+    parameters
+  };
+
+  // ============================================
+  // REQUEST BODY - WHY: JSON from validateBody, files from /import
+  // ============================================
+  const rules = typeof meta.bodyRules === 'function' ? meta.body : meta.bodyRules;
+  if (rules && typeof rules === 'object') {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: bodySchema(rules, meta.partial) } } };
+    errors.add(400);
+  } else if (meta.upload) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(meta.upload.map(type => [type, { schema: { type: 'string' } }]))
+    };
+    errors.add(400);
+  }
+
+  // ============================================
+  // RESPONSES - WHY: Success envelope + every error the middleware can send
+  // ============================================
+  const status = String(meta.status || 200);
+  const responses = {};
+  if (meta.download) {
+    responses[status] = {
+      description: 'File download',
+      content: Object.fromEntries(meta.download.map(type => [type, { schema: { type: 'string' } }]))
+    };
+  } else {
+    responses[status] = {
+      description: meta.summary || 'Success',
+      content: { 'application/json': { schema: meta.raw ? dataSchema(meta.returns) : envelope(dataSchema(meta.returns), meta.list) } }
+    };
+    for (const code of meta.statuses || []) {
+      const descriptions = { 207: 'Some items failed (see results)', 503: 'Not ready (see checks)' };
+      responses[code] = { ...responses[status], description: descriptions[code] || responses[status].description };
+    }
+  }
+
+  if (meta.authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+    errors.add(401);
+  }
+  if (roles.length > 0) {
+    errors.add(403);
+    operation['x-roles'] = roles;
+    operation.description = [operation.description, `Allowed: ${roles.join('; ')}.`].filter(Boolean).join('\n\n');
+  }
+  for (const code of [...errors].sort()) {
+    responses[code] = { $ref: `#/components/responses/Error${code}` };
+  }
+  operation.responses = responses;
+  return operation;
+};
+
+/**
+ * Mount path of a router layer: /^\/api\/users\/?(?=\/|$)/i → '/api/users'
+ * WHY parse the regexp: Express 4 keeps only the compiled path
+ *
+ * @returns {string|null} - null for paths this can't read (patterns)
+ */
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) return '';
+  const match = layer.regexp.source.match(/^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match ? match[1].replace(/\\\//g, '/') : null;
+};
+
+/**
+ * Every route as { path, method, handlers, tag }, in registration order
+ *
+ * @param {Array} stack - app._router.stack or router.stack
+ * @param {string} base - Mount path so far
+ * @returns {Array}
+ */
+const collectRoutes = (stack, base = '') => {
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === '_all') continue;
+        routes.push({ base, routePath: layer.route.path, method, handlers: layer.route.stack.map(inner => inner.handle) });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      const path = mountPath(layer);
+      if (path !== null) routes.push(...collectRoutes(layer.handle.stack, base + path));
+    }
+  }
+  return routes;
+};
+
+/**
+ * Group name from the path: '/api/products/...' → 'Products', '/health' → 'Health'
+ */
+const tagOf = (path) => {
+  const segments = path.split('/').filter(Boolean);
+  const word = (segments[0] === 'api' ? segments[1] : segments[0]) || 'api';
+  return word.replace(/\.\w+$/, '').replace(/^\w/, char => char.toUpperCase());
+};
+
+/**
+ * ============================================
+ * BUILD SPEC - WHY: The whole document from the running app
+ * ============================================
+ *
+ * @param {Object} app - Express app (req.app)
+ * @param {Object} info - { title, version, description }
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+const buildSpec = (app, info) => {
+  const paths = {};
+  for (const { base, routePath, method, handlers } of collectRoutes(app._router.stack)) {
+    const { path, names } = pathOf(base, routePath);
+    // WHY skip: Routes shadowed by an earlier one (same method + path) never run
+    if (paths[path] && paths[path][method]) continue;
+    paths[path] = paths[path] || {};
+    paths[path][method] = operationOf(method, path, names, handlers, tagOf(path));
+  }
+
+  const schemas = {
+    Pagination: {
+      type: 'object',
+      description: 'Page mode: page, limit, total, totalPages, hasNext, hasPrev. Cursor mode (?after=/?before=): limit, total, nextCursor, prevCursor, hasNext, hasPrev',
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        prevCursor: { type: 'string', nullable: true },
+        hasNext: { type: 'boolean' },
+        hasPrev: { type: 'boolean' }
+      }
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        status: { type: 'boolean', example: false },
+        statusCode: { type: 'integer' },
+        message: { type: 'string' },
+        details: {
+          description: 'Field errors [{ field, message }] for 400s; context for other errors',
+          nullable: true,
+          oneOf: [
+            { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } },
+            { type: 'object' }
+          ]
+        },
+        timestamp: { type: 'string', format: 'date-time' },
+        requestId: REQUEST_ID
+      }
+    }
+  };
+  for (const [name, { rules, hidden, record }] of components) {
+    const schema = objectSchema(rules, { hidden });
+    schemas[name] = record ? { ...schema, properties: { ...RECORD_PROPERTIES, ...schema.properties } } : schema;
+  }
+
+  const responses = Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([code, description]) => [
+    `Error${code}`,
+    { description, content: { 'application/json': { schema: ref('Error') } } }
+  ]));
+
+  return {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: '/' }],
+    tags: [...new Set(Object.keys(paths).map(tagOf))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'accessToken from POST /api/auth/login or /register' }
+      },
+      schemas,
+      responses
+    }
+  };
+};
+
+// ============================================
+// EXPORT - WHY: describe/defineSchema for routes, buildSpec for routes/docsRoutes.js
+// ============================================
+module.exports = {
+  describe,       // Route middleware carrying summary / response shape
+  defineSchema,   // Name a schema (components/schemas)
+  buildSpec       // Express app → OpenAPI 3 document
+};
@@ -0,0 +1,243 @@
+/**
+ * =====================================================
+ * PAGINATION - utils/pagination.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Two modes on every list route:
+ *     ?page=2&limit=10          offset pages (original behavior)
+ *     ?after=<cursor>&limit=10  the items after a cursor (?before= for the ones before)
+ *     ?after=&limit=10          first page in cursor mode (?before= → last page)
+ * - A cursor is the sort key + id of the last (or first) item of a page,
+ *   base64url-encoded so clients treat it as an opaque token
+ * - ?limit is capped at config.pagination.maxLimit (default 100)
+ * - Every page sends a Link header (rel="next" / "prev", plus "first" / "last"
+ *   for numbered pages) so clients can follow pages without building URLs
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Offset pages shift when a record is inserted before them: the client sees
+ *   one item twice or skips one. "Items after (price 30, id 7)" never shifts.
+ * - id is part of every cursor because sort values can tie (two products at 9.99)
+ * - The cursor remembers the sort it was made for; reusing it with another
+ *   ?sort would point at a meaningless position, so that's a 400
+ * - page/limit stays the default, so existing clients don't change
+ *
+ * CONTROL FLOW:
+ * validateQuery() → parsePaging() checks limit/page/after/before → req.listQuery.paging
+ * Route: records = applyQuery(...) → res.json(paginate(req, res, records, mapItem))
+ *
+ * DATA FLOW:
+ * last item { id: 7, price: 30 } + sort '-price'
+ *   → { k: '-price', v: [30], id: 7 } → base64url → nextCursor / Link rel="next"
+ */
+
+const config = require('../config').pagination;
+const response = require('./responseHandler');
+
+/**
+ * Sort signature stored in every cursor, e.g. '-price,name'
+ *
+ * @param {Array} sort - [{ field, desc }] from the list query
+ * @returns {string}
+ */
+const sortKey = (sort) => sort.map(({ field, desc }) => `${desc ? '-' : ''}${field}`).join(',');
+
+/**
+ * ============================================
+ * ENCODE / DECODE CURSOR - WHY: Opaque token ↔ position in the sorted list
+ * ============================================
+ *
+ * @param {Object} record - Boundary record of a page
+ * @param {Array} sort - [{ field, desc }]
+ * @returns {string} - base64url token
+ */
+const encodeCursor = (record, sort) => {
+  const cursor = { k: sortKey(sort), v: sort.map(({ field }) => record[field] ?? null), id: record.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * @param {string} token - Cursor from ?after= / ?before=
+ * @param {Array} sort - Sort of the current request
+ * @returns {Object|null} - Record-shaped position { id, ...sort fields }, or null if invalid
+ */
+const decodeCursor = (token, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (cursor.k !== sortKey(sort) || !Array.isArray(cursor.v) || cursor.v.length !== sort.length || !Number.isInteger(cursor.id)) {
+      return null;
+    }
+    const position = { id: cursor.id };
+    sort.forEach(({ field }, i) => { position[field] = cursor.v[i]; });
+    return position;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * ============================================
+ * PARSE PAGING - WHY: Reject bad paging params with the other query errors
+ * ============================================
+ *
+ * HOW:
+ *   limit  → integer 1..maxLimit (missing/invalid → defaultLimit, too big → maxLimit)
+ *   page   → integer >= 1 (default 1)
+ *   after / before → must decode for this sort; not both; not with page
+ *                    (empty = start from the first / last record)
+ *
+ * CALLED BY: validateQuery() in utils/query.js
+ *
+ * @param {Object} query - req.query
+ * @param {Array} sort - Parsed sort of the request
+ * @returns {{ value: Object, errors: Array }} - value = { limit, page, cursor, token }
+ *   cursor = { direction: 'after' | 'before', position: record-shaped | null } or null for page mode
+ */
+const parsePaging = (query, sort) => {
+  const errors = [];
+  const requested = parseInt(query.limit, 10);
+  const limit = requested >= 1 ? Math.min(requested, config.maxLimit) : config.defaultLimit;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const value = { limit, page, cursor: null, token: null };
+
+  if (query.after !== undefined && query.before !== undefined) {
+    errors.push({ field: 'after', message: 'after and before cannot be used together' });
+  } else if ((query.after !== undefined || query.before !== undefined) && query.page !== undefined) {
+    errors.push({ field: 'page', message: 'page cannot be combined with after/before' });
+  }
+
+  for (const field of ['after', 'before']) {
+    if (query[field] === undefined) continue;
+    if (query[field] === '') {
+      value.cursor = { direction: field, position: null };
+      continue;
+    }
+    const position = decodeCursor(query[field], sort);
+    if (!position) {
+      errors.push({ field, message: `${field} is not a valid cursor for sort '${sortKey(sort)}'` });
+    } else {
+      value.cursor = { direction: field, position };
+      value.token = String(query[field]);
+    }
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Same URL with some query params replaced (null removes one)
+ * WHY relative: Correct behind proxies that rewrite the host
+ *
+ * @param {Object} req - Express request
+ * @param {Object} params - { name: value | null }
+ * @returns {string} - e.g. '/api/products?sort=name&after=eyJ...'
+ */
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  for (const [name, value] of Object.entries(params)) {
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  }
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Set the Link header from { rel: url } (missing rels skipped)
+ *
+ * @param {Object} res - Express response
+ * @param {Object} links - { next, prev, first, last }
+ */
+const setLinks = (res, links) => {
+  const header = Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(', ');
+  if (header) res.set('Link', header);
+};
+
+/**
+ * Cursor mode: the page after (or before) a position
+ *
+ * @returns {Object} - { items, pagination, links }
+ */
+const cursorPage = (req, records, { limit, cursor, token }) => {
+  const { sort, compare } = req.listQuery;
+  const { direction, position } = cursor;
+  let items;
+  let hasNext;
+  let hasPrev;
+
+  if (direction === 'after') {
+    const rest = position ? records.filter(record => compare(record, position) > 0) : records;
+    items = rest.slice(0, limit);
+    hasNext = rest.length > limit;
+    hasPrev = rest.length < records.length;
+  } else {
+    const rest = position ? records.filter(record => compare(record, position) < 0) : records;
+    items = rest.slice(Math.max(rest.length - limit, 0));
+    hasPrev = rest.length > limit;
+    hasNext = rest.length < records.length;
+  }
+
+  // WHY reuse the token on an empty page: "before the end" still leads back
+  const nextCursor = !hasNext ? null : items.length > 0 ? encodeCursor(items[items.length - 1], sort) : token;
+  const prevCursor = !hasPrev ? null : items.length > 0 ? encodeCursor(items[0], sort) : token;
+
+  return {
+    items,
+    pagination: { limit, total: records.length, nextCursor, prevCursor, hasNext, hasPrev },
+    links: {
+      next: nextCursor && linkTo(req, { after: nextCursor, before: null }),
+      prev: prevCursor && linkTo(req, { before: prevCursor, after: null })
+    }
+  };
+};
+
+/**
+ * ============================================
+ * PAGINATE - WHY: One call turns a sorted list into the response body
+ * ============================================
+ *
+ * USAGE (after applyQuery):
+ *   res.json(paginate(req, res, products, product => selectFields(product, req.listQuery.fields)));
+ *
+ * @param {Object} req - Express request (req.listQuery from validateQuery)
+ * @param {Object} res - Express response (gets the Link header)
+ * @param {Array} records - Every matching record, already sorted
+ * @param {Function} mapItem - Turns a record into what the client sees
+ * @returns {Object} - response.paginated() or response.cursorPaginated() body
+ */
+const paginate = (req, res, records, mapItem = (record) => record) => {
+  const paging = req.listQuery.paging;
+
+  if (paging.cursor) {
+    const { items, pagination, links } = cursorPage(req, records, paging);
+    setLinks(res, links);
+    return response.cursorPaginated(items.map(mapItem), pagination);
+  }
+
+  const { page, limit } = paging;
+  const total = records.length;
+  const totalPages = Math.ceil(total / limit);
+  const start = (page - 1) * limit;
+
+  setLinks(res, {
+    first: linkTo(req, { page: 1 }),
+    prev: page > 1 && linkTo(req, { page: Math.min(page - 1, Math.max(totalPages, 1)) }),
+    next: page < totalPages && linkTo(req, { page: page + 1 }),
+    last: linkTo(req, { page: Math.max(totalPages, 1) })
+  });
+  return response.paginated(records.slice(start, start + limit).map(mapItem), page, limit, total);
+};
+
+// ============================================
+// EXPORT - WHY: parsePaging for utils/query.js, paginate for list routes
+// ============================================
+module.exports = {
+  parsePaging,   // Check limit/page/after/before → req.listQuery.paging
+  paginate,      // Sorted records → page body + Link header
+  encodeCursor   // Record → cursor token
+};
@@ -0,0 +1,83 @@
+/**
+ * =====================================================
+ * PASSWORD HASHING - utils/password.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - hashPassword() runs scrypt with a random 16-byte salt
+ * - The result stores everything needed to check it later:
+ *     scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ * - verifyPassword() re-runs scrypt with the stored salt/cost and compares
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - scrypt is built into Node's crypto and is slow + memory-hard on purpose,
+ *   so a stolen users.json can't be brute-forced cheaply
+ * - Storing the cost with the hash lets us raise AUTH_SCRYPT_COST later
+ *   without breaking existing passwords
+ * - timingSafeEqual: comparison time doesn't reveal how many bytes matched
+ * 
+ * WHY async (unlike the database): One hash takes ~50ms of CPU; the async
+ * version runs it on the thread pool instead of blocking every other request
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config').auth;
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const BLOCK_SIZE = 8;       // scrypt r
+const PARALLELISM = 1;      // scrypt p
+
+// WHY: Node refuses to use more than 32MB by default; scrypt needs 128 * N * r bytes
+const maxmem = (cost, blockSize) => 256 * cost * blockSize;
+
+/**
+ * ============================================
+ * HASH PASSWORD - WHY: Never store the password itself
+ * ============================================
+ * 
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - 'scrypt$N$r$p$salt$hash'
+ */
+const hashPassword = async (password) => {
+  const cost = config.scryptCost;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, {
+    N: cost, r: BLOCK_SIZE, p: PARALLELISM, maxmem: maxmem(cost, BLOCK_SIZE)
+  });
+
+  return ['scrypt', cost, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * ============================================
+ * VERIFY PASSWORD - WHY: Check a login attempt against the stored hash
+ * ============================================
+ * 
+ * @param {string} password - Plain-text password from the login form
+ * @param {string} stored - Value produced by hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, stored) => {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, cost, blockSize, parallelism] = parts.slice(0, 4).map(Number);
+  const salt = Buffer.from(parts[4], 'base64');
+  const expected = Buffer.from(parts[5], 'base64');
+
+  const key = await scrypt(password, salt, expected.length, {
+    N: cost, r: blockSize, p: parallelism, maxmem: maxmem(cost, blockSize)
+  });
+  return crypto.timingSafeEqual(key, expected);
+};
+
+// ============================================
+// EXPORT - WHY: Used by routes/authRoutes.js
+// ============================================
+module.exports = {
+  hashPassword,   // Plain text → storable hash
+  verifyPassword  // Plain text + stored hash → true/false
+};
@@ -0,0 +1,384 @@
+/**
+ * =====================================================
+ * LIST QUERY LANGUAGE - utils/query.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Every GET /api/<resource> list understands the same query string:
+ *     ?status=pending                 field equals value (eq)
+ *     ?price[gt]=10&price[lt]=50      operators: eq, ne, gt, gte, lt, lte, in, contains
+ *     ?category[in]=books,toys        any of a comma-separated list
+ *     ?name[contains]=lap             case-insensitive substring
+ *     ?createdAt[gte]=2024-01-01      date ranges on createdAt / updatedAt
+ *     ?sort=-price,name               several fields; '-' = descending
+ *     ?fields=id,name,price           only these fields in each record
+ *     ?page=2 / ?after=<cursor>       which page (utils/pagination.js)
+ * - validateQuery(spec) middleware parses and checks it → req.listQuery
+ * - applyQuery() filters + sorts records, selectFields() trims them
+ *
+ * WHY IT WORKS THIS WAY:
+ * - One parser instead of hand-written filters in every route
+ * - The spec is built from the resource's schema (queryFields), so new
+ *   schema fields become filterable without touching this file
+ * - Unknown fields and operators are rejected with a 400, like unknown body
+ *   fields in validateBody - a typo never silently returns everything
+ * - Text compares case-insensitively, the same as db.findBy() and enums
+ *
+ * CONTROL FLOW:
+ * GET /api/products?price[lt]=50&sort=-price
+ *   → validateQuery(spec): parse, coerce '50' → 50, check fields → req.listQuery
+ *   → route: db.getAll() → applyQuery() → paginate() → selectFields()
+ *
+ * DATA FLOW:
+ * req.query { price: { lt: '50' }, sort: '-price' }
+ *   → { filters: [{ field: 'price', op: 'lt', value: 50 }], sort: [{ field: 'price', desc: true }], fields: null }
+ */
+
+const response = require('./responseHandler');
+const { parsePaging } = require('./pagination');
+
+// Query parameters that are never field filters
+const RESERVED_PARAMS = ['page', 'limit', 'after', 'before', 'sort', 'fields'];
+
+// Operators each field type supports
+const OPERATORS = {
+  string:  ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'],
+  number:  ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  date:    ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  boolean: ['eq', 'ne', 'in']
+};
+
+// Fields every record has (utils/database.js)
+const RECORD_FIELDS = {
+  id: 'integer',
+  createdAt: 'date',
+  updatedAt: 'date',
+  version: 'integer'
+};
+
+/**
+ * ============================================
+ * QUERY FIELDS - WHY: Filterable fields come from the resource schema
+ * ============================================
+ *
+ * HOW: Every scalar schema field (string/number/integer/boolean) plus
+ * id, createdAt, updatedAt, version. Arrays/objects (order items) are skipped.
+ *
+ * EXAMPLE: queryFields(userSchema, { exclude: ['passwordHash'] })
+ *   → { id: 'integer', name: 'string', ..., isActive: 'boolean', createdAt: 'date', ... }
+ *
+ * @param {Object} schema - { field: rule } from /schemas
+ * @param {Object} options - { exclude: fields clients must never query }
+ * @returns {Object} - { field: type }
+ */
+const queryFields = (schema, { exclude = [] } = {}) => {
+  const fields = { id: RECORD_FIELDS.id };
+  for (const [name, rule] of Object.entries(schema)) {
+    if (OPERATORS[rule.type] && !exclude.includes(name)) {
+      fields[name] = rule.type;
+    }
+  }
+  return { ...fields, ...RECORD_FIELDS };
+};
+
+/**
+ * Turn one query string value into the field's type
+ *
+ * @param {string} type - Field type
+ * @param {string} raw - Value from the query string
+ * @returns {{ value: *, error: string|null }}
+ */
+const coerce = (type, raw) => {
+  const text = String(raw).trim();
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = text === '' ? NaN : Number(text);
+      if (!isFinite(number)) return { error: 'must be a number' };
+      if (type === 'integer' && !Number.isInteger(number)) return { error: 'must be an integer' };
+      return { value: number };
+    }
+    case 'boolean':
+      if (text === 'true' || text === 'false') return { value: text === 'true' };
+      return { error: 'must be true or false' };
+    case 'date': {
+      const time = Date.parse(text);
+      return isNaN(time) ? { error: 'must be a date (e.g. 2024-01-31 or an ISO timestamp)' } : { value: time };
+    }
+    default:
+      return { value: text.toLowerCase() };
+  }
+};
+
+/**
+ * Comparable form of a stored value (same normalization as coerce)
+ *
+ * @param {string} type - Field type
+ * @param {*} value - Value from a record
+ * @returns {*} - Number/boolean/lowercase text, or null if missing
+ */
+const comparable = (type, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      return isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'date': {
+      const time = Date.parse(value);
+      return isNaN(time) ? null : time;
+    }
+    default:
+      return String(value).toLowerCase();
+  }
+};
+
+/**
+ * ============================================
+ * PARSE QUERY - WHY: Check the whole query string before any data is read
+ * ============================================
+ *
+ * HOW:
+ * 1. Legacy aliases first (e.g. minPrice=10 → price[gte]=10)
+ * 2. Each remaining key must be a query field, a reserved param or spec.allow
+ * 3. ?field=v → eq, ?field[op]=v → op; values coerced to the field's type
+ * 4. sort / fields checked against the same field list
+ * 5. Every problem collected → { errors: [{ field, message }] }
+ *
+ * WHY Object.hasOwn: ?toString=1 or ?fields=constructor must be an unknown
+ * field, not a hit on a method every object inherits
+ *
+ * @param {Object} query - req.query (parsed by Express: price[gt]=1 → { price: { gt: '1' } })
+ * @param {Object} spec - { fields, defaultSort, allow, aliases, sortAliases }
+ * @returns {{ value: Object, errors: Array }} - value = { filters, sort, fields }
+ */
+const parseQuery = (query, spec) => {
+  const { fields, defaultSort = 'id', allow = [], aliases = {}, sortAliases = {} } = spec;
+  const errors = [];
+  const filters = [];
+  const fail = (field, message) => errors.push({ field, message: `${field} ${message}` });
+
+  const addFilter = (field, op, raw) => {
+    const type = fields[field];
+    if (!OPERATORS[type].includes(op)) {
+      return fail(field, `does not support '${op}' (use: ${OPERATORS[type].join(', ')})`);
+    }
+    const raws = op === 'in' ? String(raw).split(',') : [raw];
+    const values = [];
+    for (const item of raws) {
+      const { value, error } = coerce(type, item);
+      if (error) return fail(`${field}[${op}]`, error);
+      values.push(value);
+    }
+    filters.push({ field, op, value: op === 'in' ? values : values[0] });
+  };
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key) || allow.includes(key)) continue;
+
+    if (Object.hasOwn(aliases, key)) {
+      const [field, op] = aliases[key];
+      addFilter(field, op, raw);
+      continue;
+    }
+    if (!Object.hasOwn(fields, key)) {
+      fail(key, 'is not a filterable field');
+      continue;
+    }
+
+    // ?status=a&status=b → any of them; ?price[gt]=1 → operator object
+    if (Array.isArray(raw)) {
+      addFilter(key, 'in', raw.join(','));
+    } else if (raw !== null && typeof raw === 'object') {
+      for (const [op, value] of Object.entries(raw)) {
+        if (typeof value !== 'string') {
+          fail(`${key}[${op}]`, 'must be a single value');
+        } else if (!OPERATORS.string.includes(op)) {
+          fail(`${key}[${op}]`, 'is not a known operator');
+        } else {
+          addFilter(key, op, value);
+        }
+      }
+    } else {
+      addFilter(key, 'eq', raw);
+    }
+  }
+
+  // ============================================
+  // SORT - WHY: "-price,name" = price high → low, then name A → Z
+  // ============================================
+  const sortParam = typeof query.sort === 'string' && query.sort.trim() ? query.sort : defaultSort;
+  const sort = [];
+  for (const part of String(Object.hasOwn(sortAliases, sortParam) ? sortAliases[sortParam] : sortParam).split(',')) {
+    const name = part.trim().replace(/^[-+]/, '');
+    if (!Object.hasOwn(fields, name)) {
+      fail('sort', `cannot use unknown field '${name}'`);
+    } else {
+      sort.push({ field: name, type: fields[name], desc: part.trim().startsWith('-') });
+    }
+  }
+
+  // ============================================
+  // FIELDS - WHY: Clients that only need names don't download whole records
+  // ============================================
+  let selected = null;
+  if (query.fields !== undefined) {
+    selected = String(query.fields).split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of selected) {
+      if (!Object.hasOwn(fields, name)) fail('fields', `cannot include unknown field '${name}'`);
+    }
+  }
+
+  return { value: { filters, sort, fields: selected }, errors };
+};
+
+/**
+ * Does one record pass one filter?
+ * WHY missing values only pass 'ne': "price < 10" shouldn't match a product without a price
+ *
+ * @param {Object} record - Record
+ * @param {Object} filter - { field, op, value }
+ * @param {Object} fields - { field: type }
+ * @returns {boolean}
+ */
+const matches = (record, { field, op, value }, fields) => {
+  const actual = comparable(fields[field], record[field]);
+  if (actual === null) return op === 'ne';
+
+  switch (op) {
+    case 'eq':       return actual === value;
+    case 'ne':       return actual !== value;
+    case 'gt':       return actual > value;
+    case 'gte':      return actual >= value;
+    case 'lt':       return actual < value;
+    case 'lte':      return actual <= value;
+    case 'in':       return value.includes(actual);
+    case 'contains': return String(actual).includes(value);
+    default:         return false;
+  }
+};
+
+/**
+ * Compare two records by the sort fields, then by id (stable pages)
+ * WHY missing values last: Products without a price don't crowd the top
+ *
+ * @param {Array} sort - [{ field, type, desc }]
+ * @returns {Function} - Array.sort comparator
+ */
+const comparator = (sort) => (a, b) => {
+  for (const { field, type, desc } of sort) {
+    const x = comparable(type, a[field]);
+    const y = comparable(type, b[field]);
+    if (x === y) continue;
+    if (x === null) return 1;
+    if (y === null) return -1;
+
+    const order = typeof x === 'string' ? x.localeCompare(y) : (x < y ? -1 : 1);
+    if (order !== 0) return desc ? -order : order;
+  }
+  return a.id - b.id;
+};
+
+/**
+ * ============================================
+ * APPLY QUERY - WHY: Same filtering and sorting for every list route
+ * ============================================
+ *
+ * @param {Array} records - Records from the database
+ * @param {Object} listQuery - req.listQuery (validateQuery)
+ * @returns {Array} - Matching records, sorted
+ */
+const applyQuery = (records, listQuery) => {
+  const { filters, sort, spec } = listQuery;
+  return records
+    .filter(record => filters.every(filter => matches(record, filter, spec.fields)))
+    .sort(comparator(sort));
+};
+
+/**
+ * Value of an eq filter, so a route can start from an index
+ * EXAMPLE: ?category=books → eqFilter(req.listQuery, 'category') → 'books'
+ *
+ * @param {Object} listQuery - req.listQuery
+ * @param {string} field - Field name
+ * @returns {*} - Filter value, or undefined
+ */
+const eqFilter = (listQuery, field) => {
+  const filter = listQuery.filters.find(f => f.field === field && f.op === 'eq');
+  return filter ? filter.value : undefined;
+};
+
+/**
+ * ============================================
+ * SELECT FIELDS - WHY: Sparse fieldsets (?fields=)
+ * ============================================
+ *
+ * WHY id always included: Clients need it to fetch or edit the record later
+ *
+ * @param {Object} record - Record (already made public, e.g. publicUser)
+ * @param {Array|null} fields - Requested fields, or null for all
+ * @returns {Object} - Record with only those fields
+ */
+const selectFields = (record, fields) => {
+  if (!fields) return record;
+  const selected = { id: record.id };
+  for (const name of fields) {
+    if (name in record) selected[name] = record[name];
+  }
+  return selected;
+};
+
+/**
+ * ============================================
+ * VALIDATE QUERY - WHY: Declare a list route's query language in one line
+ * ============================================
+ *
+ * USAGE:
+ *   router.get('/', validateQuery(PRODUCT_QUERY), (req, res) => {
+ *     const products = applyQuery(db.getAll(FILENAME), req.listQuery);
+ *   });
+ *
+ * RESPONSE EXAMPLE (400):
+ *   { "message": "Invalid query", "details": [
+ *       { "field": "colour", "message": "colour is not a filterable field" },
+ *       { "field": "price[gt]", "message": "price[gt] must be a number" } ] }
+ *
+ * WHY paging is parsed here: A cursor is only valid for the sort it was made
+ * with, so both are checked together and reported in one 400
+ *
+ * @param {Object} spec - { fields: queryFields(...), defaultSort, allow, aliases, sortAliases }
+ * @returns {Function} - Express middleware
+ */
+const validateQuery = (spec) => {
+  const middleware = (req, res, next) => {
+    const { value, errors } = parseQuery(req.query, spec);
+    const paging = parsePaging(req.query, value.sort);
+    errors.push(...paging.errors);
+    if (errors.length > 0) {
+      return res.status(400).json(response.error('Invalid query', 400, errors));
+    }
+
+    req.listQuery = { ...value, spec, paging: paging.value, compare: comparator(value.sort) };
+    next();
+  };
+  // WHY: utils/openapi.js lists the query parameters from the same spec
+  middleware.openapi = { listQuery: spec };
+  return middleware;
+};
+
+// ============================================
+// EXPORT - WHY: Used by every list route
+// ============================================
+module.exports = {
+  OPERATORS,      // Operators per field type (API docs)
+  queryFields,    // Schema → { field: type } for a query spec
+  parseQuery,     // Query string → { filters, sort, fields } + errors
+  validateQuery,  // Middleware: parse + 400 on errors → req.listQuery
+  applyQuery,     // Filter + sort records
+  eqFilter,       // Value of ?field=value (index lookups)
+  selectFields    // Keep only ?fields= in a record
+};
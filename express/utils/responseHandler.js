@@ -6,6 +6,7 @@
  * HOW IT WORKS:
  * - Provides consistent JSON response format for all API endpoints
  * - Includes status indicators, messages, data, and timestamps
+ * - echoRequestId adds the request's ID (utils/logger.js) to every such body
  * 
  * WHY IT WORKS THIS WAY:
  * - Client knows exactly what to expect in responses
@@ -14,12 +15,16 @@
  * - Includes pagination info for list endpoints
  * 
  * CONTROL FLOW:
- * Route Handler → response.success()/error()/paginated() → Formatted Response → Client
+ * Route Handler → response.success()/error()/paginated()/cursorPaginated() → Formatted Response → Client
+ * Route catch block → response.sendError() → AppError status or 500 (logged) → Client
  * 
  * DATA FLOW:
  * User Data → Format with wrapper → JSON Response → Network → Browser
  */
 
+const { AppError } = require('./errors');
+const { logger } = require('./logger');
+
 /**
  * ============================================
  * SUCCESS RESPONSE - WHY: Return successful results
@@ -139,11 +144,95 @@ const paginated = (data, page = 1, limit = 10, total = 0) => {
   };
 };
 
+/**
+ * ============================================
+ * CURSOR PAGINATED RESPONSE - WHY: Pages that don't shift when records are added
+ * ============================================
+ * 
+ * HOW: Same envelope as paginated(), but instead of page numbers the client
+ * gets opaque cursors to pass back as ?after= / ?before= (utils/pagination.js)
+ * 
+ * EXAMPLE:
+ *   pagination: { limit: 10, total: 42, nextCursor: 'eyJrIjoi...', prevCursor: null,
+ *                 hasNext: true, hasPrev: false }
+ * 
+ * @param {Array} data - Items for current page
+ * @param {Object} pagination - { limit, total, nextCursor, prevCursor, hasNext, hasPrev }
+ * @returns {Object} - Formatted cursor-paginated response
+ */
+const cursorPaginated = (data, pagination) => {
+  return {
+    status: true,
+    statusCode: 200,
+    data,
+    pagination,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * ============================================
+ * SEND ERROR - WHY: One catch block for expected and unexpected errors
+ * ============================================
+ * 
+ * HOW:
+ * 1. If err is an AppError (e.g. UniqueConstraintError), use its status,
+ *    message and details - the client can act on them
+ * 2. Otherwise respond 500 with the route's generic message
+ *    WHY: Unexpected error messages may leak internals
+ *    The real error goes to the log instead (with the request ID)
+ * 
+ * USAGE:
+ *   } catch (error) {
+ *     response.sendError(res, error, 'Failed to create user');
+ *   }
+ * 
+ * @param {Object} res - Express response object
+ * @param {Error} err - Caught error
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ * @returns {Object} - Express response
+ */
+const sendError = (res, err, fallbackMessage = 'Internal Server Error') => {
+  if (err instanceof AppError) {
+    return res.status(err.status).json(error(err.message, err.status, err.details));
+  }
+  (res.req.log || logger).error(fallbackMessage, { error: err });
+  return res.status(500).json(error(fallbackMessage, 500));
+};
+
+/**
+ * ============================================
+ * ECHO REQUEST ID - WHY: Users can quote it, support finds the log lines
+ * ============================================
+ * 
+ * HOW: Wraps res.json; bodies built here (they have a boolean `status`)
+ * get requestId = req.id (set by requestLogger in utils/logger.js)
+ * WHY wrap instead of a parameter: Every route already calls
+ * res.json(response.success(...)) - none of them has to change
+ * 
+ * EXAMPLE:
+ *   { "status": true, "statusCode": 200, "message": "...", "data": {...},
+ *     "timestamp": "...", "requestId": "3f6c1a0e-..." }
+ * 
+ * Position: After requestLogger, before the routes (server.js)
+ */
+const echoRequestId = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const isEnvelope = body && typeof body === 'object' && !Array.isArray(body) && typeof body.status === 'boolean';
+    return json(isEnvelope && req.id ? { ...body, requestId: req.id } : body);
+  };
+  next();
+};
+
 // ============================================
 // EXPORT ALL RESPONSE FORMATTERS - WHY: Use in routes
 // ============================================
 module.exports = {
   success,     // Format successful response
   error,       // Format error response
-  paginated    // Format paginated list response
+  paginated,   // Format paginated list response
+  cursorPaginated, // Format cursor-paginated list response (?after/?before)
+  sendError,   // Send AppError (its status) or generic 500
+  echoRequestId // Middleware: requestId in every body above
 };
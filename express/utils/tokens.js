@@ -0,0 +1,105 @@
+/**
+ * =====================================================
+ * SIGNED TOKENS - utils/tokens.js
+ * =====================================================
+ * 
+ * HOW IT WORKS:
+ * - Tokens are JWTs signed with HMAC-SHA256 (HS256):
+ *     base64url(header) . base64url(claims) . base64url(signature)
+ * - signToken() adds iat/exp to the claims and signs them
+ * - verifyToken() checks signature, expiry and token type
+ * 
+ * WHY IT WORKS THIS WAY:
+ * - Standard JWT format: any JWT library or jwt.io can decode our tokens
+ * - Built on Node's crypto, so no extra dependency for ~50 lines of code
+ * - 'type' claim: an access token can't be used as a refresh token or vice versa
+ * 
+ * CLAIMS WE USE:
+ *   sub  - User ID
+ *   sid  - Session ID (services/sessions.js)
+ *   type - 'access' | 'refresh'
+ *   jti  - Refresh token ID (detects reuse of an old refresh token)
+ *   iat / exp - Issued at / expires at (seconds since epoch)
+ */
+
+const crypto = require('crypto');
+const config = require('../config').auth;
+const { UnauthorizedError } = require('./errors');
+
+const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+const sign = (data) => crypto.createHmac('sha256', config.tokenSecret).update(data).digest();
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * ============================================
+ * SIGN TOKEN
+ * ============================================
+ * 
+ * EXAMPLE: signToken({ sub: 1, sid: 4, type: 'access' }, 900) → 'eyJhbGciOi...'
+ * 
+ * @param {Object} claims - Data to carry (readable by anyone, so no secrets)
+ * @param {number} ttlSeconds - Lifetime
+ * @returns {string} - Signed token
+ */
+const signToken = (claims, ttlSeconds) => {
+  const iat = nowSeconds();
+  const data = `${HEADER}.${encode({ ...claims, iat, exp: iat + ttlSeconds })}`;
+  return `${data}.${sign(data).toString('base64url')}`;
+};
+
+/**
+ * ============================================
+ * VERIFY TOKEN - WHY: Trust claims only if we signed them
+ * ============================================
+ * 
+ * HOW:
+ * 1. Three dot-separated parts, header says HS256
+ * 2. Recompute signature, compare in constant time
+ * 3. exp must be in the future, type must match
+ * 
+ * @param {string} token - Token from the client
+ * @param {string} type - Expected type ('access' | 'refresh')
+ * @returns {Object} - Verified claims
+ * @throws {UnauthorizedError} - Malformed, forged, expired or wrong type
+ */
+const verifyToken = (token, type) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new UnauthorizedError('Invalid token');
+
+  let header;
+  let claims;
+  try {
+    header = decode(parts[0]);
+    claims = decode(parts[1]);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  // WHY check alg: Never let the token choose a weaker (or 'none') algorithm
+  const expected = sign(`${parts[0]}.${parts[1]}`);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (header.alg !== 'HS256' || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new UnauthorizedError('Invalid token');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= nowSeconds()) {
+    throw new UnauthorizedError('Token expired');
+  }
+  if (claims.type !== type) {
+    throw new UnauthorizedError('Invalid token');
+  }
+  return claims;
+};
+
+// ============================================
+// EXPORT - WHY: Used by services/sessions.js
+// ============================================
+module.exports = {
+  signToken,   // Claims + lifetime → signed token
+  verifyToken  // Signed token → claims (or 401)
+};
@@ -20,8 +20,31 @@
  * 
  * DATA FLOW:
  * User Input → Regex/Logic Validation → Pass/Fail → Response
+ * 
+ * SCHEMA VALIDATION (validateBody):
+ * Each resource declares its fields once in /schemas (type, range, enum, ...).
+ * validateBody(schema) checks EVERY field and returns all errors together:
+ *   400 { message: 'Validation Error', details: [{ field, message }, ...] }
+ * Create: required fields must be present. PUT/PATCH ({ partial: true }):
+ * fields are optional, but any field that IS sent must be valid.
+ * 
+ * MASS-ASSIGNMENT PROTECTION:
+ * The schema is also the allowlist of fields a client may write:
+ * - Fields not in the schema (id, createdAt, anything made up) → rejected
+ * - readOnly fields (server-computed, e.g. inStock) → rejected
+ * - createOnly fields (e.g. an order's userId) → rejected on PUT/PATCH
+ * So nothing unexpected in req.body can reach db.create()/db.update().
  */
 
+const response = require('./responseHandler');
+
+// ============================================
+// SHARED PATTERNS - WHY: Same rules for middleware and schemas
+// ============================================
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\d{10}$/;
+const PASSWORD_REGEX = /^(?=.*[A-Za-z])(?=.*\d)/;   // At least one letter and one digit
+
 /**
  * ============================================
  * VALIDATE REQUIRED FIELDS - WHY: Ensure all needed data present
@@ -115,11 +138,8 @@ const validateRequired = (requiredFields) => {
  * @param {Function} next - Express next function
  */
 const validateEmail = (req, res, next) => {
-  // WHY: Email validation pattern
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  
   // Only validate if email was provided in request
-  if (req.body.email && !emailRegex.test(req.body.email)) {
+  if (req.body.email && !EMAIL_REGEX.test(req.body.email)) {
     return res.status(400).json({
       status: false,
       statusCode: 400,
@@ -164,15 +184,12 @@ const validateEmail = (req, res, next) => {
  * @param {Function} next - Express next function
  */
 const validatePhone = (req, res, next) => {
-  // WHY: Phone validation pattern
-  const phoneRegex = /^\d{10}$/;
-  
   // Only validate if phone was provided
   if (req.body.phone !== undefined && req.body.phone !== null) {
     // Ensure we operate on a string in case phone is numeric
     const digitsOnly = String(req.body.phone).replace(/\D/g, '');
 
-    if (!phoneRegex.test(digitsOnly)) {
+    if (!PHONE_REGEX.test(digitsOnly)) {
       return res.status(400).json({
         status: false,
         statusCode: 400,
@@ -232,6 +249,272 @@ const validateId = (req, res, next) => {
   
   next();
 };
+// WHY: utils/openapi.js documents the integer path id and its 400 / 404
+validateId.openapi = { idParam: true };
+
+/**
+ * ============================================
+ * IS MISSING - WHY: One definition of "not provided"
+ * ============================================
+ * 
+ * Same rule as validateRequired:
+ * - undefined, null and blank strings are missing
+ * - 0 and false ARE present
+ * 
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isMissing = (value) => {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+};
+
+/**
+ * ============================================
+ * CHECK RULE - WHY: Validate (and coerce) one value against its rule
+ * ============================================
+ * 
+ * RULE KEYS:
+ *   type         'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ *   required     Must be present (on create; nested fields always)
+ *   min / max    Number range (inclusive)
+ *   exclusiveMin Number must be greater than this
+ *   minLength / maxLength   String length
+ *   format       'email' | 'phone' | 'password'
+ *   enum         Allowed values (strings compare case-insensitively)
+ *   minItems / maxItems     Array length
+ *   items        Rule for every array element
+ *   properties   Schema for an object's fields
+ *   readOnly     Server-managed; clients may never send it
+ *   createOnly   May be set on create, never changed afterwards
+ * 
+ * COERCION - WHY: Form posts send everything as text
+ *   '9.99' → 9.99 (number), '3' → 3 (integer), 'true' → true (boolean)
+ *   enum values → canonical spelling ('SHIPPED' → 'shipped')
+ * 
+ * @param {Object} rule - Field rule from a schema
+ * @param {*} value - Value to check (not missing)
+ * @param {string} field - Path for error messages, e.g. 'items[0].quantity'
+ * @param {Array} errors - Collects { field, message }
+ * @returns {*} - Coerced value
+ */
+const checkRule = (rule, value, field, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message: `${field} ${message}` });
+    return value;
+  };
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return fail(`must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.format === 'email' && !EMAIL_REGEX.test(value)) {
+        return fail('must be a valid email address');
+      }
+      // WHY strip non-digits: "(123) 456-7890" is a valid 10-digit phone
+      if (rule.format === 'phone' && !PHONE_REGEX.test(value.replace(/\D/g, ''))) {
+        return fail('must contain exactly 10 digits');
+      }
+      if (rule.format === 'password' && !PASSWORD_REGEX.test(value)) {
+        return fail('must contain at least one letter and one digit');
+      }
+      if (rule.enum) {
+        const match = rule.enum.find(option => option.toLowerCase() === value.toLowerCase());
+        if (!match) return fail(`must be one of: ${rule.enum.join(', ')}`);
+        return match;
+      }
+      return value;
+    }
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !isFinite(number)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(number)) return fail('must be an integer');
+      if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+      if (rule.exclusiveMin !== undefined && number <= rule.exclusiveMin) {
+        return fail(`must be greater than ${rule.exclusiveMin}`);
+      }
+      return number;
+    }
+
+    case 'boolean': {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return fail('must be true or false');
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(`must contain at least ${rule.minItems} item(s)`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must contain at most ${rule.maxItems} item(s)`);
+      }
+      if (!rule.items) return value;
+      return value.map((item, i) => {
+        const itemField = `${field}[${i}]`;
+        if (isMissing(item)) {
+          errors.push({ field: itemField, message: `${itemField} is required` });
+          return item;
+        }
+        return checkRule(rule.items, item, itemField, errors);
+      });
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail('must be an object');
+      if (!rule.properties) return value;
+      // WHY prefix: nested errors read "items[0].quantity is required"
+      return validateFields(rule.properties, value, { partial: false, prefix: `${field}.`, allowUnknown: rule.allowUnknown }, errors);
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * ============================================
+ * VALIDATE FIELDS - WHY: Walk a schema over one object
+ * ============================================
+ * 
+ * HOW:
+ * 1. Fields not in the schema → error (unless allowUnknown)
+ * 2. For each field in the schema:
+ *    - sent but readOnly → error
+ *    - sent but createOnly during an update (partial) → error
+ *    - missing + required (and not partial) → error
+ *    - missing + partial, but explicitly sent empty for a required field → error
+ *    - present → checkRule() (type, range, ...)
+ * 
+ * @param {Object} schema - { field: rule }
+ * @param {Object} body - Input object
+ * @param {Object} options - { partial, prefix, allowUnknown }
+ * @param {Array} errors - Collects { field, message }
+ * @returns {Object} - Copy of body with coerced values
+ */
+const validateFields = (schema, body, { partial = false, prefix = '', allowUnknown = false }, errors) => {
+  const value = { ...body };
+
+  // ============================================
+  // UNKNOWN FIELDS - WHY: Only declared fields may be written
+  // ============================================
+  if (!allowUnknown) {
+    for (const name of Object.keys(body)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+        errors.push({ field: `${prefix}${name}`, message: `${prefix}${name} is not an allowed field` });
+      }
+    }
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const raw = body[name];
+
+    // ============================================
+    // READ-ONLY / CREATE-ONLY - WHY: Server owns these values
+    // ============================================
+    if (name in body && rule.readOnly) {
+      errors.push({ field, message: `${field} is read-only` });
+      continue;
+    }
+    if (name in body && rule.createOnly && partial) {
+      errors.push({ field, message: `${field} cannot be changed after creation` });
+      continue;
+    }
+
+    if (isMissing(raw)) {
+      // WHY: PATCH {"name": ""} must not blank out a required field
+      if (rule.required && (!partial || name in body)) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    value[name] = checkRule(rule, raw, field, errors);
+  }
+
+  return value;
+};
+
+/**
+ * ============================================
+ * VALIDATE - WHY: Schema check usable outside middleware
+ * ============================================
+ * 
+ * USAGE:
+ *   const { value, errors } = validate(productSchema, row, { partial: false });
+ *   if (errors.length) → report them; else use value (coerced)
+ * 
+ * @param {Object} schema - { field: rule }
+ * @param {Object} body - Input to check
+ * @param {Object} options - { partial: true } for PUT/PATCH, { allowUnknown: true } to skip the allowlist
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ */
+const validate = (schema, body, options = {}) => {
+  const errors = [];
+
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { value: body, errors: [{ field: 'body', message: 'Request body must be a JSON object' }] };
+  }
+
+  const value = validateFields(schema, body, options, errors);
+  return { value, errors };
+};
+
+/**
+ * ============================================
+ * VALIDATE BODY - WHY: Declare a route's validation in one line
+ * ============================================
+ * 
+ * HOW:
+ * 1. Returns middleware
+ * 2. Middleware runs validate(schema, req.body)
+ *    (schema may be a function req → schema, e.g. a wider schema for admins)
+ * 3. Any errors → 400 with ALL field errors in details
+ * 4. No errors → req.body replaced by the coerced copy → next()
+ * 
+ * USAGE:
+ *   router.post('/', validateBody(productSchema), handler)                   // create
+ *   router.patch('/:id', validateId, validateBody(productSchema, { partial: true }), handler)
+ * 
+ * RESPONSE EXAMPLE:
+ *   {
+ *     "status": false, "statusCode": 400, "message": "Validation Error",
+ *     "details": [
+ *       { "field": "price", "message": "price must be at least 0" },
+ *       { "field": "items[0].quantity", "message": "items[0].quantity is required" },
+ *       { "field": "inStock", "message": "inStock is read-only" }
+ *     ]
+ *   }
+ * 
+ * @param {Object|Function} schema - { field: rule }, or req → { field: rule }
+ * @param {Object} options - { partial: true } for PUT/PATCH
+ * @returns {Function} - Express middleware function
+ */
+const validateBody = (schema, options = {}) => {
+  const middleware = (req, res, next) => {
+    const rules = typeof schema === 'function' ? schema(req) : schema;
+    const { value, errors } = validate(rules, req.body || {}, options);
+
+    if (errors.length > 0) {
+      return res.status(400).json(response.error('Validation Error', 400, errors));
+    }
+
+    req.body = value;
+    next();
+  };
+  // WHY: utils/openapi.js turns the same rules into the request body schema
+  middleware.openapi = { bodyRules: schema, partial: options.partial === true };
+  return middleware;
+};
 
 // ============================================
 // EXPORT ALL VALIDATORS - WHY: Use in routes
@@ -240,5 +523,7 @@ module.exports = {
   validateRequired,  // Check that required fields are present
   validateEmail,     // Check email format is valid
   validatePhone,     // Check phone has 10 digits
-  validateId         // Check ID is positive number
+  validateId,        // Check ID is positive number
+  validate,          // Check an object against a schema (returns errors)
+  validateBody       // Middleware: check req.body against a schema
 };
@@ -0,0 +1,328 @@
+/**
+ * =====================================================
+ * LOGIN / SIGNUP FORMS - loginForm/auth.js
+ * =====================================================
+ *
+ * HOW IT WORKS:
+ * - Loaded as a module by intex.html (login) and signup.html (signup)
+ * - The form's data-form attribute says which one it is
+ * - On submit: validate in the browser → POST to the Express auth API
+ *   → show field errors inline, or store the session and show success
+ *
+ * WHY IT WORKS THIS WAY:
+ * - Browser checks give instant feedback, but the API checks again:
+ *   the rules below mirror express/schemas/authSchema.js and the
+ *   EMAIL_REGEX used by validateEmail in express/utils/validator.js
+ * - API errors come back as { details: [{ field, message }] }, so they are
+ *   shown under the same inputs as the browser's own errors
+ *
+ * CONTROL FLOW:
+ * submit → validate*() → errors? → show inline, stop
+ *                      → fetch /api/auth/login|register → 2xx → saveSession()
+ *                                                        → 4xx → show API errors
+ *
+ * SERVED BY: express/server.js at http://localhost:3000/login/
+ * (same origin as the API, so no CORS setup is needed)
+ */
+
+// ============================================
+// CONFIG - WHY: Point the pages at another API with <meta name="api-base">
+// ============================================
+const apiMeta = document.querySelector('meta[name="api-base"]');
+const API_BASE = apiMeta ? apiMeta.content.replace(/\/$/, '') : '';
+
+// Where the session is kept (localStorage survives closing the tab)
+const STORAGE_KEYS = {
+    accessToken: 'auth.accessToken',
+    refreshToken: 'auth.refreshToken',
+    user: 'auth.user'
+};
+
+// Same rules as the server (validateEmail / registerSchema)
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * ============================================
+ * PASSWORD STRENGTH - WHY: Same rule as the API's 'password' format
+ * ============================================
+ *
+ * @param {string} password - Password typed by the user
+ * @returns {string|null} - Error message, or null if strong enough
+ */
+export const checkPasswordStrength = (password) => {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (password.length > PASSWORD_MAX_LENGTH) {
+        return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return 'Password must contain at least one letter and one digit';
+    }
+    return null;
+};
+
+const checkEmail = (email) => {
+    if (!email) return 'Email is required';
+    return EMAIL_REGEX.test(email) ? null : 'Enter a valid email address';
+};
+
+/**
+ * Collect { field, message } for every rule that failed
+ * WHY same shape as the API: one showErrors() for both
+ */
+const collect = (checks) => {
+    return Object.entries(checks)
+        .filter(([, message]) => message)
+        .map(([field, message]) => ({ field, message }));
+};
+
+/**
+ * ============================================
+ * VALIDATE LOGIN
+ * ============================================
+ *
+ * @param {Object} values - { email, password, terms }
+ * @returns {Array} - [{ field, message }], empty when valid
+ */
+export const validateLogin = ({ email, password, terms }) => collect({
+    email: checkEmail(email),
+    password: password ? null : 'Password is required',
+    terms: terms ? null : 'You must agree to the terms and conditions'
+});
+
+/**
+ * ============================================
+ * VALIDATE SIGNUP
+ * ============================================
+ *
+ * @param {Object} values - { name, email, password, confirmPassword }
+ * @returns {Array} - [{ field, message }], empty when valid
+ */
+export const validateSignup = ({ name, email, password, confirmPassword }) => collect({
+    name: name ? (name.length > 100 ? 'Username must be at most 100 characters' : null) : 'Username is required',
+    email: checkEmail(email),
+    password: checkPasswordStrength(password),
+    confirmPassword: password === confirmPassword ? null : 'Passwords do not match'
+});
+
+/**
+ * ============================================
+ * SESSION STORAGE
+ * ============================================
+ *
+ * @param {Object} data - API data: { user, accessToken, refreshToken }
+ */
+export const saveSession = ({ user, accessToken, refreshToken }) => {
+    localStorage.setItem(STORAGE_KEYS.accessToken, accessToken);
+    localStorage.setItem(STORAGE_KEYS.refreshToken, refreshToken);
+    localStorage.setItem(STORAGE_KEYS.user, JSON.stringify(user));
+};
+
+export const getSession = () => {
+    const accessToken = localStorage.getItem(STORAGE_KEYS.accessToken);
+    if (!accessToken) return null;
+    return {
+        accessToken,
+        refreshToken: localStorage.getItem(STORAGE_KEYS.refreshToken),
+        user: JSON.parse(localStorage.getItem(STORAGE_KEYS.user) || 'null')
+    };
+};
+
+export const clearSession = () => {
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+};
+
+/**
+ * ============================================
+ * POST JSON - WHY: Every auth call sends and receives the API's JSON format
+ * ============================================
+ *
+ * @param {string} path - e.g. '/api/auth/login'
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Parsed response body (status + data or message/details)
+ */
+const postJson = async (path, body) => {
+    try {
+        const res = await fetch(`${API_BASE}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return await res.json();
+    } catch (error) {
+        return { status: false, message: 'Could not reach the server. Please try again.' };
+    }
+};
+
+// ============================================
+// INLINE ERRORS - WHY: Show each message under the input it belongs to
+// ============================================
+
+/**
+ * Remove every error left over from the previous submit
+ *
+ * @param {HTMLFormElement} form - The form
+ */
+const clearErrors = (form) => {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('.has-error').forEach(el => el.classList.remove('has-error'));
+    const status = form.querySelector('.form-status');
+    status.textContent = '';
+    status.className = 'form-status';
+};
+
+/**
+ * Show a message for the whole form (server down, wrong password, success)
+ *
+ * @param {HTMLFormElement} form - The form
+ * @param {string} message - Text to show
+ * @param {string} type - 'error' | 'success'
+ */
+const showStatus = (form, message, type = 'error') => {
+    const status = form.querySelector('.form-status');
+    status.textContent = message;
+    status.className = `form-status ${type}`;
+};
+
+/**
+ * ============================================
+ * SHOW ERRORS - WHY: Browser and API errors look the same to the user
+ * ============================================
+ *
+ * HOW: errors[i].field → input with data-field="<field>" → add message below it
+ * Errors for fields the page doesn't have (e.g. 'body') → form status line
+ *
+ * @param {HTMLFormElement} form - The form
+ * @param {Array} errors - [{ field, message }]
+ */
+const showErrors = (form, errors) => {
+    const unplaced = [];
+
+    errors.forEach(({ field, message }) => {
+        const input = form.querySelector(`[data-field="${field}"]`);
+        if (!input) {
+            unplaced.push(message);
+            return;
+        }
+
+        const group = input.closest('.input-group, .terms-group');
+        group.classList.add('has-error');
+
+        const error = document.createElement('small');
+        error.className = 'field-error';
+        error.id = `${input.id}-error`;
+        error.textContent = message;
+        group.appendChild(error);
+        input.setAttribute('aria-describedby', error.id);
+    });
+
+    if (unplaced.length > 0) {
+        showStatus(form, unplaced.join('. '));
+    }
+
+    const firstInvalid = form.querySelector('.has-error input');
+    if (firstInvalid) firstInvalid.focus();
+};
+
+/**
+ * Turn an API error body into [{ field, message }]
+ *
+ * 400 → details is already [{ field, message }]
+ * 409 → details is { field, value } (e.g. "Email already exists")
+ * 401/403/500 → message only
+ *
+ * @param {Object} result - API response body
+ * @returns {Array} - [{ field, message }]
+ */
+const apiErrors = (result) => {
+    const { details, message = 'Something went wrong' } = result;
+    if (Array.isArray(details)) return details;
+    if (details && details.field) return [{ field: details.field, message }];
+    return [{ field: 'form', message }];
+};
+
+/**
+ * Current values of every input with a data-field attribute
+ *
+ * @param {HTMLFormElement} form - The form
+ * @returns {Object} - { field: value } (checkboxes → boolean)
+ */
+const readValues = (form) => {
+    const values = {};
+    form.querySelectorAll('[data-field]').forEach(input => {
+        values[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value.trim();
+    });
+    // WHY not trimmed: Spaces are allowed in passwords
+    form.querySelectorAll('input[type="password"][data-field]').forEach(input => {
+        values[input.dataset.field] = input.value;
+    });
+    return values;
+};
+
+// ============================================
+// FORMS - WHY: Each page differs only in rules, endpoint and body
+// ============================================
+const FORMS = {
+    login: {
+        validate: validateLogin,
+        path: '/api/auth/login',
+        body: ({ email, password }) => ({ email, password }),
+        success: (user) => `Welcome back, ${user.name}!`
+    },
+    signup: {
+        validate: validateSignup,
+        path: '/api/auth/register',
+        body: ({ name, email, password }) => ({ name, email, password }),
+        success: (user) => `Account created. Welcome, ${user.name}!`
+    }
+};
+
+/**
+ * ============================================
+ * ATTACH FORM - WHY: Wire one form to its rules and endpoint
+ * ============================================
+ *
+ * HOW:
+ * 1. novalidate: our messages replace the browser's tooltips
+ * 2. submit → validate → POST → inline errors or saved session
+ * 3. Button disabled while the request runs (no double submit)
+ *
+ * @param {HTMLFormElement} form - Form with data-form="login" | "signup"
+ */
+export const attachForm = (form) => {
+    const config = FORMS[form.dataset.form];
+    if (!config) return;
+
+    form.noValidate = true;
+    const button = form.querySelector('button[type="submit"]');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        clearErrors(form);
+
+        const values = readValues(form);
+        const errors = config.validate(values);
+        if (errors.length > 0) {
+            showErrors(form, errors);
+            return;
+        }
+
+        button.disabled = true;
+        const result = await postJson(config.path, config.body(values));
+        button.disabled = false;
+
+        if (!result.status) {
+            showErrors(form, apiErrors(result));
+            return;
+        }
+
+        saveSession(result.data);
+        form.reset();
+        showStatus(form, config.success(result.data.user), 'success');
+    });
+};
+
+document.querySelectorAll('form[data-form]').forEach(attachForm);